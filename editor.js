@@ -6,660 +6,10706 @@
  */
 
 const FloatingEditor = (function() {
-    // 프라이빗 변수
-    let editorElements = [];
-    let toolbarElement = null;
-    
-    // 선택 영역 저장
-    let savedRange = null;
-    function saveSelection() {
-        const selection = window.getSelection();
-        if (selection.rangeCount > 0) {
-            savedRange = selection.getRangeAt(0);
-            console.log('savedRange:', savedRange);
-        }
-    }
-    function restoreSelection() {
-        if (savedRange) {
-            const selection = window.getSelection();
-            selection.removeAllRanges();
-            selection.addRange(savedRange);
-            console.log('restoreSelection:', savedRange);
-        }
-    }
     // 기본 설정
     const DEFAULT_CONFIG = {
         toolbarOffset: 10, // 선택 영역 위 10px에 툴바 배치
+        dockBreakpoint: 640, // 화면 너비가 이 값(px) 이하이면 툴바를 화면 아래(가상 키보드 위)에 고정, 0이면 사용 안 함
+        selectionDelay: 150, // 터치 핸들 등으로 바뀐 선택 영역이 멈춘 뒤 툴바를 표시할 때까지 기다리는 시간(ms)
+        touchTargetSize: 44, // 터치 화면(pointer: coarse)에서 툴바 버튼 크기(px)
+        locale: 'ko', // UI 문구 언어 (LOCALES의 키: ko, en, ja)
+        messages: {}, // 언어 사전을 덮어쓰는 문구 (키 → 문구)
+        theme: 'light', // 툴바와 레이어 테마 ('light', 'dark', 'auto'는 운영체제 설정을 따름)
+        icons: null, // 아이콘 어댑터 (이름 → SVG 문자열이나 요소, 함수 또는 객체), 없으면 Google Material Icons 글꼴 사용
         features: {
             heading: true,
             bold: true,
             italic: true,
             underline: true,
             strikethrough: true,
+            color: true,
+            highlight: true,
+            fontSize: true,
             code: true,
             link: true,
+            image: true,
+            bulletList: true,
+            orderedList: true,
+            checklist: true,
+            blockquote: true,
+            codeBlock: true,
+            horizontalRule: true,
+            table: true,
+            comment: true,
             clear: true
+        },
+        // 툴바 항목 순서 (기본 항목 이름, '|' 구분선, { items } 그룹, { icon, label, command, action, isActive } 사용자 버튼)
+        toolbar: [
+            'heading', 'bold', 'italic', 'underline', 'strikethrough', 'color', 'highlight', '|', 'code', 'link', 'image', 'comment', '|',
+            'bulletList', 'orderedList', 'checklist', 'blockquote', 'codeBlock', 'horizontalRule', '|', 'clear'
+        ],
+        // 단축키 (명령 이름 또는 '명령:인자' → 키 조합, Mod는 macOS에서 Cmd, 그 외에서 Ctrl, false면 사용 안 함)
+        shortcuts: {
+            bold: 'Mod+B',
+            italic: 'Mod+I',
+            underline: 'Mod+U',
+            strikethrough: 'Mod+Shift+X',
+            code: 'Mod+E',
+            link: 'Mod+K',
+            comment: 'Mod+Alt+M',
+            find: 'Mod+F',
+            clear: 'Mod+\\',
+            'heading:h1': 'Mod+Alt+1',
+            'heading:h2': 'Mod+Alt+2',
+            'heading:h3': 'Mod+Alt+3',
+            'heading:p': 'Mod+Alt+0',
+            bulletList: 'Mod+Shift+8',
+            orderedList: 'Mod+Shift+7',
+            checklist: 'Mod+Shift+9',
+            blockquote: 'Mod+Shift+B',
+            codeBlock: 'Mod+Alt+C',
+            toggleChecked: 'Mod+Enter', // 체크리스트 항목 체크/해제
+            focusToolbar: 'Alt+F10' // 선택 영역에서 툴바로 포커스 이동
+        },
+        // 입력 규칙 (규칙 이름 → true/false 또는 { match, block | mark | replace } 사용자 규칙, false면 모두 사용 안 함)
+        inputRules: {
+            heading: true, // # ~ ###### + 공백
+            bulletList: true, // - 또는 * + 공백
+            orderedList: true, // 1. + 공백
+            checklist: true, // [ ] 또는 [x] + 공백
+            blockquote: true, // > + 공백
+            codeBlock: true, // ``` 또는 ```언어 + 공백
+            bold: true, // **텍스트**
+            italic: true, // _텍스트_ 또는 *텍스트*
+            code: true, // `텍스트`
+            strikethrough: true // ~~텍스트~~
+        },
+        slashMenu: true, // 블록 맨 앞이나 공백 뒤에서 '/'를 입력하면 블록 삽입 메뉴 표시
+        // 멘션/태그 트리거 문자 (값은 provider 함수나 { type, provider }, false면 끔)
+        // provider(query, { trigger, type, element })는 [{ id, label, description }] 또는 그 Promise를 반환하며, provider가 없으면 제안하지 않음
+        mentions: {
+            '@': { type: 'mention', provider: null },
+            '#': { type: 'tag', provider: null }
+        },
+        // 글자색 팔레트 ({ name, label, value }, <span class="text-color-{name}">으로 출력되며 value는 선택 레이어의 견본 색)
+        // label을 생략하면 언어 사전의 'color.{name}' 문구(없으면 name)를 표시
+        colors: [
+            { name: 'gray', value: '#718096' },
+            { name: 'red', value: '#e53e3e' },
+            { name: 'orange', value: '#dd6b20' },
+            { name: 'green', value: '#38a169' },
+            { name: 'blue', value: '#3182ce' },
+            { name: 'purple', value: '#805ad5' }
+        ],
+        // 배경색(형광펜) 팔레트 (<mark class="highlight-{name}">으로 출력, 문구는 'highlight.{name}')
+        highlights: [
+            { name: 'yellow', value: '#fefcbf' },
+            { name: 'green', value: '#c6f6d5' },
+            { name: 'blue', value: '#bee3f8' },
+            { name: 'pink', value: '#fed7e2' },
+            { name: 'gray', value: '#e2e8f0' }
+        ],
+        // 글자 크기 단계 (작은 것부터, 'normal'은 기본 크기로 마크 없음, 나머지는 <span class="font-size-{단계}">)
+        fontSizes: ['small', 'normal', 'large', 'x-large'],
+        // 붙여넣기, 드롭, 초기 내용, 내보내기 시 적용되는 HTML 허용 목록
+        sanitizer: {
+            allowedTags: [
+                'p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'hr', 'div',
+                'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 'ins', 's', 'strike', 'del',
+                'code', 'a', 'span', 'mark', 'sub', 'sup', 'img',
+                'table', 'thead', 'tbody', 'tr', 'th', 'td'
+            ],
+            // 태그별 허용 속성 ('*'는 모든 태그에 적용)
+            allowedAttributes: {
+                '*': [],
+                a: ['href', 'title', 'target', 'rel'],
+                img: ['src', 'alt', 'title', 'width', 'height'],
+                ol: ['start'],
+                ul: ['data-type'], // 체크리스트 (data-type="checklist")
+                li: ['data-checked'],
+                th: ['colspan', 'rowspan'],
+                td: ['colspan', 'rowspan'],
+                code: ['class'],
+                span: ['class', 'data-comment-id', 'data-comment-resolved', 'data-type', 'data-id'], // 주석 앵커, 멘션/태그
+                mark: ['class']
+            },
+            // class 속성에 허용하는 값 (태그별, *로 끝나면 접두사 일치)
+            allowedClasses: {
+                code: ['language-*'], // 코드 블록 언어
+                span: ['text-color-*', 'font-size-*'], // 글자색, 글자 크기
+                mark: ['highlight-*'] // 배경색
+            },
+            // href/src에 허용하는 URL 스킴 (상대 경로와 #앵커는 항상 허용)
+            allowedSchemes: ['http', 'https', 'mailto', 'tel']
+        },
+        // 기본 규칙 적용 후 호출되는 사용자 정의 정리 함수 (container, { source }) => void
+        sanitize: null,
+        // 붙여넣기/드롭한 이미지 파일 업로드 어댑터 (file) => Promise<url>, 없으면 이미지 파일은 삽입하지 않음
+        uploadImage: null,
+        // 임시 저장 (true 또는 { key, delay, storage, restore, since }, AUTOSAVE_DEFAULTS 참고), false면 사용 안 함
+        autosave: false,
+        // 저장하지 않은 변경이 있으면 페이지를 떠날 때 브라우저 확인 창 표시
+        warnOnUnload: false
+    };
+    
+    // UI 문구 사전 (언어 → 키 → 문구, 현재 언어에 없는 키는 영어 문구 사용)
+    // FloatingEditor.locales에 새 언어를 추가할 수 있습니다.
+    const LOCALES = {
+        ko: {
+            toolbar: '서식 도구',
+            tableToolbar: '표 도구',
+            heading: '블록 형식',
+            heading1: '제목 1',
+            heading2: '제목 2',
+            heading3: '제목 3',
+            paragraph: '본문',
+            bold: '굵게',
+            italic: '기울임',
+            underline: '밑줄',
+            strikethrough: '취소선',
+            color: '글자색',
+            highlight: '배경색',
+            defaultColor: '기본 색',
+            noHighlight: '배경색 없음',
+            increaseFontSize: '글자 크게',
+            decreaseFontSize: '글자 작게',
+            code: '코드',
+            link: '링크',
+            comment: '댓글',
+            image: '이미지',
+            table: '표',
+            bulletList: '글머리 기호 목록',
+            orderedList: '번호 목록',
+            checklist: '체크리스트',
+            blockquote: '인용',
+            codeBlock: '코드 블록',
+            horizontalRule: '구분선',
+            clear: '서식 지우기',
+            slashMenu: '블록 삽입',
+            mentionMenu: '멘션 제안',
+            linkDialog: '링크 편집',
+            url: 'URL',
+            linkText: '텍스트',
+            openInNewTab: '새 탭에서 열기',
+            apply: '적용',
+            openLink: '열기',
+            copyLink: '복사',
+            removeLink: '링크 삭제',
+            invalidUrl: '올바른 URL을 입력하세요.',
+            imageDialog: '이미지 편집',
+            altText: '대체 텍스트',
+            altTextPlaceholder: '이미지 설명',
+            removeImage: '이미지 삭제',
+            invalidImageUrl: '올바른 이미지 URL을 입력하세요.',
+            addRowBefore: '위에 행 삽입',
+            addRowAfter: '아래에 행 삽입',
+            addColumnBefore: '왼쪽에 열 삽입',
+            addColumnAfter: '오른쪽에 열 삽입',
+            deleteRow: '행 삭제',
+            deleteColumn: '열 삭제',
+            mergeCells: '셀 병합',
+            splitCell: '셀 분할',
+            toggleHeaderRow: '머리글 행',
+            deleteTable: '표 삭제',
+            find: '찾기 및 바꾸기',
+            findPlaceholder: '찾기',
+            replacePlaceholder: '바꿀 내용',
+            replace: '바꾸기',
+            replaceAll: '모두 바꾸기',
+            matchCase: '대/소문자 구분',
+            wholeWord: '단어 단위로',
+            useRegex: '정규식 사용',
+            previousMatch: '이전 결과',
+            nextMatch: '다음 결과',
+            closeFind: '닫기',
+            matchCount: '{current}/{total}',
+            noResults: '결과 없음',
+            invalidRegex: '올바르지 않은 정규식입니다.',
+            restoreDraft: '저장하지 않은 임시 저장본이 있습니다. 복원할까요?',
+            'color.gray': '회색',
+            'color.red': '빨강',
+            'color.orange': '주황',
+            'color.green': '초록',
+            'color.blue': '파랑',
+            'color.purple': '보라',
+            'highlight.yellow': '노랑',
+            'highlight.green': '초록',
+            'highlight.blue': '파랑',
+            'highlight.pink': '분홍',
+            'highlight.gray': '회색'
+        },
+        en: {
+            toolbar: 'Formatting',
+            tableToolbar: 'Table tools',
+            heading: 'Block type',
+            heading1: 'Heading 1',
+            heading2: 'Heading 2',
+            heading3: 'Heading 3',
+            paragraph: 'Text',
+            bold: 'Bold',
+            italic: 'Italic',
+            underline: 'Underline',
+            strikethrough: 'Strikethrough',
+            color: 'Text color',
+            highlight: 'Highlight',
+            defaultColor: 'Default color',
+            noHighlight: 'No highlight',
+            increaseFontSize: 'Increase font size',
+            decreaseFontSize: 'Decrease font size',
+            code: 'Code',
+            link: 'Link',
+            comment: 'Comment',
+            image: 'Image',
+            table: 'Table',
+            bulletList: 'Bulleted list',
+            orderedList: 'Numbered list',
+            checklist: 'Checklist',
+            blockquote: 'Quote',
+            codeBlock: 'Code block',
+            horizontalRule: 'Divider',
+            clear: 'Clear formatting',
+            slashMenu: 'Insert block',
+            mentionMenu: 'Suggestions',
+            linkDialog: 'Edit link',
+            url: 'URL',
+            linkText: 'Text',
+            openInNewTab: 'Open in new tab',
+            apply: 'Apply',
+            openLink: 'Open',
+            copyLink: 'Copy',
+            removeLink: 'Remove link',
+            invalidUrl: 'Enter a valid URL.',
+            imageDialog: 'Edit image',
+            altText: 'Alt text',
+            altTextPlaceholder: 'Describe the image',
+            removeImage: 'Remove image',
+            invalidImageUrl: 'Enter a valid image URL.',
+            addRowBefore: 'Insert row above',
+            addRowAfter: 'Insert row below',
+            addColumnBefore: 'Insert column left',
+            addColumnAfter: 'Insert column right',
+            deleteRow: 'Delete row',
+            deleteColumn: 'Delete column',
+            mergeCells: 'Merge cells',
+            splitCell: 'Split cell',
+            toggleHeaderRow: 'Header row',
+            deleteTable: 'Delete table',
+            find: 'Find and replace',
+            findPlaceholder: 'Find',
+            replacePlaceholder: 'Replace',
+            replace: 'Replace',
+            replaceAll: 'Replace all',
+            matchCase: 'Match case',
+            wholeWord: 'Match whole word',
+            useRegex: 'Use regular expression',
+            previousMatch: 'Previous match',
+            nextMatch: 'Next match',
+            closeFind: 'Close',
+            matchCount: '{current} of {total}',
+            noResults: 'No results',
+            invalidRegex: 'Invalid regular expression.',
+            restoreDraft: 'An unsaved draft was found. Do you want to restore it?',
+            'color.gray': 'Gray',
+            'color.red': 'Red',
+            'color.orange': 'Orange',
+            'color.green': 'Green',
+            'color.blue': 'Blue',
+            'color.purple': 'Purple',
+            'highlight.yellow': 'Yellow',
+            'highlight.green': 'Green',
+            'highlight.blue': 'Blue',
+            'highlight.pink': 'Pink',
+            'highlight.gray': 'Gray'
+        },
+        ja: {
+            toolbar: '書式ツール',
+            tableToolbar: '表ツール',
+            heading: 'ブロック形式',
+            heading1: '見出し1',
+            heading2: '見出し2',
+            heading3: '見出し3',
+            paragraph: '本文',
+            bold: '太字',
+            italic: '斜体',
+            underline: '下線',
+            strikethrough: '取り消し線',
+            color: '文字色',
+            highlight: '背景色',
+            defaultColor: '既定の色',
+            noHighlight: '背景色なし',
+            increaseFontSize: '文字を大きく',
+            decreaseFontSize: '文字を小さく',
+            code: 'コード',
+            link: 'リンク',
+            comment: 'コメント',
+            image: '画像',
+            table: '表',
+            bulletList: '箇条書き',
+            orderedList: '番号付きリスト',
+            checklist: 'チェックリスト',
+            blockquote: '引用',
+            codeBlock: 'コードブロック',
+            horizontalRule: '区切り線',
+            clear: '書式をクリア',
+            slashMenu: 'ブロックを挿入',
+            mentionMenu: '候補',
+            linkDialog: 'リンクを編集',
+            url: 'URL',
+            linkText: 'テキスト',
+            openInNewTab: '新しいタブで開く',
+            apply: '適用',
+            openLink: '開く',
+            copyLink: 'コピー',
+            removeLink: 'リンクを削除',
+            invalidUrl: '有効なURLを入力してください。',
+            imageDialog: '画像を編集',
+            altText: '代替テキスト',
+            altTextPlaceholder: '画像の説明',
+            removeImage: '画像を削除',
+            invalidImageUrl: '有効な画像URLを入力してください。',
+            addRowBefore: '上に行を挿入',
+            addRowAfter: '下に行を挿入',
+            addColumnBefore: '左に列を挿入',
+            addColumnAfter: '右に列を挿入',
+            deleteRow: '行を削除',
+            deleteColumn: '列を削除',
+            mergeCells: 'セルを結合',
+            splitCell: 'セルを分割',
+            toggleHeaderRow: '見出し行',
+            deleteTable: '表を削除',
+            find: '検索と置換',
+            findPlaceholder: '検索',
+            replacePlaceholder: '置換後の文字列',
+            replace: '置換',
+            replaceAll: 'すべて置換',
+            matchCase: '大文字と小文字を区別',
+            wholeWord: '単語単位で検索',
+            useRegex: '正規表現を使用',
+            previousMatch: '前の結果',
+            nextMatch: '次の結果',
+            closeFind: '閉じる',
+            matchCount: '{current}/{total}',
+            noResults: '結果なし',
+            invalidRegex: '正規表現が正しくありません。',
+            restoreDraft: '保存されていない下書きがあります。復元しますか?',
+            'color.gray': 'グレー',
+            'color.red': '赤',
+            'color.orange': 'オレンジ',
+            'color.green': '緑',
+            'color.blue': '青',
+            'color.purple': '紫',
+            'highlight.yellow': '黄',
+            'highlight.green': '緑',
+            'highlight.blue': '青',
+            'highlight.pink': 'ピンク',
+            'highlight.gray': 'グレー'
         }
     };
     
-    // 사용자 설정
-    let config = { ...DEFAULT_CONFIG };
+    // 툴바와 레이어 테마
+    const THEMES = ['light', 'dark', 'auto'];
+    
+    // init()으로 만든 인스턴스 목록 (FloatingEditor.hide()에서 사용)
+    const instances = [];
+    
+    // 인스턴스에 연결된 에디터 요소 (한 요소에 두 인스턴스가 연결되지 않도록)
+    const registeredElements = new Set();
+    
+    // 슬래시 메뉴 요소 id에 붙이는 번호 (인스턴스마다 다른 id를 가지도록)
+    let slashMenuCount = 0;
+    
+    // 멘션 제안 메뉴 요소 id에 붙이는 번호
+    let mentionMenuCount = 0;
+    
+    // id 없는 에디터의 임시 저장 키에 붙이는 페이지 전체의 초기화 순서 (여러 init() 호출 사이에서 겹치지 않도록)
+    const draftKeyIndexes = new WeakMap();
+    let draftKeyCount = 0;
     
     /**
      * 에디터 초기화 함수
+     * 호출할 때마다 설정, 툴바, 선택 상태, 히스토리를 따로 가진 독립된 인스턴스를 만듭니다.
      * @param {string|Element} selector - CSS 선택자 또는 DOM 요소
      * @param {Object} userConfig - 사용자 설정 (선택 사항)
+     * @returns {Object} 에디터 인스턴스 API
      */
     function init(selector, userConfig = {}) {
-        // 사용자 설정과 기본 설정 병합
-        config = { ...DEFAULT_CONFIG, ...userConfig };
-        
         // 선택자가 문자열인 경우 DOM 요소로 변환
         const elements = typeof selector === 'string' 
             ? document.querySelectorAll(selector) 
             : [selector];
         
-        // contenteditable 요소에만 에디터 기능 적용
-        elements.forEach(element => {
-            if (element && !editorElements.includes(element) && element.hasAttribute('contenteditable')) {
-                setupEditor(element);
-                editorElements.push(element);
-            }
-        });
-        
-        // 툴바가 아직 생성되지 않은 경우 생성
-        if (!toolbarElement) {
-            createToolbar();
-        }
-        
-        // 문서 클릭 이벤트 리스너 추가 (툴바 숨김 처리)
-        document.addEventListener('click', handleDocumentClick);
+        // contenteditable 요소와 textarea/input 요소에만 에디터 기능 적용
+        const targets = Array.from(elements).filter(element => element && !registeredElements.has(element) &&
+            (element.hasAttribute('contenteditable') || isTextInput(element)));
         
-        return {
-            getElements: () => editorElements,
-            getConfig: () => config,
-            setConfig: newConfig => {
-                config = { ...config, ...newConfig };
-                // 툴바 업데이트
-                if (toolbarElement) {
-                    document.body.removeChild(toolbarElement);
-                    toolbarElement = null;
-                    createToolbar();
-                }
-            }
-        };
-    }
-    
-    /**
-     * 에디터 요소 설정
-     * @param {Element} element - 에디터로 설정할 DOM 요소
-     */
-    function setupEditor(element) {
-        if (element.hasAttribute('contenteditable')) {
-            element.addEventListener('mouseup', handleTextSelection);
-            element.addEventListener('keyup', handleTextSelection);
-            element.addEventListener('dblclick', handleTextSelection);
-        }
+        // 사용자 설정과 기본 설정 병합
+        const instance = createEditor(targets, { ...DEFAULT_CONFIG, ...userConfig });
+        instances.push(instance);
+        return instance;
     }
     
     /**
-     * 텍스트 선택 처리 함수 (contenteditable 요소용)
-     * @param {Event} event - 이벤트 객체
+     * 에디터 인스턴스 생성
+     * 툴바와 레이어, 선택 상태, 이벤트 리스너는 모두 인스턴스마다 따로 만들어집니다.
+     * @param {Array} targets - 에디터로 설정할 요소 목록
+     * @param {Object} initialConfig - 기본 설정과 병합된 설정
+     * @returns {Object} 에디터 인스턴스 API
      */
-    function handleTextSelection(event) {
-        const element = event.target;
-        
-        // 더블 클릭 이벤트인 경우 약간의 지연 추가
-        if (event.type === 'dblclick') {
-            setTimeout(() => processContentEditableSelection(element), 10);
-            return;
-        }
+    function createEditor(targets, initialConfig) {
+        // 프라이빗 변수
+        const editorElements = [];
+        let toolbarElement = null;
+        let isToolbarVisible = false;
         
-        processContentEditableSelection(element);
-    }
-    
-    /**
-     * contenteditable 선택 처리 로직
-     * @param {Element} element - contenteditable 요소
-     */
-    function processContentEditableSelection(element) {
-        // 현재 선택 정보 가져오기
-        const selection = window.getSelection();
+        // 현재 선택 정보 (요소, 범위, 시작/끝 인덱스)
+        let currentSelection = null;
         
-        // 선택 영역이 없거나 빈 경우 툴바 숨김
-        if (!selection || selection.isCollapsed) {
-            hideToolbar();
-            return;
-        }
+        // 활성 상태를 표시하는 툴바 버튼 목록 ({ button, isActive })
+        let toolbarButtons = [];
+        let headingButton = null;
         
-        const range = selection.getRangeAt(0);
+        // 인스턴스 설정
+        let config = initialConfig;
         
-        // 선택 영역이 없는 경우 툴바 숨김
-        if (range.collapsed) {
-            hideToolbar();
-            return;
+        /**
+         * 에디터 요소에 등록할 이벤트 리스너 목록
+         * @param {Element} element - 에디터 요소
+         * @returns {Array} [이벤트 이름, 리스너] 목록
+         */
+        function getEditorListeners(element) {
+            const listeners = [
+                ['mouseup', handleTextSelection],
+                ['keyup', handleTextSelection],
+                ['dblclick', handleTextSelection],
+                ['pointerdown', handlePointerDown],
+                ['keydown', handleHistoryKeydown],
+                ['keydown', handleShortcutKeydown],
+                ['keydown', handleSlashMenuKeydown],
+                ['keydown', handleMentionKeydown],
+                ['keydown', handleBlockKeydown],
+                ['beforeinput', handleBeforeInput],
+                ['input', handleEditorInput]
+            ];
+            
+            // textarea는 키보드로 전체 선택(Ctrl+A) 하는 경우 등을 위해 select 이벤트도 처리
+            if (isTextInput(element)) {
+                listeners.push(['select', handleTextSelection]);
+            } else {
+                listeners.push(
+                    ['keydown', handleInputRuleKeydown],
+                    ['input', handleInputRules],
+                    ['input', handleSlashInput],
+                    ['input', handleMentionInput],
+                    ['mousedown', handleChecklistMousedown],
+                    ['click', handleImageClick],
+                    ['paste', handlePaste],
+                    ['dragstart', handleDragStart],
+                    ['dragend', handleDragEnd],
+                    ['drop', handleDrop]
+                );
+            }
+            return listeners;
         }
         
-        // 선택 영역의 시작과 끝 인덱스 계산
-        const startIndex = getNodeOffset(element, range.startContainer, range.startOffset);
-        const endIndex = getNodeOffset(element, range.endContainer, range.endOffset);
-        
-        // 선택 정보 저장
-        currentSelection = {
-            element,
-            isTextarea: false,
-            range,
-            text: range.toString(),
-            start: startIndex,
-            end: endIndex
-        };
-        
-        // 선택 영역의 위치 계산 및 툴바 표시
-        const position = getSelectionPosition(element);
-        showToolbar(position);
-    }
-    
-    /**
-     * contenteditable 요소 내에서 노드의 오프셋 계산
-     * @param {Element} root - 루트 요소
-     * @param {Node} targetNode - 대상 노드
-     * @param {number} targetOffset - 대상 노드 내의 오프셋
-     * @returns {number} 루트 요소 기준 오프셋
-     */
-    function getNodeOffset(root, targetNode, targetOffset) {
-        // 텍스트 노드가 아닌 경우 자식 노드로 처리
-        if (targetNode.nodeType !== Node.TEXT_NODE) {
-            let offset = 0;
-            for (let i = 0; i < targetOffset; i++) {
-                if (targetNode.childNodes[i]) {
-                    offset += getTextContent(targetNode.childNodes[i]).length;
+        /**
+         * 에디터 요소 설정
+         * @param {Element} element - 에디터로 설정할 DOM 요소
+         */
+        function setupEditor(element) {
+            getEditorListeners(element).forEach(([type, listener]) => {
+                element.addEventListener(type, listener);
+            });
+            
+            // 초기 내용도 허용 목록에 맞게 정리
+            if (!isTextInput(element)) {
+                const html = sanitizeHTML(element.innerHTML, { source: 'init', config });
+                if (html !== element.innerHTML) {
+                    element.innerHTML = html;
                 }
             }
-            return offset;
+            getHistory(element);
+            cleanContents.set(element, readContent(element));
+            dirtyStates.set(element, false);
+            editorElements.push(element);
+            registeredElements.add(element);
+            if (!draftKeyIndexes.has(element)) {
+                draftKeyIndexes.set(element, draftKeyCount++);
+            }
+            if (contentObserver && !isTextInput(element)) {
+                contentObserver.observe(element, { childList: true, subtree: true, characterData: true, attributes: true });
+            }
         }
         
-        let offset = targetOffset;
-        let node = targetNode;
-        
-        // 트리 순회하며 오프셋 계산
-        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
-        while (walker.nextNode()) {
-            if (walker.currentNode === targetNode) {
-                break;
+        /**
+         * 인스턴스 제거
+         * 에디터 요소와 document에 등록한 리스너, 인스턴스가 만든 툴바와 레이어를 모두 제거합니다.
+         * 에디터 요소의 내용은 그대로 둡니다.
+         */
+        function destroy() {
+            hideToolbar();
+            hideLinkPopover();
+            deselectImage();
+            hideImagePopover();
+            closeFindPanel(false);
+            flushDrafts();
+            emit(null, 'destroy');
+            
+            editorElements.forEach(element => {
+                getEditorListeners(element).forEach(([type, listener]) => {
+                    element.removeEventListener(type, listener);
+                });
+                registeredElements.delete(element);
+            });
+            editorElements.length = 0;
+            histories.clear();
+            commentThreads.clear();
+            cleanContents.clear();
+            dirtyStates.clear();
+            // 위에서 바로 저장한 뒤에도 남은 예약이 인스턴스 제거 후에 실행되지 않도록 취소
+            draftTimers.forEach(timer => clearTimeout(timer));
+            draftTimers.clear();
+            lastInputRule = null;
+            closeSlashMenu();
+            closeMentionMenu();
+            
+            document.removeEventListener('click', handleDocumentClick);
+            document.removeEventListener('selectionchange', handleSelectionChange);
+            document.removeEventListener('scroll', schedulePositionUpdate, true);
+            window.removeEventListener('resize', schedulePositionUpdate);
+            if (window.visualViewport) {
+                window.visualViewport.removeEventListener('resize', schedulePositionUpdate);
+                window.visualViewport.removeEventListener('scroll', schedulePositionUpdate);
             }
-            offset += walker.currentNode.textContent.length;
+            document.removeEventListener('pointerup', handlePointerUp);
+            document.removeEventListener('pointercancel', handlePointerUp);
+            window.removeEventListener('beforeunload', handleBeforeUnload);
+            window.removeEventListener('pagehide', flushDrafts);
+            if (coarsePointerQuery && coarsePointerQuery.removeEventListener) {
+                coarsePointerQuery.removeEventListener('change', rebuildToolbar);
+            }
+            clearTimeout(selectionTimer);
+            selectionTimer = null;
+            if (contentObserver) contentObserver.disconnect();
+            if (positionFrame !== null) {
+                window.cancelAnimationFrame(positionFrame);
+                positionFrame = null;
+            }
+            
+            [toolbarElement, headingLayer, colorPicker, linkPopover, imagePopover, imageOverlay, tableToolbar, slashMenu, mentionMenu, findPanel, findOverlay, ...pluginLayers].forEach(node => {
+                if (node && node.parentNode) node.parentNode.removeChild(node);
+            });
+            toolbarElement = null;
+            headingLayer = null;
+            colorPicker = null;
+            colorPickerButton = null;
+            slashMenu = null;
+            mentionMenu = null;
+            linkPopover = null;
+            linkPopoverFields = null;
+            imagePopover = null;
+            imagePopoverFields = null;
+            imageOverlay = null;
+            tableToolbar = null;
+            tableToolbarButtons = [];
+            findPanel = null;
+            findPanelFields = null;
+            findOverlay = null;
+            pluginLayers.length = 0;
+            eventListeners = {};
+            
+            const index = instances.indexOf(api);
+            if (index !== -1) instances.splice(index, 1);
         }
         
-        return offset;
-    }
-    
-    /**
-     * 노드의 텍스트 콘텐츠 가져오기
-     * @param {Node} node - 노드
-     * @returns {string} 텍스트 콘텐츠
-     */
-    function getTextContent(node) {
-        if (node.nodeType === Node.TEXT_NODE) {
-            return node.textContent;
+        /**
+         * 텍스트 선택 처리 함수
+         * @param {Event} event - 이벤트 객체
+         */
+        function handleTextSelection(event) {
+            const element = event.currentTarget;
+            const process = isTextInput(element) ? processTextareaSelection : processContentEditableSelection;
+            
+            // 더블 클릭 이벤트인 경우 약간의 지연 추가
+            if (event.type === 'dblclick') {
+                setTimeout(() => process(element), 10);
+                return;
+            }
+            
+            process(element);
         }
         
-        let text = '';
-        const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT, null, false);
-        while (walker.nextNode()) {
-            text += walker.currentNode.textContent;
+        /**
+         * textarea/input 선택 처리 로직
+         * @param {Element} element - textarea 또는 input 요소
+         */
+        function processTextareaSelection(element) {
+            const start = element.selectionStart;
+            const end = element.selectionEnd;
+            notifySelectionChange(element);
+            
+            // 선택 영역이 없는 경우 툴바 숨김 (커서가 링크 안에 있으면 링크 팝오버 표시)
+            if (start === null || start === end) {
+                hideToolbar();
+                showLinkPopoverAtCaret(element);
+                return;
+            }
+            hideLinkPopover();
+            
+            // 선택 정보 저장
+            currentSelection = {
+                element,
+                isTextarea: true,
+                range: null,
+                text: element.value.slice(start, end),
+                start,
+                end
+            };
+            
+            showToolbar(getSelectionPosition(element));
+            updateToolbarState();
         }
         
-        return text;
-    }
-    
-    /**
-     * 선택 영역의 위치 계산
-     * @param {Element} element - 선택이 발생한 요소
-     * @returns {Object} 위치 정보 (top, left)
-     */
-    function getSelectionPosition(element) {
-        const selection = window.getSelection();
-        if (!selection || selection.rangeCount === 0) {
-            return { top: 0, left: 0 };
+        /**
+         * contenteditable 선택 처리 로직
+         * @param {Element} element - contenteditable 요소
+         */
+        function processContentEditableSelection(element) {
+            // 현재 선택 정보 가져오기
+            const selection = window.getSelection();
+            notifySelectionChange(element);
+            
+            // 선택 영역이 없거나 빈 경우 툴바 숨김 (커서가 링크 안에 있으면 링크 팝오버 표시)
+            if (!selection || selection.isCollapsed) {
+                hideToolbar();
+                showLinkPopoverAtCaret(element);
+                return;
+            }
+            hideLinkPopover();
+            
+            const range = selection.getRangeAt(0);
+            
+            // 선택 영역이 없는 경우 툴바 숨김
+            if (range.collapsed) {
+                hideToolbar();
+                return;
+            }
+            
+            // 선택 영역의 시작과 끝 인덱스 계산
+            const startIndex = getNodeOffset(element, range.startContainer, range.startOffset);
+            const endIndex = getNodeOffset(element, range.endContainer, range.endOffset);
+            
+            // 선택 정보 저장
+            currentSelection = {
+                element,
+                isTextarea: false,
+                range,
+                text: range.toString(),
+                start: startIndex,
+                end: endIndex
+            };
+            
+            // 선택 영역의 위치 계산 및 툴바 표시
+            const position = getSelectionPosition(element);
+            showToolbar(position);
+            updateToolbarState();
         }
-        const range = selection.getRangeAt(0);
-        const rect = range.getBoundingClientRect();
-        
-        // 선택 영역 중앙에 툴바 배치
-        const lineHeight = parseInt(getComputedStyle(element).lineHeight) || parseInt(getComputedStyle(element).fontSize) || 20;
         
-        return {
-            top: rect.top + window.scrollY - (lineHeight / 2),
-            left: rect.left + (rect.width / 2) + window.scrollX,
-            width: rect.width,
-            height: rect.height
-        };
-    }
-    
-    /**
-     * 텍스트의 너비 계산
-     * @param {string} text - 너비를 계산할 텍스트
-     * @param {Element} element - 스타일 참조용 요소
-     * @returns {number} 텍스트 너비
-     */
-    function getTextWidth(text, element) {
-        // 임시 캔버스를 사용하여 텍스트 너비 계산
-        const canvas = getTextWidth.canvas || (getTextWidth.canvas = document.createElement('canvas'));
-        const context = canvas.getContext('2d');
+        /**
+         * 선택 영역 변경 처리 함수 (툴바가 보이는 동안 버튼 상태 갱신)
+         */
+        function handleSelectionChange() {
+            // 터치 핸들이나 길게 누르기로 바뀐 선택 영역은 mouseup이 없으므로 선택이 멈춘 뒤 처리
+            scheduleSelectionSettle();
+            
+            const domSelection = window.getSelection();
+            const anchor = domSelection && domSelection.rangeCount ? domSelection.anchorNode : null;
+            const editor = anchor && editorElements.find(element => !isTextInput(element) && element.contains(anchor));
+            if (editor) {
+                notifySelectionChange(editor);
+            }
+            
+            // 커서가 슬래시 메뉴나 멘션 제안 메뉴의 검색어 밖으로 나가면 메뉴를 닫음
+            updateSlashMenu();
+            updateMentionMenu();
+
+            // 커서가 표 안에 있으면 표 도구 표시
+            updateTableToolbar();
+
+            // 에디터 안의 선택 영역이 선택한 이미지를 벗어나면 선택 해제
+            if (editor && selectedImage && !domSelection.getRangeAt(0).intersectsNode(selectedImage.image)) {
+                deselectImage();
+            }
+            
+            if (!isToolbarVisible || !currentSelection || currentSelection.isTextarea) return;
+            
+            const element = currentSelection.element;
+            const offsets = getSelectionOffsets(element);
+            if (!offsets || offsets.start === offsets.end) return;
+            
+            const range = window.getSelection().getRangeAt(0);
+            currentSelection = {
+                ...currentSelection,
+                range,
+                text: range.toString(),
+                start: offsets.start,
+                end: offsets.end
+            };
+            updateToolbarState();
+        }
         
-        // 요소의 폰트 스타일 적용
-        const fontStyle = getComputedStyle(element);
-        context.font = `${fontStyle.fontSize} ${fontStyle.fontFamily}`;
+        // 마지막 포인터 입력 종류 ('mouse', 'touch', 'pen')
+        let lastPointerType = null;
         
-        // 텍스트 너비 계산 및 패딩 고려
-        const metrics = context.measureText(text);
-        const paddingLeft = parseInt(fontStyle.paddingLeft) || 0;
+        // 마우스 버튼을 누른 채 끌어서 선택하는 중인지 여부 (이 동안에는 mouseup에서 처리)
+        let pointerSelecting = false;
         
-        return metrics.width + paddingLeft;
-    }
-    
-    /**
-     * 툴바 생성 함수
-     */
-    function createToolbar() {
-        // 툴바 컨테이너 생성
-        toolbarElement = document.createElement('div');
-        toolbarElement.className = 'floating-editor';
-        toolbarElement.style.height = '36px'; // 툴바 높이를 36px로 고정
-        toolbarElement.style.margin = '0'; // 마진 제거
-        toolbarElement.style.padding = '0'; // 패딩 제거
-        toolbarElement.style.boxSizing = 'border-box'; // 박스 사이징 설정
-        toolbarElement.style.display = 'flex'; // 플렉스 레이아웃 사용
-        toolbarElement.style.alignItems = 'center'; // 세로 중앙 정렬
-        toolbarElement.style.justifyContent = 'center'; // 가로 중앙 정렬
-        toolbarElement.style.overflow = 'visible'; // 오버플로우 허용
+        // 선택 영역이 멈추기를 기다리는 타이머
+        let selectionTimer = null;
         
-        // 툴바 내부 요소 생성
-        const toolbar = document.createElement('div');
-        toolbar.className = 'floating-editor-toolbar';
-        toolbar.style.height = '36px'; // 툴바 내부 요소 높이도 36px로 고정
-        toolbar.style.margin = '0'; // 마진 제거
-        toolbar.style.padding = '0'; // 패딩 제거
-        toolbar.style.display = 'flex'; // 플렉스 레이아웃 사용
-        toolbar.style.alignItems = 'center'; // 세로 중앙 정렬
-        toolbar.style.justifyContent = 'center'; // 가로 중앙 정렬
-        toolbar.style.boxSizing = 'border-box'; // 박스 사이징 설정
-        toolbar.style.width = '100%'; // 너비 100%로 설정
+        // 터치 화면 여부 (툴바 버튼 크기 결정, 바뀌면 툴바를 다시 그림)
+        const coarsePointerQuery = typeof window.matchMedia === 'function' ? window.matchMedia('(pointer: coarse)') : null;
         
-        // createToolbar() insert icon button for tag editor 
-        if (config.features.heading) {  // 필요에 따라  같은 플래그를 사용할 수 있음
-            toolbar.appendChild(createToolbarButton('format_size', 'font size', toggleHeadingLayer));
-        }
-
-        // bold
-        if (config.features.bold) {
-            toolbar.appendChild(createToolbarButton('format_bold', 'bold', applyBold));
+        /**
+         * 에디터의 pointerdown 처리 (입력 종류 기록)
+         * @param {PointerEvent} event - pointerdown 이벤트
+         */
+        function handlePointerDown(event) {
+            lastPointerType = event.pointerType || 'mouse';
+            pointerSelecting = lastPointerType === 'mouse';
         }
         
-        // italic
-        if (config.features.italic) {
-            toolbar.appendChild(createToolbarButton('format_italic', 'italic', applyItalic));
+        /**
+         * 문서의 pointerup/pointercancel 처리 (에디터 밖에서 버튼을 놓은 경우 포함)
+         */
+        function handlePointerUp() {
+            pointerSelecting = false;
         }
         
-        // underline
-        if (config.features.underline) {
-            toolbar.appendChild(createToolbarButton('format_underlined', 'underline', applyUnderline));
+        /**
+         * 선택 영역이 selectionDelay 동안 바뀌지 않으면 처리하도록 예약
+         */
+        function scheduleSelectionSettle() {
+            clearTimeout(selectionTimer);
+            selectionTimer = setTimeout(handleSelectionSettle, Math.max(0, Number(config.selectionDelay) || 0));
         }
         
-        // strikethrough
-        if (config.features.strikethrough) {
-            toolbar.appendChild(createToolbarButton('strikethrough_s', 'strike', applyStrikethrough));
+        /**
+         * 멈춘 선택 영역 처리 (터치 선택 핸들, 길게 누르기, 보조 기술 등 mouseup/keyup이 없는 선택)
+         */
+        function handleSelectionSettle() {
+            selectionTimer = null;
+            if (pointerSelecting) return;
+            
+            const element = getSelectionEditor();
+            const offsets = element && getSelectionOffsets(element);
+            if (!offsets) return;
+            
+            // mouseup/keyup에서 이미 처리한 선택은 다시 처리하지 않음
+            const handled = offsets.start === offsets.end
+                ? !isToolbarVisible
+                : isToolbarVisible && currentSelection && currentSelection.element === element &&
+                    currentSelection.start === offsets.start && currentSelection.end === offsets.end;
+            if (handled) return;
+            
+            const process = isTextInput(element) ? processTextareaSelection : processContentEditableSelection;
+            process(element);
         }
         
-        // 구분선 추가
-        toolbar.appendChild(createToolbarSeparator());
-        
-        // code
-        if (config.features.code) {
-            toolbar.appendChild(createToolbarButton('code', 'code', applyCode));
+        /**
+         * 선택 영역(또는 포커스)이 있는 에디터 요소
+         * @returns {Element|null} 에디터 요소
+         */
+        function getSelectionEditor() {
+            const active = document.activeElement;
+            if (active && isTextInput(active) && editorElements.includes(active)) return active;
+            const selection = window.getSelection();
+            const anchor = selection && selection.rangeCount ? selection.anchorNode : null;
+            return (anchor && editorElements.find(element => !isTextInput(element) && element.contains(anchor))) || null;
         }
         
-        // link
-        if (config.features.link) {
-            toolbar.appendChild(createToolbarButton('link', 'link', applyLink));
+        /**
+         * 선택 영역의 위치 계산
+         * @param {Element} element - 선택이 발생한 요소
+         * @returns {Object} 위치 정보 (top, left)
+         */
+        function getSelectionPosition(element) {
+            const rect = getSelectionRect();
+            if (!rect) {
+                return { top: 0, left: 0 };
+            }
+            
+            // 선택 영역 중앙에 툴바 배치
+            const lineHeight = parseInt(getComputedStyle(element).lineHeight) || parseInt(getComputedStyle(element).fontSize) || 20;
+            
+            return {
+                top: rect.top + window.scrollY - (lineHeight / 2),
+                left: rect.left + (rect.width / 2) + window.scrollX,
+                width: rect.width,
+                height: rect.height
+            };
         }
         
-        // 구분선 추가
-        toolbar.appendChild(createToolbarSeparator());
-        
-        // clear
-        if (config.features.clear) {
-            toolbar.appendChild(createToolbarButton('format_clear', 'clear format', clearFormatting));
+        /**
+         * 현재 선택 영역의 화면 좌표 계산
+         * @returns {Object|null} 뷰포트 기준 사각형 (top, left, bottom, right, width, height)
+         */
+        function getSelectionRect() {
+            if (currentSelection && currentSelection.isTextarea) {
+                return getTextareaSelectionRect(currentSelection.element, currentSelection.start, currentSelection.end);
+            }
+            const selection = window.getSelection();
+            if (!selection || selection.rangeCount === 0) {
+                return null;
+            }
+            return selection.getRangeAt(0).getBoundingClientRect();
         }
         
-        // 툴바를 컨테이너에 추가
-        toolbarElement.appendChild(toolbar);
-        
-        // 툴바를 문서에 추가
-        document.body.appendChild(toolbarElement);
-    }
-    
-    /**
-     * 툴바 버튼 생성 함수
-     * @param {string} icon - 아이콘 이름 (Material Icons)
-     * @param {string} title - 버튼 툴팁
-     * @param {Function} action - 클릭 시 실행할 함수
-     * @returns {Element} 버튼 요소
-     */
-    function createToolbarButton(icon, title, action) {
-        const button = document.createElement('button');
-        button.className = 'floating-editor-button';
-        button.title = title;
-        button.style.height = '36px'; // 버튼 높이를 36px로 고정
-        button.style.width = '36px'; // 버튼 너비를 36px로 고정
-        button.style.padding = '0'; // 패딩 제거
-        button.style.margin = '0'; // 마진 제거
-        button.style.border = 'none'; // 테두리 제거
-        button.style.display = 'flex'; // 플렉스 레이아웃 사용
-        button.style.alignItems = 'center'; // 세로 중앙 정렬
-        button.style.justifyContent = 'center'; // 가로 중앙 정렬
-        button.style.boxSizing = 'border-box'; // 박스 사이징 설정
-        button.style.flexShrink = '0'; // 축소 방지
-        
-        // 아이콘 요소 생성 및 스타일 적용
-        const iconElement = document.createElement('span');
-        iconElement.className = 'material-icons';
-        iconElement.textContent = icon;
-        iconElement.style.fontSize = '24px'; // 아이콘 크기 설정
-        iconElement.style.lineHeight = '1'; // 라인 높이 조정
-        
-        // 아이콘을 버튼에 추가
-        button.appendChild(iconElement);
-        
-        // 클릭 이벤트 리스너 추가
-        button.addEventListener('click', action);
+        /**
+         * 툴바 생성 함수
+         */
+        function createToolbar() {
+            toolbarButtons = [];
+            headingButton = null;
+            
+            // 툴바 컨테이너 생성
+            toolbarElement = document.createElement('div');
+            toolbarElement.className = 'floating-editor';
+            applyTheme(toolbarElement);
+            
+            // 버튼 클릭 시 에디터의 포커스와 선택 영역이 사라지지 않도록 함
+            toolbarElement.addEventListener('mousedown', event => event.preventDefault());
+            toolbarElement.addEventListener('keydown', handleToolbarKeydown);
+            
+            // 툴바 내부 요소 생성
+            const toolbar = document.createElement('div');
+            toolbar.className = 'floating-editor-toolbar';
+            toolbar.setAttribute('role', 'toolbar');
+            toolbar.setAttribute('aria-label', translate('toolbar'));
+            toolbar.setAttribute('aria-orientation', 'horizontal');
+            
+            // 설정된 순서대로 툴바 항목 생성
+            renderToolbarItems(toolbar, getToolbarItems());
+            
+            // 로빙 tabindex: 툴바 안에서는 하나의 버튼만 Tab으로 들어올 수 있음
+            const buttons = Array.from(toolbar.querySelectorAll('.floating-editor-button'));
+            buttons.forEach((button, index) => {
+                button.tabIndex = index === 0 ? 0 : -1;
+            });
+            
+            // 툴바를 컨테이너에 추가
+            toolbarElement.appendChild(toolbar);
+            
+            // 툴바를 문서에 추가
+            document.body.appendChild(toolbarElement);
+        }
         
-        return button;
-    }
-    
-    /**
-     * 툴바 구분선 생성 함수
-     * @returns {Element} 구분선 요소
-     */
-    function createToolbarSeparator() {
-        const separator = document.createElement('div');
-        separator.className = 'floating-editor-separator';
-        separator.style.height = '24px'; // 구분선 높이 설정
-        separator.style.width = '1px'; // 구분선 너비 설정
-        separator.style.margin = '0 4px'; // 좌우 마진만 설정
-        separator.style.padding = '0'; // 패딩 제거
-        separator.style.boxSizing = 'border-box'; // 박스 사이징 설정
-        separator.style.flexShrink = '0'; // 축소 방지
-        return separator;
-    }
-    
-    /**
-     * 툴바 표시 함수
-     * @param {Object} position - 위치 정보 (top, left)
-     */
-    function showToolbar(position) {
-        if (!toolbarElement) return;
+        // 기본 툴바 항목 (config.toolbar에서 이름으로 사용, 버튼 이름은 언어 사전의 같은 키)
+        const TOOLBAR_ITEMS = {
+            heading: { icon: 'format_size', command: 'heading', action: toggleHeadingLayer },
+            bold: { icon: 'format_bold', command: 'bold' },
+            italic: { icon: 'format_italic', command: 'italic' },
+            underline: { icon: 'format_underlined', command: 'underline' },
+            strikethrough: { icon: 'strikethrough_s', command: 'strikethrough' },
+            color: { icon: 'format_color_text', command: 'color', action: event => toggleColorPicker(event, 'color') },
+            highlight: { icon: 'border_color', command: 'highlight', action: event => toggleColorPicker(event, 'highlight') },
+            increaseFontSize: { icon: 'text_increase', command: 'increaseFontSize', feature: 'fontSize' },
+            decreaseFontSize: { icon: 'text_decrease', command: 'decreaseFontSize', feature: 'fontSize' },
+            code: { icon: 'code', command: 'code' },
+            link: { icon: 'link', command: 'link' },
+            image: { icon: 'image', command: 'image' },
+            comment: { icon: 'add_comment', command: 'comment' },
+            find: { icon: 'search', command: 'find' },
+            bulletList: { icon: 'format_list_bulleted', command: 'bulletList' },
+            orderedList: { icon: 'format_list_numbered', command: 'orderedList' },
+            checklist: { icon: 'checklist', command: 'checklist' },
+            blockquote: { icon: 'format_quote', command: 'blockquote' },
+            codeBlock: { icon: 'data_object', command: 'codeBlock' },
+            horizontalRule: { icon: 'horizontal_rule', command: 'horizontalRule' },
+            table: { icon: 'table_chart', command: 'table' },
+            clear: { icon: 'format_clear', command: 'clear' }
+        };
         
-        // 툴바 크기 정보
-        const toolbarRect = toolbarElement.getBoundingClientRect();
-        const tbWidth = toolbarRect.width;
-        const tbHeight = 36; // 툴바 높이를 36px로 고정
+        /**
+         * config.toolbar를 해석해 그릴 항목 목록 생성
+         * 설정에 없는 플러그인 버튼은 구분선 뒤에 덧붙입니다.
+         * @returns {Array} 항목 목록 ({ type: 'button' | 'separator' | 'group' })
+         */
+        function getToolbarItems() {
+            const layout = Array.isArray(config.toolbar) ? config.toolbar : DEFAULT_CONFIG.toolbar;
+            const used = [];
+            const items = resolveToolbarItems(layout, used);
+            
+            const rest = pluginButtons.filter(item => !used.includes(item.name));
+            if (rest.length) {
+                items.push({ type: 'separator' });
+                rest.forEach(item => items.push({ ...item, type: 'button' }));
+            }
+            return collapseSeparators(items);
+        }
         
-        // 선택 영역 정보 가져오기
-        const selection = window.getSelection();
-        const range = selection.getRangeAt(0);
-        const rect = range.getBoundingClientRect();
+        /**
+         * 툴바 항목 설정을 실제 항목으로 변환
+         * @param {Array} layout - 항목 설정 목록
+         * @param {Array} used - 사용된 항목 이름 (플러그인 버튼 배치 확인용)
+         * @returns {Array} 항목 목록
+         */
+        function resolveToolbarItems(layout, used) {
+            const items = [];
+            layout.forEach(entry => {
+                if (entry === '|') {
+                    items.push({ type: 'separator' });
+                    return;
+                }
+                if (entry && Array.isArray(entry.items)) {
+                    items.push({ type: 'group', label: entry.label, items: collapseSeparators(resolveToolbarItems(entry.items, used)) });
+                    return;
+                }
+                
+                const name = typeof entry === 'string' ? entry : entry && entry.name;
+                // features로 끈 기본 항목은 제외
+                if (name && config.features && config.features[name] === false) return;
+                
+                const base = name && (TOOLBAR_ITEMS[name] || pluginButtons.find(item => item.name === name));
+                if (typeof entry === 'string' && !base) {
+                    console.warn(`FloatingEditor: 알 수 없는 툴바 항목 '${entry}'`);
+                    return;
+                }
+                // 여러 버튼이 한 기능에 속하는 경우 (글자 크기 크게/작게)
+                if (base && base.feature && config.features && config.features[base.feature] === false) return;
+                if (name) used.push(name);
+                items.push({ ...base, ...(typeof entry === 'object' ? entry : {}), name, type: 'button' });
+            });
+            return items;
+        }
         
-        // 툴바 위치 계산 (선택 영역 중앙)
-        let tbLeft = rect.left + (rect.width / 2) - (tbWidth / 2) + window.scrollX;
-        let tbTop = rect.top - tbHeight - 10 + window.scrollY; // 10px 위에 배치
+        /**
+         * 툴바 항목을 컨테이너에 그리기
+         * @param {Element} container - 툴바 또는 그룹 요소
+         * @param {Array} items - 항목 목록
+         */
+        function renderToolbarItems(container, items) {
+            items.forEach(item => {
+                if (item.type === 'separator') {
+                    container.appendChild(createToolbarSeparator());
+                    return;
+                }
+                if (item.type === 'group') {
+                    const group = document.createElement('div');
+                    group.className = 'floating-editor-group';
+                    group.setAttribute('role', 'group');
+                    if (item.label) group.setAttribute('aria-label', item.label);
+                    renderToolbarItems(group, item.items);
+                    container.appendChild(group);
+                    return;
+                }
+                
+                const command = item.command && commands[item.command];
+                const action = item.action
+                    ? event => item.action(event, currentSelection)
+                    : () => executeCommand(item.command);
+                const isActive = item.isActive || (command && command.isActive);
+                const label = item.label || item.title || (TOOLBAR_ITEMS[item.name] ? translate(item.name) : item.name) || '';
+                const button = createToolbarButton(item.icon, label, action, isActive);
+                if (item.name) button.dataset.name = item.name;
+                if (item.command) button.dataset.command = item.command;
+                if (item.name === 'heading') {
+                    headingButton = button;
+                    button.setAttribute('aria-haspopup', 'menu');
+                    button.setAttribute('aria-expanded', 'false');
+                }
+                if (item.name === 'color' || item.name === 'highlight') {
+                    button.setAttribute('aria-haspopup', 'menu');
+                    button.setAttribute('aria-expanded', 'false');
+                }
+                
+                // 명령에 단축키가 있으면 툴팁과 보조 기술에 알림
+                const shortcut = item.command && getShortcut(item.command);
+                if (shortcut) {
+                    button.title = `${button.title} (${formatShortcut(shortcut)})`;
+                    button.setAttribute('aria-keyshortcuts', formatShortcut(shortcut, true));
+                }
+                container.appendChild(button);
+            });
+        }
         
-        // 화면 경계 처리
-        if (tbLeft < window.scrollX + 10) {
-            tbLeft = window.scrollX + 10;
+        /**
+         * 툴바를 다시 생성 (설정 변경, 플러그인 버튼 추가 시)
+         * 툴바가 표시 중이면 같은 위치에 다시 표시하고 현재 선택 영역을 유지합니다.
+         */
+        function rebuildToolbar() {
+            if (!toolbarElement) return;
+            const selection = currentSelection;
+            const wasVisible = isToolbarVisible;
+            
+            document.body.removeChild(toolbarElement);
+            toolbarElement = null;
+            createToolbar();
+            
+            if (wasVisible && selection) {
+                currentSelection = selection;
+                toolbarElement.style.zIndex = '9999';
+                positionToolbar();
+                toolbarElement.classList.add('visible');
+                isToolbarVisible = true;
+                updateToolbarState();
+            }
         }
-        if (tbLeft + tbWidth > window.scrollX + window.innerWidth - 10) {
-            tbLeft = window.scrollX + window.innerWidth - tbWidth - 10;
+        
+        /**
+         * 툴바 버튼 생성 함수
+         * @param {string} icon - 아이콘 이름 (Material Icons, 없으면 title을 글자로 표시)
+         * @param {string} title - 버튼 툴팁
+         * @param {Function} action - 클릭 시 실행할 함수
+         * @param {Function} [isActive] - 선택 영역을 받아 버튼의 활성 상태를 반환하는 함수
+         * @returns {Element} 버튼 요소
+         */
+        function createToolbarButton(icon, title, action, isActive) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'floating-editor-button';
+            button.title = title;
+            button.setAttribute('aria-label', title);
+            
+            // 아이콘 요소 생성 (크기는 테마의 --floating-editor-button-size)
+            let iconElement = createIcon(icon);
+            if (!iconElement) {
+                // 아이콘이 없는 사용자 버튼과 아이콘 어댑터에 없는 아이콘은 이름을 글자로 표시
+                iconElement = document.createElement('span');
+                iconElement.className = 'floating-editor-button-text';
+                iconElement.textContent = title;
+                button.classList.add('text-only');
+            }
+            
+            // 아이콘을 버튼에 추가
+            button.appendChild(iconElement);
+            
+            // 클릭 이벤트 리스너 추가
+            button.addEventListener('click', action);
+            
+            // 상태를 가진 버튼은 눌림 상태를 보조 기술에 알림
+            if (isActive) {
+                button.setAttribute('aria-pressed', 'false');
+                toolbarButtons.push({ button, isActive });
+            }
+            
+            return button;
         }
-        if (tbTop < window.scrollY + 10) {
-            tbTop = rect.bottom + 10 + window.scrollY;
+        
+        /**
+         * 툴바 버튼 크기 (CSS의 --floating-editor-button-size, 터치 화면에서는 touchTargetSize)
+         * @returns {number} 버튼 크기(px)
+         */
+        function getButtonSize() {
+            const size = window.getComputedStyle(toolbarElement).getPropertyValue('--floating-editor-button-size');
+            return parseFloat(size) || 36;
         }
         
-        toolbarElement.style.left = `${tbLeft}px`;
-        toolbarElement.style.top = `${tbTop}px`;
-        toolbarElement.style.position = 'absolute';
-        toolbarElement.style.zIndex = '9999';
+        /**
+         * 마크 타입의 활성 상태 확인 함수 생성
+         * @param {string} type - 마크 타입
+         * @returns {Function} 선택 영역을 받아 활성 여부를 반환하는 함수
+         */
+        function createMarkState(type) {
+            return selection => isFormatActive(selection, type);
+        }
         
-        toolbarElement.classList.add('visible');
-        isToolbarVisible = true;
-    }
-    
-    /**
-     * 툴바 숨김 함수
-     */
-    function hideToolbar() {
-        if (!toolbarElement) return;
+        /**
+         * 현재 선택 영역에 맞춰 툴바 버튼의 활성 상태 갱신
+         */
+        function updateToolbarState() {
+            if (!toolbarElement || !currentSelection) return;
+            
+            toolbarButtons.forEach(({ button, isActive }) => {
+                const active = Boolean(isActive(currentSelection));
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+            
+            // 한 줄짜리 input에서는 블록 명령 버튼을 비활성화
+            toolbarElement.querySelectorAll('.floating-editor-button[data-command]').forEach(button => {
+                button.disabled = !isCommandEnabled(button.dataset.command, currentSelection);
+            });
+            
+            // heading 버튼과 레이어에 현재 블록 타입 표시
+            const blockType = getSelectionBlockType(currentSelection);
+            if (headingButton) {
+                let label = headingButton.querySelector('.floating-editor-button-label');
+                if (!label) {
+                    label = document.createElement('span');
+                    label.className = 'floating-editor-button-label';
+                    headingButton.appendChild(label);
+                }
+                label.textContent = isHeadingType(blockType) ? blockType.toUpperCase() : '';
+                headingButton.setAttribute('aria-label', label.textContent
+                    ? `${headingButton.title}: ${label.textContent}`
+                    : headingButton.title);
+            }
+            if (headingLayer) {
+                Array.from(headingLayer.children).forEach(item => {
+                    const command = item.dataset.command && commands[item.dataset.command];
+                    const active = command
+                        ? Boolean(command.isActive && command.isActive(currentSelection))
+                        : item.dataset.value === blockType;
+                    item.classList.toggle('active', active);
+                    if (item.hasAttribute('aria-checked')) item.setAttribute('aria-checked', String(active));
+                });
+            }
+        }
         
-        toolbarElement.classList.remove('visible');
-        isToolbarVisible = false;
-        currentSelection = null;
-    }
-    
-    /**
-     * 문서 클릭 이벤트 처리 함수
-     * @param {Event} event - 이벤트 객체
-     */
-    function handleDocumentClick(event) {
-        if (toolbarElement && toolbarElement.contains(event.target)) {
-            event.stopPropagation();
-            return;
+        /**
+         * 툴바 표시 함수
+         * @param {Object} position - 위치 정보 (top, left)
+         */
+        function showToolbar(position) {
+            if (!toolbarElement) return;
+            
+            // 툴바 위치 계산 (선택 영역 중앙 toolbarOffset 위, 공간이 없으면 아래, 좁은 화면에서는 화면 아래에 고정)
+            toolbarElement.style.zIndex = '9999';
+            const placed = positionToolbar();
+            if (!placed) return;
+            
+            toolbarElement.classList.add('visible');
+            isToolbarVisible = true;
+            
+            const { element, start, end } = currentSelection;
+            emit(element, 'toolbar:show', { start, end, top: placed.top, left: placed.left });
         }
-
-        // heading 레이어가 열려 있으면, 클릭한 대상이 heading 레이어 내부에 있지 않으면 숨김
-        if (headingLayer && headingLayer.style.display !== 'none' && !headingLayer.contains(event.target)) {
-            headingLayer.style.display = 'none';
+        
+        /**
+         * 툴바 숨김 함수
+         */
+        function hideToolbar() {
+            if (!toolbarElement) return;
+            
+            const wasVisible = isToolbarVisible;
+            const selection = currentSelection;
+            toolbarElement.classList.remove('visible');
+            isToolbarVisible = false;
+            currentSelection = null;
+            
+            if (wasVisible) {
+                emit(selection && selection.element, 'toolbar:hide', selection ? { start: selection.start, end: selection.end } : {});
+            }
         }
         
-        if (editorElements.some(el => el.contains(event.target))) {
-            return;
+        /**
+         * 문서 클릭 이벤트 처리 함수
+         * @param {Event} event - 이벤트 객체
+         */
+        function handleDocumentClick(event) {
+            if (toolbarElement && toolbarElement.contains(event.target)) {
+                event.stopPropagation();
+                return;
+            }
+
+            // heading 레이어가 열려 있으면, 클릭한 대상이 heading 레이어 내부에 있지 않으면 숨김
+            if (headingLayer && headingLayer.style.display !== 'none' && !headingLayer.contains(event.target)) {
+                closeHeadingLayer(false);
+            }
+            
+            // 글자색/배경색 선택 레이어 바깥을 클릭하면 닫음
+            if (colorPicker && colorPicker.style.display !== 'none' && !colorPicker.contains(event.target)) {
+                closeColorPicker(false);
+            }
+            
+            // 슬래시 메뉴 바깥을 클릭하면 닫음
+            if (slashMenu && !slashMenu.contains(event.target)) {
+                closeSlashMenu();
+            }
+            if (mentionMenu && !mentionMenu.contains(event.target)) {
+                closeMentionMenu();
+            }
+            
+            // 플러그인 레이어도 바깥을 클릭하면 숨김
+            pluginLayers.forEach(layer => {
+                if (layer.style.display !== 'none' && !layer.contains(event.target)) {
+                    hideLayer(layer);
+                }
+            });
+            
+            // 선택한 이미지와 이미지 팝오버, 크기 조절 핸들 바깥을 클릭하면 이미지 선택 해제
+            const isImageUi = [imagePopover, imageOverlay].some(node => node && node.contains(event.target));
+            if (selectedImage && event.target !== selectedImage.image && !isImageUi) {
+                deselectImage();
+            }
+            // (슬래시 메뉴의 이미지 항목을 눌러 방금 연 팝오버는 유지)
+            if (imageTarget && !isImageUi && !(selectedImage && event.target === selectedImage.image) &&
+                !(slashMenu && slashMenu.contains(event.target))) {
+                hideImagePopover();
+            }
+            
+            // 링크 팝오버 바깥(에디터 제외)을 클릭하면 숨김
+            if (linkPopover && !linkPopover.contains(event.target) &&
+                !editorElements.some(el => el.contains(event.target))) {
+                hideLinkPopover();
+            }
+            
+            // 에디터나 툴바에서 연 레이어(heading 메뉴 등)를 클릭한 경우 툴바 유지
+            if (editorElements.some(el => el.contains(event.target)) ||
+                [headingLayer, colorPicker, ...pluginLayers].some(layer => layer && layer.contains(event.target))) {
+                return;
+            }
+            hideToolbar();
         }
-        hideToolbar();
-    }
 
-    /**
-     * Heading layer create
-     */
-    let headingLayer = null;
+        /**
+         * Heading layer create
+         */
+        let headingLayer = null;
 
-    // Heading 레이어 생성 함수
-    function createHeadingLayer() {
-        const layer = document.createElement('div');
-        layer.className = 'heading-layer';
-        // 기본 스타일 (추후 CSS 파일로 분리 가능)
-        layer.style.position = 'absolute';
-        layer.style.backgroundColor = '#ffffff';
-        layer.style.border = '1px solid #e2e8f0';
-        layer.style.boxShadow = '0 2px 10px rgba(0, 0, 0, 0.2)';
-        layer.style.padding = '4px';
-        layer.style.display = 'none';
-        layer.style.zIndex = '10000';
-
-        // 각 옵션에 적용할 폰트 크기 (기본 HTML heading 태그 크기에 맞춤)
-        const fontSizes = {
-            h1: '2em',
-            h2: '1.5em',
-            h3: '1.17em',
-            p: '1em'
-        };
-        // 옵션 목록 생성
-        const options = [
-            { label: 'H1', value: 'h1' },
-            { label: 'H2', value: 'h2' },
-            { label: 'H3', value: 'h3' },
-            { label: 'Text', value: 'p' } // 일반 텍스트
-        ];
+        // Heading 레이어 생성 함수
+        function createHeadingLayer() {
+            const layer = document.createElement('div');
+            layer.className = 'heading-layer';
+            applyTheme(layer);
+            layer.style.display = 'none';
+            layer.setAttribute('role', 'menu');
+            layer.setAttribute('aria-label', translate('heading'));
+            layer.addEventListener('mousedown', event => event.preventDefault());
+            layer.addEventListener('keydown', handleHeadingLayerKeydown);
 
-        options.forEach(opt => {
-            const item = document.createElement('div');
-            item.textContent = opt.label;
-            item.style.padding = '4px 8px';
-            item.style.cursor = 'pointer';
-            if (fontSizes[opt.value]) {
-                item.style.fontSize = fontSizes[opt.value];
-            }
-            item.addEventListener('click', () => {
-                // contenteditable 요소에 포커스 재설정
-                if (savedRange) {
-                    // 저장된 범위의 시작 노드의 부모 요소에 포커스를 줍니다.
-                    savedRange.startContainer.parentElement.focus();
-                    restoreSelection();
-                }
-                const tag = `<${opt.value}>`; // 태그 이름만 전달 (h1, h2, h3, p)  `<${opt.value}>`; or <${opt.value}>
+            // 옵션 목록 생성 (command가 있는 옵션은 블록 명령 실행, features로 끈 명령은 제외)
+            // 옵션의 글자 크기는 CSS에서 data-value로 지정 (기본 HTML heading 태그 크기에 맞춤)
+            const options = [
+                { key: 'heading1', value: 'h1' },
+                { key: 'heading2', value: 'h2' },
+                { key: 'heading3', value: 'h3' },
+                { key: 'paragraph', value: 'p' }, // 일반 텍스트
+                { key: 'bulletList', command: 'bulletList' },
+                { key: 'orderedList', command: 'orderedList' },
+                { key: 'checklist', command: 'checklist' },
+                { key: 'blockquote', command: 'blockquote' },
+                { key: 'codeBlock', command: 'codeBlock' },
+                { key: 'horizontalRule', command: 'horizontalRule' }
+            ].filter(opt => !opt.command || !config.features || config.features[opt.command] !== false);
 
-                console.log('tag:', tag);
-                console.log('Current range:', savedRange);
-                console.log('Format tag:', tag);
-                const result = document.execCommand("formatBlock", false, tag);
-                console.log('execCommand result:', result);
-                layer.style.display = 'none';
-            });
-            item.addEventListener('mouseover', () => {
-                item.style.backgroundColor = '#f7fafc';
+            options.forEach(opt => {
+                const item = document.createElement('div');
+                item.textContent = translate(opt.key);
+                item.tabIndex = -1;
+                if (opt.command) {
+                    // 구분선은 상태가 없는 일반 메뉴 항목
+                    item.dataset.command = opt.command;
+                    item.setAttribute('role', opt.command === 'horizontalRule' ? 'menuitem' : 'menuitemcheckbox');
+                    if (opt.command !== 'horizontalRule') item.setAttribute('aria-checked', 'false');
+                } else {
+                    item.dataset.value = opt.value;
+                    item.setAttribute('role', 'menuitemradio');
+                    item.setAttribute('aria-checked', 'false');
+                }
+                item.addEventListener('click', event => {
+                    // 툴바를 연 시점의 선택 영역에 블록 타입 적용
+                    if (opt.command) {
+                        executeCommand(opt.command);
+                    } else {
+                        formatBlock(opt.value);
+                    }
+                    // 키보드로 선택한 경우(detail 0) heading 버튼으로 포커스 복귀
+                    closeHeadingLayer(event.detail === 0);
+                });
+                layer.appendChild(item);
             });
-            item.addEventListener('mouseout', () => {
-                item.style.backgroundColor = '#ffffff';
+
+            document.body.appendChild(layer);
+            return layer;
+        }
+
+        // Heading 버튼 클릭 시 호출되는 토글 함수
+        function toggleHeadingLayer(event) {
+            event.stopPropagation();  // 클릭 이벤트 버블링 방지
+
+            // 레이어 보이기/숨기기 (키보드로 누른 경우(detail 0) 메뉴 항목으로 포커스 이동)
+            if (!headingLayer || headingLayer.style.display === 'none' || headingLayer.style.display === '') {
+                openHeadingLayer(headingButton || event.target, event.detail === 0);
+            } else {
+                closeHeadingLayer(false);
+            }
+        }
+
+        /**
+         * heading 레이어 열기
+         * @param {Element} anchor - 레이어를 붙일 기준 요소 (heading 버튼)
+         * @param {boolean} focusItem - 현재 블록 타입 항목(없으면 첫 항목)으로 포커스 이동 여부
+         */
+        function openHeadingLayer(anchor, focusItem) {
+            if (!headingLayer) {
+                headingLayer = createHeadingLayer();
+                updateToolbarState();
+            }
+            // 버튼 바로 아래에 표시
+            showLayer(headingLayer, anchor);
+            if (headingButton) headingButton.setAttribute('aria-expanded', 'true');
+
+            if (focusItem) {
+                const items = Array.from(headingLayer.children);
+                (items.find(item => item.classList.contains('active')) || items[0]).focus();
+            }
+        }
+
+        /**
+         * heading 레이어 닫기
+         * @param {boolean} returnFocus - heading 버튼으로 포커스를 돌려줄지 여부
+         */
+        function closeHeadingLayer(returnFocus) {
+            if (!headingLayer) return;
+            headingLayer.style.display = 'none';
+            if (headingButton) {
+                headingButton.setAttribute('aria-expanded', 'false');
+                if (returnFocus) headingButton.focus();
+            }
+        }
+
+        /**
+         * heading 레이어 키보드 탐색 (위/아래 화살표, Home/End, Enter/Space로 선택, Escape로 닫기)
+         * @param {KeyboardEvent} event - keydown 이벤트
+         */
+        function handleHeadingLayerKeydown(event) {
+            const items = Array.from(headingLayer.children);
+            const index = items.indexOf(document.activeElement);
+
+            switch (event.key) {
+                case 'ArrowDown':
+                    items[(index + 1) % items.length].focus();
+                    break;
+                case 'ArrowUp':
+                    items[(index - 1 + items.length) % items.length].focus();
+                    break;
+                case 'Home':
+                    items[0].focus();
+                    break;
+                case 'End':
+                    items[items.length - 1].focus();
+                    break;
+                case 'Enter':
+                case ' ':
+                    if (index !== -1) items[index].click();
+                    break;
+                case 'Escape':
+                    closeHeadingLayer(true);
+                    break;
+                case 'Tab':
+                    closeHeadingLayer(false);
+                    return;
+                default:
+                    return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+        }
+        
+        /**
+         * 글자색/배경색 선택 레이어 (열 때마다 종류에 맞는 팔레트로 다시 그림)
+         */
+        let colorPicker = null;
+        let colorPickerButton = null;
+
+        /**
+         * 글자색/배경색 버튼 클릭 시 선택 레이어 토글
+         * @param {MouseEvent} event - 클릭 이벤트
+         * @param {string} type - 'color' 또는 'highlight'
+         */
+        function toggleColorPicker(event, type) {
+            event.stopPropagation();
+
+            const isOpen = colorPicker && colorPicker.style.display !== 'none';
+            const sameType = isOpen && colorPicker.dataset.type === type;
+            if (isOpen) closeColorPicker(false);
+            if (!sameType) {
+                // 키보드로 누른 경우(detail 0) 현재 색 항목으로 포커스 이동
+                openColorPicker(type, event.currentTarget, event.detail === 0);
+            }
+        }
+
+        /**
+         * 선택 레이어 열기
+         * @param {string} type - 'color' 또는 'highlight'
+         * @param {Element} anchor - 레이어를 붙일 툴바 버튼
+         * @param {boolean} focusItem - 현재 색 항목(없으면 첫 항목)으로 포커스 이동 여부
+         */
+        function openColorPicker(type, anchor, focusItem) {
+            if (!colorPicker) {
+                colorPicker = document.createElement('div');
+                colorPicker.className = 'floating-editor-layer color-picker';
+                applyTheme(colorPicker);
+                colorPicker.style.position = 'absolute';
+                colorPicker.style.display = 'none';
+                colorPicker.style.zIndex = '10000';
+                colorPicker.setAttribute('role', 'menu');
+                colorPicker.addEventListener('mousedown', event => event.preventDefault());
+                colorPicker.addEventListener('keydown', handleColorPickerKeydown);
+                document.body.appendChild(colorPicker);
+            }
+            renderColorPicker(type);
+
+            colorPickerButton = anchor;
+            colorPickerButton.setAttribute('aria-expanded', 'true');
+            showLayer(colorPicker, anchor);
+
+            if (focusItem) {
+                const items = Array.from(colorPicker.children);
+                (items.find(item => item.classList.contains('active')) || items[0]).focus();
+            }
+        }
+
+        /**
+         * 선택 레이어 항목 그리기 (첫 항목은 색 제거)
+         * @param {string} type - 'color' 또는 'highlight'
+         */
+        function renderColorPicker(type) {
+            const isHighlight = type === 'highlight';
+            const current = currentSelection && !currentSelection.isTextarea
+                ? getCommonMark(currentSelection.element, currentSelection.start, currentSelection.end, type)
+                : null;
+            const currentName = current ? current.attrs.color || null : null;
+
+            colorPicker.dataset.type = type;
+            colorPicker.setAttribute('aria-label', translate(type));
+            colorPicker.textContent = '';
+
+            const entries = [{ name: null, label: translate(isHighlight ? 'noHighlight' : 'defaultColor') }].concat(getPalette(type));
+            entries.forEach(entry => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'color-picker-item';
+                item.tabIndex = -1;
+                item.title = entry.label || getPaletteLabel(type, entry.name);
+                item.setAttribute('aria-label', item.title);
+                item.setAttribute('role', 'menuitemradio');
+
+                const active = Boolean(entry.name) && entry.name === currentName;
+                item.classList.toggle('active', active);
+                item.setAttribute('aria-checked', String(active));
+
+                if (!entry.name) {
+                    item.appendChild(createIcon(isHighlight ? 'format_color_reset' : 'format_clear') || document.createTextNode('×'));
+                } else if (isHighlight) {
+                    item.dataset.value = entry.name;
+                    item.style.backgroundColor = entry.value || '';
+                } else {
+                    // 글자색은 견본 글자로 표시
+                    item.dataset.value = entry.name;
+                    item.textContent = 'A';
+                    item.style.color = entry.value || '';
+                }
+
+                item.addEventListener('click', event => {
+                    executeCommand(type, entry.name || undefined);
+                    // 키보드로 선택한 경우(detail 0) 툴바 버튼으로 포커스 복귀
+                    closeColorPicker(event.detail === 0);
+                });
+                colorPicker.appendChild(item);
+            });
+        }
+
+        /**
+         * 선택 레이어 닫기
+         * @param {boolean} returnFocus - 레이어를 연 툴바 버튼으로 포커스를 돌려줄지 여부
+         */
+        function closeColorPicker(returnFocus) {
+            if (!colorPicker) return;
+            hideLayer(colorPicker);
+            if (colorPickerButton) {
+                colorPickerButton.setAttribute('aria-expanded', 'false');
+                if (returnFocus) colorPickerButton.focus();
+            }
+        }
+
+        /**
+         * 선택 레이어 키보드 탐색 (화살표, Home/End, Enter/Space로 선택, Escape로 닫기)
+         * @param {KeyboardEvent} event - keydown 이벤트
+         */
+        function handleColorPickerKeydown(event) {
+            const items = Array.from(colorPicker.children);
+            const index = items.indexOf(document.activeElement);
+
+            switch (event.key) {
+                case 'ArrowRight':
+                case 'ArrowDown':
+                    items[(index + 1) % items.length].focus();
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowUp':
+                    items[(index - 1 + items.length) % items.length].focus();
+                    break;
+                case 'Home':
+                    items[0].focus();
+                    break;
+                case 'End':
+                    items[items.length - 1].focus();
+                    break;
+                case 'Enter':
+                case ' ':
+                    if (index !== -1) items[index].click();
+                    break;
+                case 'Escape':
+                    closeColorPicker(true);
+                    break;
+                case 'Tab':
+                    closeColorPicker(false);
+                    return;
+                default:
+                    return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+        }
+        
+        /**
+         * Link popover create
+         */
+        let linkPopover = null;
+        let linkPopoverFields = null;
+
+        // 링크 팝오버가 편집 중인 대상 ({ element, start, end, isExisting })
+        let linkTarget = null;
+
+        /**
+         * 링크 URL 검증 및 정규화
+         * 스킴이 없는 도메인에는 https://를, 이메일 주소에는 mailto:를 붙입니다.
+         * @param {string} value - 입력한 URL
+         * @returns {string|null} 정규화된 URL (허용되지 않는 URL이면 null)
+         */
+        function normalizeUrl(value) {
+            const schemes = getSanitizerRules(config).allowedSchemes;
+            const url = (value || '').trim();
+            if (!url || /\s/.test(url)) return null;
+
+            // 문서 내 앵커와 상대 경로
+            if (/^(#|\/|\.\.?\/|\?)/.test(url)) return url;
+
+            const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+            if (scheme) {
+                if (!schemes.includes(scheme[1].toLowerCase())) return null;
+                return isValidUrl(url) ? url : null;
+            }
+
+            // 이메일 주소
+            if (/^[^@/]+@[^@/]+\.[^@/]+$/.test(url)) return `mailto:${url}`;
+
+            // 도메인 형태 (example.com/path)
+            const candidate = `https://${url}`;
+            return /^[^/]+\.[^/]+/.test(url) && isValidUrl(candidate) ? candidate : null;
+        }
+
+        // 링크 팝오버 생성 함수
+        function createLinkPopover() {
+            const layer = document.createElement('div');
+            layer.className = 'floating-editor-layer link-popover';
+            // 모양은 editor.css (테마 변수)
+            applyTheme(layer);
+            layer.style.position = 'absolute';
+            layer.style.display = 'none';
+            layer.style.zIndex = '10000';
+            layer.setAttribute('role', 'dialog');
+            layer.setAttribute('aria-label', translate('linkDialog'));
+
+            const urlInput = createLinkPopoverInput(layer, 'url', translate('url'), 'https://');
+            const textInput = createLinkPopoverInput(layer, 'text', translate('linkText'), '');
+
+            // 새 탭에서 열기
+            const newTabRow = document.createElement('label');
+            newTabRow.className = 'link-popover-row link-popover-checkbox';
+            const newTabInput = document.createElement('input');
+            newTabInput.type = 'checkbox';
+            newTabRow.appendChild(newTabInput);
+            newTabRow.appendChild(document.createTextNode(` ${translate('openInNewTab')}`));
+            layer.appendChild(newTabRow);
+
+            const error = document.createElement('div');
+            error.className = 'link-popover-error';
+            error.setAttribute('role', 'alert');
+            layer.appendChild(error);
+
+            // 동작 버튼
+            const actions = document.createElement('div');
+            actions.className = 'link-popover-actions';
+            const applyButton = document.createElement('button');
+            applyButton.type = 'button';
+            applyButton.className = 'link-popover-apply';
+            applyButton.textContent = translate('apply');
+            applyButton.addEventListener('click', applyLinkFromPopover);
+            actions.appendChild(applyButton);
+
+            const openButton = createLinkPopoverAction(createIcon('open_in_new'), translate('openLink'), () => {
+                const href = normalizeUrl(urlInput.value);
+                if (href) window.open(href, '_blank', 'noopener');
+            });
+            const copyButton = createLinkPopoverAction(createIcon('content_copy'), translate('copyLink'), copyLinkFromPopover);
+            const removeButton = createLinkPopoverAction(createIcon('link_off'), translate('removeLink'), removeLinkFromPopover);
+            actions.appendChild(openButton);
+            actions.appendChild(copyButton);
+            actions.appendChild(removeButton);
+            layer.appendChild(actions);
+
+            // Enter는 적용, Escape는 닫고 에디터로 복귀
+            layer.addEventListener('keydown', event => {
+                if (event.key === 'Enter' && event.target.tagName === 'INPUT' && event.target.type !== 'checkbox') {
+                    event.preventDefault();
+                    applyLinkFromPopover();
+                } else if (event.key === 'Escape') {
+                    event.preventDefault();
+                    closeLinkPopover();
+                }
+            });
+            urlInput.addEventListener('input', () => {
+                error.textContent = '';
+            });
+
+            linkPopoverFields = {
+                url: urlInput,
+                text: textInput,
+                newTab: newTabInput,
+                newTabRow,
+                error,
+                open: openButton,
+                copy: copyButton,
+                remove: removeButton
+            };
+
+            document.body.appendChild(layer);
+            return layer;
+        }
+
+        /**
+         * 링크 팝오버 표시
+         * @param {Object} target - 링크 대상 (getLinkTarget 결과)
+         * @param {boolean} focus - URL 입력 필드에 포커스할지 여부
+         */
+        function showLinkPopover(target, focus) {
+            if (!linkPopover) {
+                linkPopover = createLinkPopover();
+            }
+            linkTarget = target;
+
+            const fields = linkPopoverFields;
+            fields.url.value = target.href;
+            fields.text.value = target.text;
+            fields.newTab.checked = target.newTab;
+            fields.error.textContent = '';
+            // textarea(Markdown)는 새 탭 속성을 표현할 수 없음
+            fields.newTabRow.style.display = isTextInput(target.element) ? 'none' : '';
+            fields.open.disabled = !target.isExisting;
+            fields.copy.disabled = !target.isExisting;
+            fields.remove.disabled = !target.isExisting;
+
+            linkPopover.style.display = 'block';
+            positionLinkPopover();
+
+            if (focus) {
+                fields.url.focus();
+                fields.url.select();
+            }
+        }
+
+        /**
+         * 링크 팝오버를 링크 범위 바로 아래(공간이 없으면 위)에 배치
+         */
+        function positionLinkPopover() {
+            const { element, start, end } = linkTarget;
+            const rect = getOffsetLineRects(element, start, end);
+            const { top, left } = getFloatingPosition(rect, linkPopover.offsetWidth, linkPopover.offsetHeight, { placement: 'bottom', align: 'start', gap: 4, layer: linkPopover });
+            linkPopover.style.top = `${top}px`;
+            linkPopover.style.left = `${left}px`;
+        }
+
+        /**
+         * 커서가 기존 링크 안에 있으면 링크 팝오버 표시
+         * @param {Element} element - 에디터 요소
+         */
+        function showLinkPopoverAtCaret(element) {
+            const offsets = getSelectionOffsets(element);
+            const target = offsets ? getLinkTarget(element, offsets.start, offsets.end) : null;
+            if (target && target.isExisting) {
+                showLinkPopover(target, false);
+            } else {
+                hideLinkPopover();
+            }
+        }
+
+        /**
+         * 링크 팝오버 숨김
+         */
+        function hideLinkPopover() {
+            if (linkPopover) {
+                linkPopover.style.display = 'none';
+            }
+            linkTarget = null;
+        }
+
+        /**
+         * 링크 팝오버를 닫고 에디터의 링크 범위를 다시 선택
+         */
+        function closeLinkPopover() {
+            const target = linkTarget;
+            hideLinkPopover();
+            if (target) {
+                target.element.focus();
+                restoreSelectionOffsets(target.element, target.start, target.end);
+            }
+        }
+
+        /**
+         * 링크 팝오버 입력값으로 링크 생성 또는 수정
+         */
+        function applyLinkFromPopover() {
+            if (!linkTarget) return;
+            const fields = linkPopoverFields;
+            const href = normalizeUrl(fields.url.value);
+            if (!href) {
+                fields.error.textContent = translate('invalidUrl');
+                fields.url.focus();
+                return;
+            }
+
+            const { element, start, end } = linkTarget;
+            const text = fields.text.value || linkTarget.text || href;
+            let next;
+
+            if (emit(element, 'format:before', { format: 'link', value: href, start, end }).defaultPrevented) {
+                hideLinkPopover();
+                return;
+            }
+
+            if (isTextInput(element)) {
+                replaceTextRange(element, start, end, text);
+                next = applyMarkdownLink(element, start, start + text.length, href);
+            } else {
+                if (text !== getTextContent(element).slice(start, end)) {
+                    replaceText(element, start, end, text);
+                }
+                const attrs = { href };
+                if (fields.newTab.checked) {
+                    attrs.target = '_blank';
+                    attrs.rel = 'noopener';
+                }
+                applyMark(element, start, start + text.length, 'link', attrs);
+                next = { start, end: start + text.length };
+            }
+
+            recordHistory(element, { selectionBefore: { start, end }, selectionAfter: next });
+            emit(element, 'format:after', { format: 'link', value: href, start: next.start, end: next.end });
+            hideLinkPopover();
+            element.focus();
+            restoreSelectionOffsets(element, next.start, next.end);
+            if (isTextInput(element)) {
+                processTextareaSelection(element);
+            } else {
+                processContentEditableSelection(element);
+            }
+        }
+
+        /**
+         * 링크 팝오버 대상의 링크 제거
+         */
+        function removeLinkFromPopover() {
+            if (!linkTarget || !linkTarget.isExisting) return;
+            const { element, start, end } = linkTarget;
+            let next = { start, end };
+            if (emit(element, 'format:before', { format: 'link', value: null, start, end }).defaultPrevented) {
+                return;
+            }
+            if (isTextInput(element)) {
+                next = removeMarkdownLink(element, start, end);
+            } else {
+                removeMark(element, start, end, 'link');
+            }
+
+            recordHistory(element, { selectionBefore: { start, end }, selectionAfter: next });
+            emit(element, 'format:after', { format: 'link', value: null, start: next.start, end: next.end });
+            hideLinkPopover();
+            element.focus();
+            restoreSelectionOffsets(element, next.start, next.end);
+        }
+
+        /**
+         * 링크 팝오버의 URL을 클립보드에 복사
+         */
+        function copyLinkFromPopover() {
+            const fields = linkPopoverFields;
+            const href = normalizeUrl(fields.url.value) || fields.url.value;
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(href).catch(() => {
+                    fields.url.select();
+                });
+            } else {
+                // 클립보드 API를 쓸 수 없으면 직접 복사할 수 있도록 URL 선택
+                fields.url.focus();
+                fields.url.select();
+            }
+        }
+
+        // ---------------------------
+        // 이미지 (삽입 팝오버, 크기 조절, 업로드)
+        // ---------------------------
+
+        let imagePopover = null;
+        let imagePopoverFields = null;
+        let imageOverlay = null;
+
+        // 이미지 팝오버가 편집 중인 대상 ({ element, start, end, range, image: 기존 이미지 또는 null })
+        let imageTarget = null;
+
+        // 선택한 이미지 ({ element, image }, 크기 조절 핸들 표시)
+        let selectedImage = null;
+
+        // 업로드 자리 표시 이미지의 id에 붙이는 번호
+        let uploadCount = 0;
+
+        /**
+         * 이미지 팝오버 생성 (링크 팝오버와 같은 구성)
+         * @returns {Element} 팝오버 요소
+         */
+        function createImagePopover() {
+            const layer = document.createElement('div');
+            layer.className = 'floating-editor-layer link-popover image-popover';
+            applyTheme(layer);
+            layer.style.position = 'absolute';
+            layer.style.display = 'none';
+            layer.style.zIndex = '10000';
+            layer.setAttribute('role', 'dialog');
+            layer.setAttribute('aria-label', translate('imageDialog'));
+
+            const urlInput = createLinkPopoverInput(layer, 'url', translate('url'), 'https://');
+            const altInput = createLinkPopoverInput(layer, 'text', translate('altText'), translate('altTextPlaceholder'));
+
+            const error = document.createElement('div');
+            error.className = 'link-popover-error';
+            error.setAttribute('role', 'alert');
+            layer.appendChild(error);
+
+            const actions = document.createElement('div');
+            actions.className = 'link-popover-actions';
+            const applyButton = document.createElement('button');
+            applyButton.type = 'button';
+            applyButton.className = 'link-popover-apply';
+            applyButton.textContent = translate('apply');
+            applyButton.addEventListener('click', applyImageFromPopover);
+            actions.appendChild(applyButton);
+            const removeButton = createLinkPopoverAction(createIcon('delete'), translate('removeImage'), removeImageFromPopover);
+            actions.appendChild(removeButton);
+            layer.appendChild(actions);
+
+            // Enter는 적용, Escape는 닫고 에디터로 복귀
+            layer.addEventListener('keydown', event => {
+                if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
+                    event.preventDefault();
+                    applyImageFromPopover();
+                } else if (event.key === 'Escape') {
+                    event.preventDefault();
+                    closeImagePopover();
+                }
+            });
+            urlInput.addEventListener('input', () => {
+                error.textContent = '';
+            });
+
+            imagePopoverFields = { url: urlInput, alt: altInput, error, remove: removeButton };
+            document.body.appendChild(layer);
+            return layer;
+        }
+
+        /**
+         * 이미지 팝오버 표시
+         * @param {Object} target - 편집 대상 ({ element, start, end, range, image })
+         * @param {boolean} focus - URL 입력 필드에 포커스할지 여부
+         */
+        function showImagePopover(target, focus) {
+            if (!imagePopover) {
+                imagePopover = createImagePopover();
+            }
+            imageTarget = target;
+
+            const fields = imagePopoverFields;
+            fields.url.value = target.image ? target.image.getAttribute('src') || '' : '';
+            fields.alt.value = target.image ? target.image.getAttribute('alt') || '' : '';
+            fields.error.textContent = '';
+            fields.remove.disabled = !target.image;
+
+            imagePopover.style.display = 'block';
+            positionImagePopover();
+
+            if (focus) {
+                fields.url.focus();
+                fields.url.select();
+            }
+        }
+
+        /**
+         * 이미지 팝오버를 이미지(또는 삽입할 위치) 바로 아래에 배치
+         */
+        function positionImagePopover() {
+            const rect = imageTarget.image
+                ? imageTarget.image.getBoundingClientRect()
+                : getOffsetRangeRect(imageTarget.element, imageTarget.start, imageTarget.end);
+            const { top, left } = getFloatingPosition(rect, imagePopover.offsetWidth, imagePopover.offsetHeight, { placement: 'bottom', align: 'start', gap: 4, layer: imagePopover });
+            imagePopover.style.top = `${top}px`;
+            imagePopover.style.left = `${left}px`;
+        }
+
+        /**
+         * 이미지 팝오버 숨김
+         */
+        function hideImagePopover() {
+            if (imagePopover) {
+                imagePopover.style.display = 'none';
+            }
+            imageTarget = null;
+        }
+
+        /**
+         * 이미지 팝오버를 닫고 에디터의 원래 위치로 포커스 복귀
+         */
+        function closeImagePopover() {
+            const target = imageTarget;
+            hideImagePopover();
+            if (!target) return;
+            target.element.focus();
+            if (target.image) {
+                selectImage(target.element, target.image);
+            } else {
+                restoreSelectionOffsets(target.element, target.start, target.end);
+            }
+        }
+
+        /**
+         * 선택 영역에 이미지를 넣는 팝오버 열기 (image 명령)
+         * @param {Object} selection - 선택 정보 (currentSelection)
+         */
+        function openImageInsert(selection) {
+            if (!selection) return;
+            const { element, start, end } = selection;
+            const domSelection = window.getSelection();
+            // 블록 경계에서도 같은 위치에 넣을 수 있도록 현재 DOM 위치를 기억
+            const range = !isTextInput(element) && domSelection.rangeCount && element.contains(domSelection.anchorNode)
+                ? domSelection.getRangeAt(0).cloneRange()
+                : null;
+            hideToolbar();
+            showImagePopover({ element, start, end, range, image: null }, true);
+        }
+
+        /**
+         * 이미지 팝오버 입력값으로 이미지 삽입 또는 수정
+         */
+        function applyImageFromPopover() {
+            if (!imageTarget) return;
+            const fields = imagePopoverFields;
+            const src = normalizeUrl(fields.url.value);
+            if (!src) {
+                fields.error.textContent = translate('invalidImageUrl');
+                fields.url.focus();
+                return;
+            }
+
+            const { element, start, end, range, image } = imageTarget;
+            const alt = fields.alt.value.trim();
+            if (emit(element, 'format:before', { format: 'image', value: src, start, end }).defaultPrevented) {
+                hideImagePopover();
+                return;
+            }
+
+            hideImagePopover();
+            element.focus();
+            let next = { start, end: start };
+            if (image) {
+                image.setAttribute('src', src);
+                image.setAttribute('alt', alt);
+            } else if (isTextInput(element)) {
+                const markdown = `![${alt.replace(/([\\[\]])/g, '\\$1')}](${src.replace(/[()\s]/g, encodeURIComponent)})`;
+                replaceTextRange(element, start, end, markdown);
+                next = { start: start + markdown.length, end: start + markdown.length };
+            } else {
+                const target = range || setSelectionOffsets(element, start, end);
+                insertHTML(element, target, createImageHTML({ src, alt }));
+                next = getSelectionOffsets(element) || next;
+            }
+
+            recordHistory(element, { selectionBefore: { start, end }, selectionAfter: next });
+            emit(element, 'format:after', { format: 'image', value: src, start: next.start, end: next.end });
+            if (image) {
+                selectImage(element, image);
+            } else if (isTextInput(element)) {
+                restoreSelectionOffsets(element, next.start, next.end);
+            }
+        }
+
+        /**
+         * 이미지 팝오버가 편집 중인 이미지 삭제
+         */
+        function removeImageFromPopover() {
+            if (!imageTarget || !imageTarget.image) return;
+            const { element, image } = imageTarget;
+            const offset = getNodeOffset(element, image.parentNode, Array.prototype.indexOf.call(image.parentNode.childNodes, image));
+            if (emit(element, 'format:before', { format: 'image', value: null, start: offset, end: offset }).defaultPrevented) return;
+
+            hideImagePopover();
+            deselectImage();
+            const range = document.createRange();
+            range.setStartBefore(image);
+            range.collapse(true);
+            image.parentNode.removeChild(image);
+            element.focus();
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+
+            recordHistory(element, { selectionBefore: { start: offset, end: offset } });
+            emit(element, 'format:after', { format: 'image', value: null, start: offset, end: offset });
+        }
+
+        /**
+         * 크기 조절 핸들을 그리는 레이어 생성
+         * @returns {Element} 레이어 요소
+         */
+        function createImageOverlay() {
+            const overlay = document.createElement('div');
+            overlay.className = 'image-resize-overlay';
+            applyTheme(overlay);
+            overlay.style.position = 'absolute';
+            overlay.style.display = 'none';
+            overlay.style.zIndex = '9998';
+            overlay.style.pointerEvents = 'none';
+
+            ['nw', 'ne', 'sw', 'se'].forEach(corner => {
+                const handle = document.createElement('div');
+                handle.className = `image-resize-handle image-resize-handle-${corner}`;
+                handle.dataset.corner = corner;
+                handle.style.pointerEvents = 'auto';
+                handle.addEventListener('pointerdown', startImageResize);
+                overlay.appendChild(handle);
+            });
+
+            document.body.appendChild(overlay);
+            return overlay;
+        }
+
+        /**
+         * 이미지 선택: 이미지를 DOM 선택 영역으로 잡고 크기 조절 핸들과 편집 팝오버 표시
+         * @param {Element} element - 에디터 요소
+         * @param {Element} image - img 요소
+         */
+        function selectImage(element, image) {
+            selectedImage = { element, image };
+            const range = document.createRange();
+            range.selectNode(image);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+
+            if (!imageOverlay) {
+                imageOverlay = createImageOverlay();
+            }
+            positionImageOverlay();
+            imageOverlay.style.display = 'block';
+            hideToolbar();
+            const offset = getNodeOffset(element, image.parentNode, Array.prototype.indexOf.call(image.parentNode.childNodes, image));
+            showImagePopover({ element, start: offset, end: offset, range: null, image }, false);
+        }
+
+        /**
+         * 크기 조절 레이어를 선택한 이미지 위치에 맞춤
+         */
+        function positionImageOverlay() {
+            if (!selectedImage || !imageOverlay) return;
+            const rect = selectedImage.image.getBoundingClientRect();
+            const { top, left } = toLayerPosition(imageOverlay, rect.top, rect.left);
+            imageOverlay.style.top = `${top}px`;
+            imageOverlay.style.left = `${left}px`;
+            imageOverlay.style.width = `${rect.width}px`;
+            imageOverlay.style.height = `${rect.height}px`;
+        }
+
+        /**
+         * 이미지 선택 해제
+         */
+        function deselectImage() {
+            if (!selectedImage) return;
+            if (imageTarget && imageTarget.image === selectedImage.image) {
+                hideImagePopover();
+            }
+            selectedImage = null;
+            if (imageOverlay) imageOverlay.style.display = 'none';
+        }
+
+        /**
+         * 에디터 안의 이미지를 누르면 선택
+         * @param {MouseEvent} event - click 이벤트
+         */
+        function handleImageClick(event) {
+            const image = event.target;
+            if (image.tagName !== 'IMG' || image.hasAttribute('data-upload-id')) return;
+            selectImage(event.currentTarget, image);
+        }
+
+        /**
+         * 크기 조절 핸들 드래그 (가로 길이만 width 속성으로 저장하고 세로는 비율에 맞춤)
+         * @param {PointerEvent} event - pointerdown 이벤트
+         */
+        function startImageResize(event) {
+            if (!selectedImage) return;
+            event.preventDefault();
+            const { element, image } = selectedImage;
+            const corner = event.currentTarget.dataset.corner;
+            const startX = event.clientX;
+            const startWidth = image.getBoundingClientRect().width;
+            const maxWidth = element.clientWidth || Infinity;
+            const before = image.getAttribute('width');
+
+            const move = moveEvent => {
+                const delta = (moveEvent.clientX - startX) * (corner.indexOf('w') !== -1 ? -1 : 1);
+                const width = Math.round(Math.min(maxWidth, Math.max(IMAGE_MIN_WIDTH, startWidth + delta)));
+                image.setAttribute('width', String(width));
+                image.removeAttribute('height');
+                positionImageOverlay();
+            };
+            const end = () => {
+                document.removeEventListener('pointermove', move);
+                document.removeEventListener('pointerup', end);
+                if (image.getAttribute('width') !== before) {
+                    recordHistory(element);
+                    emit(element, 'image:resize', { image, width: parseInt(image.getAttribute('width'), 10) });
+                }
+                if (selectedImage && selectedImage.image === image) selectImage(element, image);
+            };
+            document.addEventListener('pointermove', move);
+            document.addEventListener('pointerup', end);
+        }
+
+        /**
+         * 이미지 파일 업로드: 자리 표시 이미지를 먼저 넣고 config.uploadImage가 돌려준 URL로 바꿈
+         * 업로드에 실패하면 자리 표시 이미지를 지우고 upload:error 이벤트를 보냅니다.
+         * @param {Element} element - 에디터 요소
+         * @param {Range} range - 삽입 위치
+         * @param {Array} files - 이미지 파일 목록
+         */
+        function uploadImages(element, range, files) {
+            const selectionBefore = getSelectionOffsets(element);
+            const uploads = files.map(file => ({ file, id: `upload-${++uploadCount}`, preview: createPreviewUrl(file) }));
+            insertHTML(element, range, uploads.map(upload => createImageHTML({
+                src: upload.preview,
+                alt: upload.file.name,
+                'data-upload-id': upload.id,
+                class: 'image-uploading'
+            })).join(''));
+            recordHistory(element, selectionBefore ? { selectionBefore } : {});
+            hideToolbar();
+
+            uploads.forEach(({ file, id, preview }) => {
+                emit(element, 'upload:start', { file });
+                Promise.resolve()
+                    .then(() => config.uploadImage(file))
+                    .then(url => {
+                        if (typeof url !== 'string' || !isAllowedUrl(url, getSanitizerRules(config).allowedSchemes)) {
+                            throw new Error(`FloatingEditor: 허용되지 않는 이미지 URL '${url}'`);
+                        }
+                        finishUpload(element, id, image => {
+                            image.setAttribute('src', url);
+                            image.removeAttribute('data-upload-id');
+                            image.removeAttribute('class');
+                        });
+                        emit(element, 'upload:end', { file, url });
+                    })
+                    .catch(error => {
+                        finishUpload(element, id, image => image.parentNode.removeChild(image));
+                        emit(element, 'upload:error', { file, error });
+                    })
+                    .then(() => revokePreviewUrl(preview));
+            });
+        }
+
+        /**
+         * 업로드가 끝난 자리 표시 이미지를 에디터와 히스토리 스냅샷에서 모두 갱신
+         * (실행 취소로 되돌아가도 업로드 중인 이미지가 다시 나타나지 않도록)
+         * @param {Element} element - 에디터 요소
+         * @param {string} id - 업로드 id
+         * @param {Function} update - (img) => void
+         */
+        function finishUpload(element, id, update) {
+            if (!histories.has(element)) return;
+            const selector = `img[data-upload-id="${id}"]`;
+            const history = getHistory(element);
+            [...history.undoStack, history.current, ...history.redoStack].forEach(snapshot => {
+                if (snapshot.content.indexOf(id) === -1) return;
+                const template = document.createElement('template');
+                template.innerHTML = snapshot.content;
+                const image = template.content.querySelector(selector);
+                if (!image) return;
+                update(image);
+                const container = document.createElement('div');
+                container.appendChild(template.content);
+                snapshot.content = container.innerHTML;
+            });
+
+            const image = element.querySelector(selector);
+            if (image) {
+                update(image);
+                emitChange(element, history.current);
+            }
+        }
+
+        /**
+         * 붙여넣기/드롭한 데이터에 이미지 파일만 있으면 업로드
+         * @param {Element} element - 에디터 요소
+         * @param {DataTransfer} data - 클립보드 또는 드래그 데이터
+         * @param {Range|null} range - 삽입 위치
+         * @returns {boolean} 이미지 파일을 처리했는지 여부 (업로드 어댑터가 없으면 삽입하지 않고 무시)
+         */
+        function handleImageFiles(element, data, range) {
+            const files = getImageFiles(data);
+            if (!files.length) return false;
+            if (range && typeof config.uploadImage === 'function') {
+                uploadImages(element, range, files);
+            }
+            return true;
+        }
+
+        // ---------------------------
+        // 실행 취소 / 다시 실행
+        // ---------------------------
+
+        // 에디터 요소별 히스토리 ({ undoStack, redoStack, current, lastInput })
+        const histories = new Map();
+
+        /**
+         * 에디터의 히스토리 가져오기 (없으면 현재 상태로 생성)
+         * @param {Element} element - 에디터 요소
+         * @returns {Object} 히스토리
+         */
+        function getHistory(element) {
+            if (!histories.has(element)) {
+                histories.set(element, {
+                    undoStack: [],
+                    redoStack: [],
+                    current: takeSnapshot(element),
+                    lastInput: null
+                });
+            }
+            return histories.get(element);
+        }
+
+        /**
+         * 스냅샷을 에디터에 복원
+         * @param {Element} element - 에디터 요소
+         * @param {Object} snapshot - 복원할 스냅샷
+         */
+        function restoreSnapshot(element, snapshot) {
+            hideToolbar();
+            if (isTextInput(element)) {
+                element.value = snapshot.content;
+            } else {
+                element.innerHTML = snapshot.content;
+            }
+            if (snapshot.selection) {
+                element.focus();
+                restoreSelectionOffsets(element, snapshot.selection.start, snapshot.selection.end);
+            }
+            emitChange(element, snapshot);
+        }
+
+        /**
+         * 현재 에디터 상태를 히스토리에 기록
+         * @param {Element} element - 에디터 요소
+         * @param {Object} options - { typing: 병합 단위, selectionBefore: 변경 전 선택 오프셋, selectionAfter: 변경 후 선택 오프셋 }
+         */
+        function recordHistory(element, options = {}) {
+            const history = getHistory(element);
+            const snapshot = takeSnapshot(element);
+            if (options.selectionAfter) {
+                snapshot.selection = options.selectionAfter;
+            }
+
+            if (snapshot.content === history.current.content) {
+                history.current.selection = snapshot.selection;
+                return;
+            }
+
+            const now = Date.now();
+            const lastInput = history.lastInput;
+            const merge = options.typing && lastInput && lastInput.kind === options.typing &&
+                now - lastInput.time < TYPING_MERGE_DELAY;
+
+            if (!merge) {
+                const entry = history.current;
+                if (options.selectionBefore) {
+                    entry.selection = options.selectionBefore;
+                }
+                history.undoStack.push(entry);
+                if (history.undoStack.length > HISTORY_LIMIT) {
+                    history.undoStack.shift();
+                }
+            }
+
+            history.redoStack = [];
+            history.current = snapshot;
+            history.lastInput = options.typing ? { kind: options.typing, time: now } : null;
+            emitChange(element, snapshot);
+        }
+
+        /**
+         * 실행 취소
+         * @param {Element} element - 에디터 요소
+         * @returns {boolean} 실행 여부
+         */
+        function undo(element) {
+            if (!element) return false;
+            recordHistory(element);
+            const history = getHistory(element);
+            if (!history.undoStack.length) return false;
+
+            history.redoStack.push(history.current);
+            history.current = history.undoStack.pop();
+            history.lastInput = null;
+            restoreSnapshot(element, history.current);
+            return true;
+        }
+
+        /**
+         * 다시 실행
+         * @param {Element} element - 에디터 요소
+         * @returns {boolean} 실행 여부
+         */
+        function redo(element) {
+            if (!element) return false;
+            recordHistory(element);
+            const history = getHistory(element);
+            if (!history.redoStack.length) return false;
+
+            history.undoStack.push(history.current);
+            history.current = history.redoStack.pop();
+            history.lastInput = null;
+            restoreSnapshot(element, history.current);
+            return true;
+        }
+
+        /**
+         * 실행 취소 가능 여부
+         * @param {Element} element - 에디터 요소
+         * @returns {boolean} 가능 여부
+         */
+        function canUndo(element) {
+            if (!element) return false;
+            const history = getHistory(element);
+            return history.undoStack.length > 0 || readContent(element) !== history.current.content;
+        }
+
+        /**
+         * 다시 실행 가능 여부
+         * @param {Element} element - 에디터 요소
+         * @returns {boolean} 가능 여부
+         */
+        function canRedo(element) {
+            if (!element) return false;
+            const history = getHistory(element);
+            return history.redoStack.length > 0 && readContent(element) === history.current.content;
+        }
+
+        /**
+         * 실행 취소/다시 실행 단축키 처리 (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y)
+         * @param {KeyboardEvent} event - 키보드 이벤트
+         */
+        function handleHistoryKeydown(event) {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            const key = event.key.toLowerCase();
+            const element = event.currentTarget;
+
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                undo(element);
+            } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.metaKey)) {
+                event.preventDefault();
+                redo(element);
+            }
+        }
+
+        /**
+         * 입력 직전 처리: 브라우저 메뉴의 실행 취소를 에디터 히스토리로 연결하고 변경 전 선택 영역 저장
+         * @param {InputEvent} event - beforeinput 이벤트
+         */
+        function handleBeforeInput(event) {
+            const element = event.currentTarget;
+            if (event.inputType === 'historyUndo' || event.inputType === 'historyRedo') {
+                event.preventDefault();
+                if (event.inputType === 'historyUndo') {
+                    undo(element);
+                } else {
+                    redo(element);
+                }
+                return;
+            }
+            const history = getHistory(element);
+            if (!history.lastInput || history.lastInput.kind !== getTypingKind(event.inputType)) {
+                history.current.selection = getSelectionOffsets(element);
+            }
+        }
+
+        /**
+         * 입력 처리: 타이핑을 히스토리에 기록
+         * @param {InputEvent} event - input 이벤트
+         */
+        function handleEditorInput(event) {
+            recordHistory(event.currentTarget, { typing: getTypingKind(event.inputType) });
+        }
+
+        // ---------------------------
+        // 붙여넣기 / 드롭
+        // ---------------------------
+
+        /**
+         * 붙여넣기 처리: HTML은 정리한 뒤 직접 삽입, 이미지 파일은 업로드 어댑터로 업로드
+         * @param {ClipboardEvent} event - paste 이벤트
+         */
+        function handlePaste(event) {
+            const data = event.clipboardData;
+            if (!data || !data.types) return;
+            const selection = window.getSelection();
+            const element = event.currentTarget;
+
+            if (!Array.from(data.types).includes('text/html')) {
+                const range = selection.rangeCount ? selection.getRangeAt(0) : null;
+                if (handleImageFiles(element, data, range)) event.preventDefault();
+                return;
+            }
+            if (!selection.rangeCount) return;
+
+            event.preventDefault();
+            const selectionBefore = getSelectionOffsets(element);
+            insertHTML(element, selection.getRangeAt(0), removeCommentAnchors(sanitizeHTML(data.getData('text/html'), { source: 'paste', config })));
+            recordHistory(element, { selectionBefore });
+            hideToolbar();
+        }
+
+        /**
+         * 드롭 처리: 외부에서 끌어온 HTML은 정리한 뒤 드롭 위치에 삽입, 이미지 파일은 업로드 어댑터로 업로드
+         * @param {DragEvent} event - drop 이벤트
+         */
+        function handleDrop(event) {
+            const data = event.dataTransfer;
+            if (isInternalDrag || !data) return;
+
+            const range = getRangeFromPoint(event.clientX, event.clientY);
+            const element = event.currentTarget;
+            const inside = range && element.contains(range.startContainer);
+            if (!Array.from(data.types || []).includes('text/html')) {
+                // 에디터 밖 위치로 계산되어도 브라우저가 파일을 열지 않도록 기본 동작은 막음
+                if (handleImageFiles(element, data, inside ? range : null)) event.preventDefault();
+                return;
+            }
+            if (!inside) return;
+
+            event.preventDefault();
+            const selectionBefore = getSelectionOffsets(element);
+            insertHTML(element, range, removeCommentAnchors(sanitizeHTML(data.getData('text/html'), { source: 'drop', config })));
+            recordHistory(element, { selectionBefore });
+            hideToolbar();
+        }
+
+        // ---------------------------
+        // 콘텐츠 직렬화 (HTML / Markdown / JSON)
+        // ---------------------------
+
+        /**
+         * 내보내기용으로 정리·정규화한 내용을 담은 컨테이너 생성
+         * textarea는 Markdown 값을 HTML로 변환해 사용합니다.
+         * @param {Element} element - 에디터 요소
+         * @returns {Element} 분리된 div 컨테이너
+         */
+        function createExportContainer(element) {
+            const source = isTextInput(element) ? markdownToHTML(element.value) : element.innerHTML;
+            return parseHTML(sanitizeHTML(source, { source: 'export', config }));
+        }
+
+        /**
+         * 에디터 내용을 HTML로 내보내기 (정리·정규화된 HTML)
+         * @param {Element} element - 에디터 요소
+         * @returns {string} HTML
+         */
+        function exportHTML(element) {
+            if (!element) return '';
+            return createExportContainer(element).innerHTML;
+        }
+
+        /**
+         * 에디터 내용을 Markdown으로 내보내기
+         * @param {Element} element - 에디터 요소
+         * @returns {string} Markdown
+         */
+        function exportMarkdown(element) {
+            if (!element) return '';
+            if (isTextInput(element)) return element.value;
+            return htmlToMarkdown(createExportContainer(element));
+        }
+
+        /**
+         * 에디터 내용을 JSON 문서 트리로 내보내기
+         * @param {Element} element - 에디터 요소
+         * @returns {Object} { type: 'doc', content: [...] }
+         */
+        function exportJSON(element) {
+            if (!element) return null;
+            return { type: 'doc', content: blocksToJSON(createExportContainer(element)) };
+        }
+
+        /**
+         * HTML을 정리한 뒤 에디터 내용으로 설정 (실행 취소 가능)
+         * @param {Element} element - 에디터 요소
+         * @param {string} html - 설정할 HTML
+         */
+        function loadHTML(element, html) {
+            if (!element) return;
+            const clean = sanitizeHTML(html || '', { source: 'api', config });
+            // textarea는 주석을 지원하지 않으므로 앵커를 빼고 Markdown으로 변환
+            replaceContent(element, isTextInput(element) ? htmlToMarkdown(parseHTML(removeCommentAnchors(clean))) : clean);
+        }
+
+        /**
+         * Markdown을 에디터 내용으로 설정 (실행 취소 가능)
+         * @param {Element} element - 에디터 요소
+         * @param {string} markdown - 설정할 Markdown
+         */
+        function loadMarkdown(element, markdown) {
+            if (!element) return;
+            if (isTextInput(element)) {
+                replaceContent(element, markdown || '');
+                return;
+            }
+            replaceContent(element, sanitizeHTML(markdownToHTML(markdown || ''), { source: 'api', config }));
+        }
+
+        /**
+         * JSON 문서 트리를 에디터 내용으로 설정 (실행 취소 가능)
+         * @param {Element} element - 에디터 요소
+         * @param {Object|string} json - getJSON() 형식의 문서 (문자열도 허용)
+         */
+        function loadJSON(element, json) {
+            if (!element) return;
+            const doc = typeof json === 'string' ? JSON.parse(json) : json;
+            const container = document.createElement('div');
+            container.appendChild(jsonToFragment((doc && doc.content) || []));
+            loadHTML(element, container.innerHTML);
+        }
+
+        /**
+         * 에디터의 내용을 교체하고 히스토리에 기록
+         * @param {Element} element - 에디터 요소
+         * @param {string} content - contenteditable은 HTML, textarea는 텍스트
+         */
+        function replaceContent(element, content) {
+            const selectionBefore = getSelectionOffsets(element);
+            hideToolbar();
+            hideLinkPopover();
+            if (isTextInput(element)) {
+                element.value = content;
+            } else {
+                element.innerHTML = content;
+            }
+            recordHistory(element, { selectionBefore });
+        }
+
+        // ---------------------------
+        // 이벤트와 플러그인
+        // ---------------------------
+
+        // 이벤트 이름별 리스너 목록 (on/off로 관리)
+        let eventListeners = {};
+
+        // 이름으로 실행할 수 있는 명령 ({ run(selection, ...args), isActive(selection) })
+        const commands = {};
+
+        // 플러그인이 추가한 툴바 버튼 ({ name, icon, label, command, action, isActive })과 레이어
+        const pluginButtons = [];
+        const pluginLayers = [];
+
+        // 플러그인이 등록한 명령 이름 (슬래시 메뉴에 표시)
+        const pluginCommands = [];
+
+        // 마지막으로 알린 선택 영역 (같은 선택에 대해 selectionchange를 반복해서 보내지 않도록)
+        let lastNotifiedSelection = null;
+
+        /**
+         * 에디터 이벤트 발생
+         * @param {Element|null} element - 이벤트가 발생한 에디터 요소
+         * @param {string} type - 이벤트 이름
+         * @param {Object} detail - 이벤트 정보 (start/end 등)
+         * @returns {Object} 이벤트 객체 (defaultPrevented로 취소 여부 확인)
+         */
+        function emit(element, type, detail = {}) {
+            const event = {
+                type,
+                element,
+                ...detail,
+                defaultPrevented: false,
+                preventDefault() {
+                    this.defaultPrevented = true;
+                }
+            };
+
+            (eventListeners[type] || []).slice().forEach(handler => {
+                try {
+                    handler.call(api, event);
+                } catch (error) {
+                    console.error(`FloatingEditor: '${type}' 리스너 오류`, error);
+                }
+            });
+            return event;
+        }
+
+        /**
+         * 내용 변경 이벤트 발생
+         * @param {Element} element - 에디터 요소
+         * @param {Object} snapshot - 변경 후 히스토리 스냅샷
+         */
+        function emitChange(element, snapshot) {
+            const selection = snapshot.selection || { start: 0, end: 0 };
+            // 찾는 중이면 바뀐 내용으로 결과를 다시 계산
+            if (findState && findState.element === element) {
+                updateFindMatches();
+            }
+            handleContentChange(element);
+            emit(element, 'change', { start: selection.start, end: selection.end });
+        }
+
+        /**
+         * 선택 영역이 바뀌었으면 selectionchange 이벤트 발생
+         * @param {Element} element - 에디터 요소
+         */
+        function notifySelectionChange(element) {
+            const offsets = getSelectionOffsets(element);
+            if (!offsets) return;
+            const last = lastNotifiedSelection;
+            if (last && last.element === element && last.start === offsets.start && last.end === offsets.end) return;
+
+            lastNotifiedSelection = { element, ...offsets };
+            const text = isTextInput(element)
+                ? element.value.slice(offsets.start, offsets.end)
+                : getTextContent(element).slice(offsets.start, offsets.end);
+            emit(element, 'selectionchange', { start: offsets.start, end: offsets.end, text });
+        }
+
+        /**
+         * 명령 등록 (같은 이름이 있으면 교체)
+         * @param {string} name - 명령 이름
+         * @param {Object|Function} command - { run, isActive } 또는 run 함수
+         */
+        function registerCommand(name, command) {
+            commands[name] = typeof command === 'function' ? { run: command } : command;
+        }
+
+        /**
+         * 현재 선택 영역에 명령 실행
+         * @param {string} name - 명령 이름
+         * @param {...*} args - 명령에 전달할 인자
+         * @returns {boolean} 실행 여부 (없는 명령이거나 선택 영역의 에디터에서 쓸 수 없으면 false)
+         */
+        function executeCommand(name, ...args) {
+            const command = commands[name];
+            if (!command || !isCommandEnabled(name, currentSelection)) return false;
+            command.run(currentSelection, ...args);
+            return true;
+        }
+
+        // 줄 단위로 적용되는 블록 명령 (한 줄짜리 input에서는 줄바꿈이 사라져 쓸 수 없음)
+        const BLOCK_COMMANDS = [
+            'heading', 'bulletList', 'orderedList', 'checklist', 'indent', 'outdent', 'toggleChecked',
+            'blockquote', 'codeBlock', 'horizontalRule', 'table'
+        ];
+
+        /**
+         * 선택 영역의 에디터에서 명령을 쓸 수 있는지 확인
+         * @param {string} name - 명령 이름
+         * @param {Object|null} selection - 선택 정보
+         * @returns {boolean} 사용 가능 여부
+         */
+        function isCommandEnabled(name, selection) {
+            return !(selection && isSingleLineInput(selection.element) && BLOCK_COMMANDS.includes(name));
+        }
+
+        // 기본 명령
+        ['bold', 'italic', 'underline', 'strikethrough', 'code'].forEach(type => {
+            registerCommand(type, { run: () => toggleFormat(type), isActive: createMarkState(type) });
+        });
+        registerCommand('link', { run: applyLink, isActive: createMarkState('link') });
+        registerCommand('image', { run: openImageInsert });
+        registerCommand('heading', {
+            run: (selection, tag) => formatBlock(tag || 'p'),
+            isActive: selection => isHeadingType(getSelectionBlockType(selection))
+        });
+        registerCommand('clear', { run: clearFormatting });
+        registerCommand('comment', {
+            run: selection => selection && addComment(selection.element),
+            isActive: selection => !selection.isTextarea && isMarkActive(selection.element, selection.start, selection.end, 'comment')
+        });
+        // 찾기 (한 줄짜리 선택 영역이 있으면 검색어로 사용)
+        registerCommand('find', (selection, query) => {
+            const text = selection && selection.text && !selection.text.includes('\n') ? selection.text : undefined;
+            openFindPanel(selection ? selection.element : resolveTarget(), query === undefined ? text : query);
+        });
+        registerCommand('findNext', () => stepFindMatch(1));
+        registerCommand('findPrevious', () => stepFindMatch(-1));
+
+        // 글자색, 배경색, 글자 크기 (값은 팔레트 색 이름과 크기 단계, 생략하면 제거)
+        ['color', 'highlight'].forEach(type => {
+            registerCommand(type, { run: (selection, name) => applyColor(type, name), isActive: createMarkState(type) });
+        });
+        registerCommand('fontSize', { run: (selection, size) => applyFontSize(size), isActive: createMarkState('fontSize') });
+        registerCommand('increaseFontSize', { run: () => changeFontSize(1) });
+        registerCommand('decreaseFontSize', { run: () => changeFontSize(-1) });
+
+        // 블록 명령 (목록, 인용, 코드 블록, 구분선)
+        const LIST_COMMANDS = { bulletList: 'bullet', orderedList: 'ordered', checklist: 'check' };
+        Object.keys(LIST_COMMANDS).forEach(name => {
+            const type = LIST_COMMANDS[name];
+            registerCommand(name, { run: () => formatList(type), isActive: selection => isListSelection(selection, type) });
+        });
+        registerCommand('indent', { run: () => indentList(false) });
+        registerCommand('outdent', { run: () => indentList(true) });
+        registerCommand('toggleChecked', { run: toggleChecked });
+        registerCommand('blockquote', { run: formatBlockquote, isActive: isBlockquoteSelection });
+        registerCommand('codeBlock', {
+            run: (selection, language) => formatCodeBlock(language),
+            isActive: isCodeBlockSelection
+        });
+        registerCommand('horizontalRule', { run: insertRule });
+
+        // 표 명령 (커서가 있는 표에 적용)
+        registerCommand('table', { run: insertTableCommand });
+        registerCommand('addRowBefore', { run: () => addTableRow(false) });
+        registerCommand('addRowAfter', { run: () => addTableRow(true) });
+        registerCommand('addColumnBefore', { run: () => addTableColumn(false) });
+        registerCommand('addColumnAfter', { run: () => addTableColumn(true) });
+        registerCommand('deleteRow', { run: () => deleteTableCells(false) });
+        registerCommand('deleteColumn', { run: () => deleteTableCells(true) });
+        registerCommand('mergeCells', {
+            run: () => runTableCommand('mergeCells', ({ table, cells }) => mergeTableCells(table, cells) || false)
+        });
+        registerCommand('splitCell', {
+            run: () => runTableCommand('splitCell', ({ table, cell }) => splitTableCell(table, cell) && cell)
+        });
+        registerCommand('toggleHeaderRow', {
+            run: () => runTableCommand('toggleHeaderRow', ({ table, cell }) => toggleTableHeaderRow(table, cell)),
+            isActive: () => {
+                const target = getActiveTable();
+                return Boolean(target && target.table.tHead);
+            }
+        });
+        registerCommand('deleteTable', { run: () => runTableCommand('deleteTable', ({ table }) => removeTable(table)) });
+
+        /**
+         * 플러그인 설치
+         * 플러그인은 함수이거나 install 함수를 가진 객체이며, 아래 API를 인자로 받습니다.
+         * @param {Function|Object} plugin - 플러그인
+         */
+        function usePlugin(plugin) {
+            const install = typeof plugin === 'function' ? plugin : plugin && plugin.install;
+            if (typeof install !== 'function') {
+                throw new TypeError('FloatingEditor: 플러그인은 함수이거나 install 함수를 가져야 합니다.');
+            }
+
+            const pluginApi = {
+                editor: api,
+                on: (type, handler) => api.on(type, handler),
+                off: (type, handler) => api.off(type, handler),
+                addCommand: (name, command) => {
+                    registerCommand(name, command);
+                    if (!pluginCommands.includes(name)) pluginCommands.push(name);
+                },
+                execute: executeCommand,
+                /**
+                 * 툴바 버튼 추가 (config.toolbar에 name을 넣으면 그 위치에, 없으면 끝에 표시)
+                 * @param {Object} options - { name, icon, label, command } 또는 { name, icon, label, action(event, selection), isActive }
+                 */
+                addButton: options => {
+                    pluginButtons.push({
+                        ...options,
+                        name: options.name || options.command || `plugin-${pluginButtons.length + 1}`,
+                        label: options.label || options.title || options.command || ''
+                    });
+                    rebuildToolbar();
+                },
+                createLayer: createPluginLayer,
+                showLayer,
+                hideLayer,
+                getSelection: () => currentSelection && { ...currentSelection },
+                // 서식 엔진 (operation(root, start, end)은 새 선택 범위 { start, end }를 반환할 수 있음)
+                format: (name, operation, value) => runFormatting(name, operation, value),
+                applyMark,
+                removeMark,
+                toggleMark,
+                isMarkActive,
+                replaceText,
+                getBlockType,
+                setBlockType,
+                toggleList,
+                toggleBlockquote,
+                toggleCodeBlock,
+                insertHorizontalRule
+            };
+
+            install.call(plugin, pluginApi);
+        }
+
+        /**
+         * 플러그인용 레이어 생성 (바깥을 클릭하면 자동으로 숨김)
+         * @param {string} [className] - 레이어에 추가할 클래스
+         * @returns {Element} 레이어 요소
+         */
+        function createPluginLayer(className) {
+            const layer = document.createElement('div');
+            layer.className = ['floating-editor-layer', className].filter(Boolean).join(' ');
+            applyTheme(layer);
+            layer.style.position = 'absolute';
+            layer.style.display = 'none';
+            layer.style.zIndex = '10000';
+            // 레이어를 클릭해도 에디터의 선택 영역이 사라지지 않도록 함
+            layer.addEventListener('mousedown', event => {
+                if (!/^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) {
+                    event.preventDefault();
+                }
+            });
+            document.body.appendChild(layer);
+            pluginLayers.push(layer);
+            return layer;
+        }
+
+        // ---------------------------
+        // 단축키와 툴바 키보드 탐색
+        // ---------------------------
+
+        /**
+         * 명령의 단축키 (기본 단축키에 사용자 설정을 덮어씀)
+         * @param {string} name - 명령 이름 또는 '명령:인자'
+         * @returns {string|null} 키 조합
+         */
+        function getShortcut(name) {
+            return getShortcuts()[name] || null;
+        }
+
+        /**
+         * 사용 중인 단축키 목록
+         * @returns {Object} 명령 이름 → 키 조합
+         */
+        function getShortcuts() {
+            return { ...DEFAULT_CONFIG.shortcuts, ...(config.shortcuts || {}) };
+        }
+
+        // 이름이 기능과 다른 명령이 속한 기능 (features에서 기능을 끄면 이 명령의 단축키도 끔)
+        const COMMAND_FEATURES = {
+            toggleChecked: 'checklist',
+            increaseFontSize: 'fontSize',
+            decreaseFontSize: 'fontSize'
+        };
+
+        /**
+         * 에디터의 단축키 처리
+         * @param {KeyboardEvent} event - keydown 이벤트
+         */
+        function handleShortcutKeydown(event) {
+            const element = event.currentTarget;
+            const shortcuts = getShortcuts();
+            const name = Object.keys(shortcuts).find(key => shortcuts[key] && matchShortcut(event, shortcuts[key]));
+            if (!name) return;
+
+            if (name === 'focusToolbar') {
+                event.preventDefault();
+                focusToolbar(element);
+                return;
+            }
+
+            // 꺼진 기능의 단축키('heading:h1' 등 포함)는 브라우저 기본 동작에 맡김
+            const [command, arg] = name.split(':');
+            const feature = COMMAND_FEATURES[command] || command;
+            if (!commands[command] || (config.features && config.features[feature] === false) ||
+                !isCommandEnabled(command, { element })) return;
+            event.preventDefault();
+
+            if (!refreshSelection(element)) return;
+            executeCommand(command, ...(arg === undefined ? [] : [arg]));
+        }
+
+        /**
+         * 키보드로 명령을 실행하기 전에 에디터의 선택 영역을 다시 읽음
+         * 키보드로 만든 선택 영역도 반영하고, 커서만 있으면 커서 위치를 선택 정보로 사용합니다.
+         * @param {Element} element - 에디터 요소
+         * @returns {boolean} 선택 영역이 에디터 안에 있는지 여부
+         */
+        function refreshSelection(element) {
+            (isTextInput(element) ? processTextareaSelection : processContentEditableSelection)(element);
+            const offsets = getSelectionOffsets(element);
+            if (!offsets) return false;
+            if (offsets.start === offsets.end) {
+                currentSelection = {
+                    element,
+                    isTextarea: isTextInput(element),
+                    range: null,
+                    text: '',
+                    start: offsets.start,
+                    end: offsets.end
+                };
+            }
+            return true;
+        }
+
+        /**
+         * 툴바에서 포커스를 받을 수 있는 버튼 목록
+         * @returns {Array} 버튼 요소 목록
+         */
+        function getToolbarFocusables() {
+            return toolbarElement ? Array.from(toolbarElement.querySelectorAll('.floating-editor-button:not(:disabled)')) : [];
+        }
+
+        /**
+         * 선택 영역에서 툴바로 포커스 이동 (마지막으로 포커스를 가졌던 버튼)
+         * @param {Element} element - 에디터 요소
+         */
+        function focusToolbar(element) {
+            (isTextInput(element) ? processTextareaSelection : processContentEditableSelection)(element);
+            if (!isToolbarVisible) return;
+            const buttons = getToolbarFocusables();
+            const button = buttons.find(candidate => candidate.tabIndex === 0) || buttons[0];
+            if (button) button.focus();
+        }
+
+        /**
+         * 툴바 키보드 탐색 (좌/우 화살표, Home/End, 아래 화살표로 heading 메뉴 열기, Escape로 선택 영역 복귀)
+         * @param {KeyboardEvent} event - keydown 이벤트
+         */
+        function handleToolbarKeydown(event) {
+            const buttons = getToolbarFocusables();
+            const index = buttons.indexOf(document.activeElement);
+            if (index === -1) return;
+            let next;
+
+            switch (event.key) {
+                case 'ArrowRight':
+                    next = (index + 1) % buttons.length;
+                    break;
+                case 'ArrowLeft':
+                    next = (index - 1 + buttons.length) % buttons.length;
+                    break;
+                case 'Home':
+                    next = 0;
+                    break;
+                case 'End':
+                    next = buttons.length - 1;
+                    break;
+                case 'ArrowDown':
+                    if (buttons[index] !== headingButton) return;
+                    event.preventDefault();
+                    openHeadingLayer(headingButton, true);
+                    return;
+                case 'Escape':
+                    event.preventDefault();
+                    returnFocusToSelection();
+                    return;
+                default:
+                    return;
+            }
+
+            event.preventDefault();
+            buttons.forEach((button, i) => {
+                button.tabIndex = i === next ? 0 : -1;
+            });
+            buttons[next].focus();
+        }
+
+        /**
+         * 툴바를 열었던 선택 영역으로 포커스 복귀
+         */
+        function returnFocusToSelection() {
+            if (!currentSelection) return;
+            const { element, start, end } = currentSelection;
+            element.focus();
+            currentSelection.range = restoreSelectionOffsets(element, start, end);
+        }
+
+        // ---------------------------
+        // 입력 규칙
+        // ---------------------------
+
+        // 마지막으로 적용한 입력 규칙 ({ element, content, selection }, 이어서 Backspace를 누르면 되돌림)
+        let lastInputRule = null;
+
+        /**
+         * 사용 중인 입력 규칙 목록 (기본 규칙과 config.inputRules 병합, 꺼진 기능의 규칙은 제외)
+         * @returns {Array} [규칙 이름, 규칙] 목록
+         */
+        function getInputRules() {
+            if (config.inputRules === false) return [];
+            const rules = { ...DEFAULT_CONFIG.inputRules, ...(config.inputRules || {}) };
+            return Object.keys(rules)
+                .filter(name => rules[name] && !(config.features && config.features[name] === false))
+                .map(name => [name, rules[name] === true ? INPUT_RULES[name] : rules[name]])
+                .filter(([, rule]) => rule && rule.match);
+        }
+
+        /**
+         * 입력 처리: 커서 앞의 텍스트가 입력 규칙과 일치하면 서식으로 변환
+         * 변환은 입력과 별도의 히스토리 단계로 기록되어 실행 취소하면 입력한 문법이 되살아납니다.
+         * @param {InputEvent} event - input 이벤트
+         */
+        function handleInputRules(event) {
+            if (event.inputType !== 'insertText' || event.isComposing) return;
+            const element = event.currentTarget;
+            const offsets = getSelectionOffsets(element);
+            if (!offsets || offsets.start !== offsets.end) return;
+
+            // 인라인 코드와 코드 블록 안에서는 입력한 그대로 둠
+            if (isCaretInCode(element)) return;
+
+            const before = getTextBeforeCaret(element, offsets.start);
+            if (!before) return;
+
+            for (const [name, rule] of getInputRules()) {
+                const match = rule.match.exec(before.text);
+                if (!match) continue;
+
+                const start = before.start + match.index;
+                const end = offsets.start;
+                if (emit(element, 'format:before', { format: name, value: match[0], start, end, inputRule: true }).defaultPrevented) return;
+                if (!applyInputRule(element, rule, start, end, match)) return;
+
+                hideToolbar();
+                recordHistory(element, { selectionBefore: offsets });
+                const selection = getSelectionOffsets(element);
+                lastInputRule = { element, content: element.innerHTML, selection };
+                emit(element, 'format:after', { format: name, value: match[0], start: selection.start, end: selection.end, inputRule: true });
+                return;
+            }
+        }
+
+        /**
+         * 입력 규칙을 적용한 직후 Backspace를 누르면 변환을 되돌림
+         * @param {KeyboardEvent} event - keydown 이벤트
+         */
+        function handleInputRuleKeydown(event) {
+            const last = lastInputRule;
+            lastInputRule = null;
+            if (!last || event.key !== 'Backspace' || event.shiftKey || event.ctrlKey || event.metaKey || event.altKey) return;
+
+            const element = event.currentTarget;
+            const offsets = getSelectionOffsets(element);
+            if (last.element !== element || element.innerHTML !== last.content || !offsets ||
+                offsets.start !== last.selection.start || offsets.end !== last.selection.end) return;
+            event.preventDefault();
+            undo(element);
+        }
+
+        // ---------------------------
+        // 슬래시 명령 메뉴
+        // ---------------------------
+
+        // 슬래시 메뉴의 기본 항목 (명령이 등록되어 있고 features로 끄지 않은 항목만 표시, table은 명령을 등록하면 표시)
+        // 항목 이름은 언어 사전의 같은 키로 표시하고, keywords는 언어와 관계없이 검색에 사용
+        const SLASH_MENU_ITEMS = [
+            { name: 'heading1', icon: 'looks_one', command: 'heading', value: 'h1', keywords: ['h1', 'heading', 'title', '제목', '見出し'] },
+            { name: 'heading2', icon: 'looks_two', command: 'heading', value: 'h2', keywords: ['h2', 'heading', 'subtitle', '제목', '見出し'] },
+            { name: 'heading3', icon: 'looks_3', command: 'heading', value: 'h3', keywords: ['h3', 'heading', '제목', '見出し'] },
+            { name: 'paragraph', icon: 'notes', command: 'heading', value: 'p', keywords: ['p', 'paragraph', 'text', '본문'] },
+            { name: 'bulletList', icon: 'format_list_bulleted', command: 'bulletList', keywords: ['ul', 'list', '목록'] },
+            { name: 'orderedList', icon: 'format_list_numbered', command: 'orderedList', keywords: ['ol', 'list', '번호', '목록'] },
+            { name: 'checklist', icon: 'checklist', command: 'checklist', keywords: ['todo', 'task', '체크', '할 일'] },
+            { name: 'blockquote', icon: 'format_quote', command: 'blockquote', keywords: ['blockquote', 'quote', '인용'] },
+            { name: 'codeBlock', icon: 'data_object', command: 'codeBlock', keywords: ['pre', 'code', '코드'] },
+            { name: 'horizontalRule', icon: 'horizontal_rule', command: 'horizontalRule', keywords: ['hr', 'line', 'divider', '구분선'] },
+            { name: 'image', icon: 'image', command: 'image', keywords: ['img', 'picture', 'image', '이미지', '사진'] },
+            { name: 'table', icon: 'table_chart', command: 'table', keywords: ['grid', 'table', '표'] }
+        ];
+
+        let slashMenu = null;
+
+        // 열려 있는 슬래시 메뉴 ({ element, start: '/'의 오프셋, atBlockStart, query, items, activeIndex })
+        let slashState = null;
+
+        /**
+         * 검색어와 일치하는 슬래시 메뉴 항목 (기본 항목 뒤에 플러그인이 등록한 명령을 덧붙임)
+         * 플러그인 명령은 명령의 label/icon, 없으면 같은 명령을 쓰는 툴바 버튼의 label/icon으로 표시합니다.
+         * @param {string} query - '/' 뒤에 입력한 검색어
+         * @returns {Array} 항목 목록 ({ name, label, icon, command, value, keywords })
+         */
+        function getSlashMenuItems(query) {
+            const pluginItems = pluginCommands
+                .filter(name => commands[name] && commands[name].slash !== false &&
+                    !SLASH_MENU_ITEMS.some(item => item.command === name))
+                .map(name => {
+                    const button = pluginButtons.find(item => item.command === name) || {};
+                    return {
+                        name,
+                        label: commands[name].label || button.label || name,
+                        icon: commands[name].icon || button.icon || 'extension',
+                        command: name,
+                        keywords: commands[name].keywords || []
+                    };
+                });
+
+            const search = query.toLowerCase();
+            const builtinItems = SLASH_MENU_ITEMS.map(item => ({ ...item, label: translate(item.name) }));
+            return builtinItems.concat(pluginItems).filter(item => {
+                if (!commands[item.command]) return false;
+                if (config.features && (config.features[item.command] === false || config.features[item.name] === false)) return false;
+                return [item.name, item.label, ...(item.keywords || [])].some(text => text.toLowerCase().includes(search));
+            });
+        }
+
+        /**
+         * 슬래시 메뉴 레이어 생성 (포커스는 에디터에 둔 채 aria-activedescendant로 항목을 알림)
+         * @returns {Element} 레이어 요소
+         */
+        function createSlashMenu() {
+            const layer = document.createElement('div');
+            layer.id = `floating-editor-slash-menu-${++slashMenuCount}`;
+            layer.className = 'floating-editor-layer slash-menu';
+            applyTheme(layer);
+            layer.style.position = 'absolute';
+            layer.style.display = 'none';
+            layer.style.zIndex = '10000';
+            layer.setAttribute('role', 'listbox');
+            layer.setAttribute('aria-label', translate('slashMenu'));
+            layer.addEventListener('mousedown', event => event.preventDefault());
+            document.body.appendChild(layer);
+            return layer;
+        }
+
+        /**
+         * 슬래시 메뉴 열기
+         * @param {Element} element - 에디터 요소
+         * @param {number} start - 입력한 '/'의 오프셋
+         * @param {boolean} atBlockStart - '/'를 블록 맨 앞에서 입력했는지 여부
+         */
+        function openSlashMenu(element, start, atBlockStart) {
+            if (!slashMenu) {
+                slashMenu = createSlashMenu();
+            }
+            slashState = { element, start, atBlockStart, query: null, items: [], activeIndex: 0 };
+            element.setAttribute('aria-controls', slashMenu.id);
+            updateSlashMenu();
+        }
+
+        /**
+         * 커서 앞의 검색어로 슬래시 메뉴 갱신
+         * '/'가 지워졌거나 커서가 검색어 밖으로 나갔거나, 공백을 입력했거나 일치하는 항목이 없으면 닫습니다.
+         */
+        function updateSlashMenu() {
+            if (!slashState) return;
+            const { element, start } = slashState;
+            const offsets = getSelectionOffsets(element);
+            const before = offsets && offsets.start === offsets.end && offsets.start > start
+                ? getTextBeforeCaret(element, offsets.start)
+                : null;
+            if (!before || before.start > start || before.text.charAt(start - before.start) !== '/') {
+                closeSlashMenu();
+                return;
+            }
+
+            const query = before.text.slice(start - before.start + 1);
+            const items = /\s/.test(query) ? [] : getSlashMenuItems(query);
+            if (!items.length) {
+                closeSlashMenu();
+                return;
+            }
+
+            if (query !== slashState.query) {
+                slashState.query = query;
+                slashState.items = items;
+                renderSlashMenu();
+                setSlashMenuActive(0);
+            }
+
+            slashMenu.style.display = 'block';
+            positionSlashMenu();
+        }
+
+        /**
+         * 슬래시 메뉴를 '/' 아래(공간이 없으면 위)에 배치
+         */
+        function positionSlashMenu() {
+            const { element, start } = slashState;
+            const rect = getOffsetRangeRect(element, start, start + 1);
+            const { top, left } = getFloatingPosition(rect, slashMenu.offsetWidth, slashMenu.offsetHeight, { placement: 'bottom', align: 'start', gap: 4, layer: slashMenu });
+            slashMenu.style.top = `${top}px`;
+            slashMenu.style.left = `${left}px`;
+        }
+
+        /**
+         * 슬래시 메뉴 항목 그리기
+         */
+        function renderSlashMenu() {
+            slashMenu.innerHTML = '';
+            slashState.items.forEach((item, index) => {
+                const option = document.createElement('div');
+                option.id = `${slashMenu.id}-${index}`;
+                option.className = 'slash-menu-item';
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+
+                const icon = createIcon(item.icon);
+                const label = document.createElement('span');
+                label.textContent = item.label;
+                if (icon) option.appendChild(icon);
+                option.appendChild(label);
+
+                option.addEventListener('mousemove', () => setSlashMenuActive(index));
+                option.addEventListener('click', () => selectSlashMenuItem(item));
+                slashMenu.appendChild(option);
+            });
+        }
+
+        /**
+         * 슬래시 메뉴의 활성 항목 변경
+         * @param {number} index - 항목 인덱스
+         */
+        function setSlashMenuActive(index) {
+            slashState.activeIndex = index;
+            Array.from(slashMenu.children).forEach((option, i) => {
+                option.classList.toggle('active', i === index);
+                option.setAttribute('aria-selected', String(i === index));
+                if (i === index && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+            });
+            slashState.element.setAttribute('aria-activedescendant', `${slashMenu.id}-${index}`);
+        }
+
+        /**
+         * 슬래시 메뉴 닫기 (입력한 '/'와 검색어는 그대로 둠)
+         */
+        function closeSlashMenu() {
+            if (!slashState) return;
+            slashState.element.removeAttribute('aria-controls');
+            slashState.element.removeAttribute('aria-activedescendant');
+            slashState = null;
+            if (slashMenu) hideLayer(slashMenu);
+        }
+
+        /**
+         * 슬래시 메뉴 항목 실행: 입력한 '/검색어'를 지우고 그 자리에서 명령 실행
+         * @param {Object} item - 메뉴 항목
+         */
+        function selectSlashMenuItem(item) {
+            const { element, start, atBlockStart, query } = slashState;
+            closeSlashMenu();
+
+            // 블록이 비게 되면 명령이 블록을 찾을 수 있도록 <br>을 넣고, 명령 실행 후 그 자리로 커서를 돌려놓음
+            const position = getPositionFromOffset(element, start, false);
+            let block = position.node.parentNode;
+            while (block !== element && !isBlockNode(block)) {
+                block = block.parentNode;
+            }
+            replaceText(element, start, start + 1 + query.length, '');
+            let placeholder = null;
+            if (!getTextContent(block)) {
+                placeholder = block.querySelector('br') || block.appendChild(document.createElement('br'));
+            }
+
+            const placeCaret = () => {
+                const range = document.createRange();
+                if (placeholder && element.contains(placeholder)) {
+                    range.setStartBefore(placeholder);
+                } else {
+                    const caret = getPositionFromOffset(element, start, !atBlockStart);
+                    range.setStart(caret.node, caret.offset);
+                }
+                range.collapse(true);
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(range);
+            };
+
+            element.focus();
+            placeCaret();
+            refreshSelection(element);
+            executeCommand(item.command, ...(item.value === undefined ? [] : [item.value]));
+
+            // 명령이 커서를 옮기지 않았으면 블록 경계에서 다른 블록으로 가지 않도록 다시 배치
+            // (빈 블록을 표처럼 다른 요소로 바꾼 명령은 커서를 직접 배치하므로 그대로 둠)
+            const offsets = getSelectionOffsets(element);
+            const replaced = placeholder && !element.contains(placeholder);
+            if (offsets && offsets.start === start && offsets.end === start && !replaced) placeCaret();
+        }
+
+        /**
+         * 입력 처리: 블록 맨 앞이나 공백 뒤에서 '/'를 입력하면 슬래시 메뉴를 열고, 열려 있으면 검색어 갱신
+         * @param {InputEvent} event - input 이벤트
+         */
+        function handleSlashInput(event) {
+            const element = event.currentTarget;
+            if (slashState) {
+                if (slashState.element === element) updateSlashMenu();
+                return;
+            }
+            if (config.slashMenu === false || event.inputType !== 'insertText' || event.data !== '/' || event.isComposing) return;
+
+            const offsets = getSelectionOffsets(element);
+            if (!offsets || offsets.start !== offsets.end || isCaretInCode(element)) return;
+            const before = getTextBeforeCaret(element, offsets.start);
+            if (!before || !/(^|\s)\/$/.test(before.text)) return;
+            openSlashMenu(element, offsets.start - 1, before.text.length === 1);
+        }
+
+        /**
+         * 슬래시 메뉴 키보드 탐색 (위/아래 화살표, Enter/Tab으로 실행, Escape로 닫기)
+         * @param {KeyboardEvent} event - keydown 이벤트
+         */
+        function handleSlashMenuKeydown(event) {
+            if (!slashState || slashState.element !== event.currentTarget || event.isComposing) return;
+            const count = slashState.items.length;
+
+            switch (event.key) {
+                case 'ArrowDown':
+                    setSlashMenuActive((slashState.activeIndex + 1) % count);
+                    break;
+                case 'ArrowUp':
+                    setSlashMenuActive((slashState.activeIndex - 1 + count) % count);
+                    break;
+                case 'Enter':
+                case 'Tab':
+                    selectSlashMenuItem(slashState.items[slashState.activeIndex]);
+                    break;
+                case 'Escape':
+                    closeSlashMenu();
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+        }
+
+        // ---------------------------
+        // 멘션과 태그 제안 메뉴
+        // ---------------------------
+
+        let mentionMenu = null;
+
+        // 열려 있는 제안 메뉴 ({ element, start: 트리거 문자의 오프셋, trigger, options, query, items, activeIndex, request })
+        let mentionState = null;
+
+        // 제안 요청 번호 (늦게 도착한 이전 검색어의 결과를 버리기 위해 사용)
+        let mentionRequestCount = 0;
+
+        /**
+         * 사용할 트리거 문자 목록 (config.mentions를 기본 설정과 병합)
+         * @param {boolean} [includeInactive=false] - provider가 없는 트리거도 포함할지 여부
+         * @returns {Object} 트리거 문자 → { type, provider }
+         */
+        function getMentionTriggers(includeInactive = false) {
+            const defaults = DEFAULT_CONFIG.mentions;
+            const userMentions = config.mentions || {};
+            const triggers = {};
+            Object.keys({ ...defaults, ...userMentions }).forEach(trigger => {
+                const value = trigger in userMentions ? userMentions[trigger] : defaults[trigger];
+                if (!value || trigger.length !== 1) return;
+                const options = { type: 'mention', ...(defaults[trigger] || {}), ...(typeof value === 'function' ? { provider: value } : value) };
+                if (includeInactive || typeof options.provider === 'function') triggers[trigger] = options;
+            });
+            return triggers;
+        }
+
+        /**
+         * 제안 메뉴 레이어 생성 (슬래시 메뉴처럼 포커스는 에디터에 둔 채 aria-activedescendant로 항목을 알림)
+         * @returns {Element} 레이어 요소
+         */
+        function createMentionMenu() {
+            const layer = document.createElement('div');
+            layer.id = `floating-editor-mention-menu-${++mentionMenuCount}`;
+            layer.className = 'floating-editor-layer mention-menu';
+            applyTheme(layer);
+            layer.style.position = 'absolute';
+            layer.style.display = 'none';
+            layer.style.zIndex = '10000';
+            layer.setAttribute('role', 'listbox');
+            layer.setAttribute('aria-label', translate('mentionMenu'));
+            layer.addEventListener('mousedown', event => event.preventDefault());
+            document.body.appendChild(layer);
+            return layer;
+        }
+
+        /**
+         * 제안 메뉴 열기 (결과가 도착하면 표시)
+         * @param {Element} element - 에디터 요소
+         * @param {number} start - 입력한 트리거 문자의 오프셋
+         * @param {string} trigger - 트리거 문자
+         */
+        function openMentionMenu(element, start, trigger) {
+            if (!mentionMenu) {
+                mentionMenu = createMentionMenu();
+            }
+            mentionState = { element, start, trigger, options: getMentionTriggers()[trigger], query: null, items: [], activeIndex: 0, request: 0 };
+            element.setAttribute('aria-controls', mentionMenu.id);
+            updateMentionMenu();
+        }
+
+        /**
+         * 커서 앞의 검색어로 제안 갱신
+         * 트리거 문자가 지워졌거나 커서가 검색어 밖으로 나갔거나 공백을 입력하면 닫습니다.
+         */
+        function updateMentionMenu() {
+            if (!mentionState) return;
+            const { element, start, trigger } = mentionState;
+            const offsets = getSelectionOffsets(element);
+            const before = offsets && offsets.start === offsets.end && offsets.start > start
+                ? getTextBeforeCaret(element, offsets.start)
+                : null;
+            if (!before || before.start > start || before.text.charAt(start - before.start) !== trigger) {
+                closeMentionMenu();
+                return;
+            }
+
+            const query = before.text.slice(start - before.start + 1);
+            if (/\s/.test(query)) {
+                closeMentionMenu();
+                return;
+            }
+            if (query !== mentionState.query) {
+                mentionState.query = query;
+                requestMentionItems();
+            } else if (mentionMenu.style.display !== 'none') {
+                positionMentionMenu();
+            }
+        }
+
+        /**
+         * provider로 검색어의 제안 목록 요청
+         * 항목은 { id, label, description } 객체나 문자열이며, 실패하면 mention:error 이벤트를 보냅니다.
+         */
+        function requestMentionItems() {
+            const state = mentionState;
+            const { element, trigger, options, query } = state;
+            const request = ++mentionRequestCount;
+            state.request = request;
+            const isCurrent = () => mentionState === state && state.request === request;
+
+            Promise.resolve()
+                .then(() => options.provider(query, { trigger, type: options.type, element }))
+                .then(items => {
+                    if (!isCurrent()) return;
+                    state.items = (Array.isArray(items) ? items : []).map(item => typeof item === 'object' && item ? item : { id: item })
+                        .filter(item => item.id !== undefined && item.id !== null && item.id !== '')
+                        .map(item => ({ ...item, id: String(item.id), label: String(item.label || item.id) }));
+                    state.activeIndex = 0;
+                    renderMentionMenu();
+                })
+                .catch(error => {
+                    if (!isCurrent()) return;
+                    hideLayer(mentionMenu);
+                    emit(element, 'mention:error', { trigger, query, error });
+                });
+        }
+
+        /**
+         * 제안 항목 그리기 (항목이 없으면 메뉴를 숨기고, 검색어를 더 입력하면 다시 찾음)
+         */
+        function renderMentionMenu() {
+            mentionMenu.innerHTML = '';
+            if (!mentionState.items.length) {
+                hideLayer(mentionMenu);
+                mentionState.element.removeAttribute('aria-activedescendant');
+                return;
+            }
+            mentionState.items.forEach((item, index) => {
+                const option = document.createElement('div');
+                option.id = `${mentionMenu.id}-${index}`;
+                option.className = 'mention-menu-item';
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+
+                const icon = item.icon ? createIcon(item.icon) : null;
+                const label = document.createElement('span');
+                label.className = 'mention-menu-label';
+                label.textContent = item.label;
+                if (icon) option.appendChild(icon);
+                option.appendChild(label);
+                if (item.description) {
+                    const description = document.createElement('span');
+                    description.className = 'mention-menu-description';
+                    description.textContent = item.description;
+                    option.appendChild(description);
+                }
+
+                option.addEventListener('mousemove', () => setMentionMenuActive(index));
+                option.addEventListener('click', () => selectMentionItem(item));
+                mentionMenu.appendChild(option);
+            });
+            mentionMenu.style.display = 'block';
+            setMentionMenuActive(mentionState.activeIndex);
+            positionMentionMenu();
+        }
+
+        /**
+         * 제안 메뉴를 트리거 문자 아래(공간이 없으면 위)에 배치
+         */
+        function positionMentionMenu() {
+            const { element, start } = mentionState;
+            const rect = getOffsetRangeRect(element, start, start + 1);
+            const { top, left } = getFloatingPosition(rect, mentionMenu.offsetWidth, mentionMenu.offsetHeight, { placement: 'bottom', align: 'start', gap: 4, layer: mentionMenu });
+            mentionMenu.style.top = `${top}px`;
+            mentionMenu.style.left = `${left}px`;
+        }
+
+        /**
+         * 제안 메뉴의 활성 항목 변경
+         * @param {number} index - 항목 인덱스
+         */
+        function setMentionMenuActive(index) {
+            mentionState.activeIndex = index;
+            Array.from(mentionMenu.children).forEach((option, i) => {
+                option.classList.toggle('active', i === index);
+                option.setAttribute('aria-selected', String(i === index));
+                if (i === index && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+            });
+            mentionState.element.setAttribute('aria-activedescendant', `${mentionMenu.id}-${index}`);
+        }
+
+        /**
+         * 제안 메뉴 닫기 (입력한 트리거 문자와 검색어는 그대로 둠)
+         */
+        function closeMentionMenu() {
+            if (!mentionState) return;
+            mentionState.element.removeAttribute('aria-controls');
+            mentionState.element.removeAttribute('aria-activedescendant');
+            mentionState = null;
+            if (mentionMenu) hideLayer(mentionMenu);
+        }
+
+        /**
+         * 제안 항목 선택: 입력한 '트리거 문자 + 검색어'를 멘션 노드로 바꿈
+         * @param {Object} item - 제안 항목
+         */
+        function selectMentionItem(item) {
+            const { element, start, trigger, options, query } = mentionState;
+            closeMentionMenu();
+            insertMention(element, start, start + 1 + query.length, { ...item, type: options.type, trigger });
+        }
+
+        /**
+         * 텍스트 범위를 멘션 노드와 뒤따르는 공백으로 교체 (실행 취소 가능)
+         * @param {Element} element - 에디터 요소
+         * @param {number} start - 시작 오프셋
+         * @param {number} end - 끝 오프셋
+         * @param {Object} mention - { type, id, label, trigger } (노드의 글자는 trigger + label)
+         * @returns {boolean} 삽입 여부 (textarea는 멘션 노드를 담을 수 없으므로 false)
+         */
+        function insertMention(element, start, end, mention) {
+            if (!element || isTextInput(element) || !mention || !mention.type || mention.id === undefined || mention.id === null) return false;
+            const selectionBefore = getSelectionOffsets(element) || { start: end, end };
+            const { type, id, label, trigger = '', ...item } = mention;
+            hideToolbar();
+
+            const node = createMentionElement({ type, id, text: `${trigger}${label || id}` });
+            insertHTML(element, getOffsetRange(element, start, end), `${node.outerHTML} `);
+            recordHistory(element, { selectionBefore });
+            emit(element, 'mention:insert', { type, trigger, item: { ...item, id: String(id), label: String(label || id) } });
+            return true;
+        }
+
+        /**
+         * 현재 선택 범위(없으면 끝)에 멘션 삽입
+         * trigger를 생략하면 같은 type으로 설정된 트리거 문자를 붙입니다.
+         * @param {Element} element - 에디터 요소
+         * @param {Object} mention - { type, id, label, trigger }
+         * @returns {boolean} 삽입 여부
+         */
+        function insertMentionAtSelection(element, mention) {
+            if (!element || !mention) return false;
+            const offsets = getSelectionOffsets(element) || clampOffsets(element, Infinity);
+            let { trigger } = mention;
+            if (trigger === undefined) {
+                const triggers = getMentionTriggers(true);
+                trigger = Object.keys(triggers).find(key => triggers[key].type === mention.type) || '';
+            }
+            return insertMention(element, offsets.start, offsets.end, { ...mention, trigger });
+        }
+
+        /**
+         * 입력 처리: 블록 맨 앞이나 공백, 여는 괄호 뒤에서 트리거 문자를 입력하면 제안 메뉴를 열고, 열려 있으면 검색어 갱신
+         * @param {InputEvent} event - input 이벤트
+         */
+        function handleMentionInput(event) {
+            const element = event.currentTarget;
+            if (mentionState) {
+                if (mentionState.element === element) updateMentionMenu();
+                return;
+            }
+            if (event.inputType !== 'insertText' || !event.data || event.isComposing) return;
+            const trigger = event.data.slice(-1);
+            if (!getMentionTriggers()[trigger]) return;
+
+            const offsets = getSelectionOffsets(element);
+            if (!offsets || offsets.start !== offsets.end || isCaretInCode(element)) return;
+            const before = getTextBeforeCaret(element, offsets.start);
+            if (!before || before.text.slice(-1) !== trigger || !/^$|[\s([{"']$/.test(before.text.slice(-2, -1))) return;
+            openMentionMenu(element, offsets.start - 1, trigger);
+        }
+
+        /**
+         * 제안 메뉴 키보드 탐색 (위/아래 화살표, Enter/Tab으로 선택, Escape로 닫기)
+         * @param {KeyboardEvent} event - keydown 이벤트
+         */
+        function handleMentionKeydown(event) {
+            if (!mentionState || mentionState.element !== event.currentTarget || event.isComposing) return;
+            const count = mentionState.items.length;
+            if (event.key === 'Escape') {
+                closeMentionMenu();
+                event.preventDefault();
+                event.stopPropagation();
+                return;
+            }
+            // 제안이 표시되지 않았으면 화살표와 Enter는 원래대로 동작
+            if (!count || mentionMenu.style.display === 'none') return;
+
+            switch (event.key) {
+                case 'ArrowDown':
+                    setMentionMenuActive((mentionState.activeIndex + 1) % count);
+                    break;
+                case 'ArrowUp':
+                    setMentionMenuActive((mentionState.activeIndex - 1 + count) % count);
+                    break;
+                case 'Enter':
+                case 'Tab':
+                    selectMentionItem(mentionState.items[mentionState.activeIndex]);
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+        }
+
+        // ---------------------------
+        // 서식 적용 함수 (서식 엔진 사용)
+        // ---------------------------
+
+        /**
+         * 현재 선택 영역에 서식 작업을 수행하고 선택 영역을 유지
+         * @param {Function} operation - (root, start, end) => 변경 후 선택 오프셋 ({ start, end }) 또는 undefined
+         */
+        function runFormatting(format, operation, value) {
+            if (!currentSelection || !toolbarElement) return;
+            const { element, start, end } = currentSelection;
+
+            // format:before 리스너가 preventDefault()를 호출하면 적용하지 않음
+            if (emit(element, 'format:before', { format, value, start, end }).defaultPrevented) return;
+
+            const next = operation(element, start, end) || { start, end };
+            recordHistory(element, { selectionBefore: { start, end }, selectionAfter: { start: next.start, end: next.end } });
+            emit(element, 'format:after', { format, value, start: next.start, end: next.end });
+
+            currentSelection.range = restoreSelectionOffsets(element, next.start, next.end);
+            currentSelection.start = next.start;
+            currentSelection.end = next.end;
+            currentSelection.text = isTextInput(element)
+                ? element.value.slice(next.start, next.end)
+                : getTextContent(element).slice(next.start, next.end);
+            // 서식으로 줄바꿈이 달라질 수 있으므로 바뀐 선택 영역에 맞춰 다시 배치
+            if (isToolbarVisible) positionToolbar();
+            updateToolbarState();
+        }
+
+        /**
+         * 마크 토글 (textarea는 Markdown 문법 삽입)
+         * @param {string} type - 마크 타입
+         */
+        function toggleFormat(type) {
+            runFormatting(type, (root, start, end) => isTextInput(root)
+                ? toggleMarkdownMark(root, start, end, type)
+                : toggleMark(root, start, end, type));
+        }
+
+        /**
+         * 블록 타입 변경 (textarea는 Markdown heading 문법 삽입)
+         * @param {string} tag - 블록 태그
+         */
+        function formatBlock(tag) {
+            runFormatting('block', (root, start, end) => isTextInput(root)
+                ? setMarkdownBlockType(root, start, end, tag)
+                : setBlockType(root, start, end, tag), tag);
+        }
+
+        /**
+         * 목록 토글 (textarea는 Markdown 목록 문법 삽입)
+         * @param {string} type - 목록 종류 (bullet, ordered, check)
+         */
+        function formatList(type) {
+            runFormatting('list', (root, start, end) => isTextInput(root)
+                ? toggleMarkdownList(root, start, end, type)
+                : toggleList(root, start, end, type), type);
+        }
+
+        /**
+         * 목록 항목 들여쓰기/내어쓰기
+         * @param {boolean} outdent - 내어쓰기 여부
+         */
+        function indentList(outdent) {
+            runFormatting(outdent ? 'outdent' : 'indent', (root, start, end) => {
+                if (isTextInput(root)) return indentMarkdownList(root, start, end, outdent);
+                if (outdent) {
+                    outdentListItems(root, start, end);
+                } else {
+                    indentListItems(root, start, end);
+                }
+            });
+        }
+
+        /**
+         * 선택 영역의 체크리스트 항목 체크 상태 토글
+         */
+        function toggleChecked() {
+            runFormatting('checked', (root, start, end) => {
+                if (isTextInput(root)) return toggleMarkdownChecked(root, start, end);
+                getListItemsInRange(root, start, end)
+                    .filter(item => getListType(item.parentNode) === 'check')
+                    .forEach(toggleListItemChecked);
+            });
+        }
+
+        /**
+         * 인용 토글 (textarea는 > 문법 삽입)
+         */
+        function formatBlockquote() {
+            runFormatting('blockquote', (root, start, end) => isTextInput(root)
+                ? toggleMarkdownBlockquote(root, start, end)
+                : toggleBlockquote(root, start, end));
+        }
+
+        /**
+         * 코드 블록 토글 (textarea는 코드 펜스 삽입)
+         * @param {string} [language] - 언어
+         */
+        function formatCodeBlock(language) {
+            runFormatting('codeBlock', (root, start, end) => isTextInput(root)
+                ? toggleMarkdownCodeBlock(root, start, end, language)
+                : toggleCodeBlock(root, start, end, language), language);
+        }
+
+        /**
+         * 선택 영역 뒤에 구분선 삽입 (textarea는 --- 삽입)
+         */
+        function insertRule() {
+            runFormatting('horizontalRule', (root, start, end) => {
+                if (isTextInput(root)) return insertMarkdownHorizontalRule(root, start, end);
+                insertHorizontalRule(root, start, end);
+            });
+        }
+
+        /**
+         * 블록 키 처리: 목록에서 Tab/Shift+Tab으로 들여쓰기/내어쓰기, 코드 블록에서 Enter로 줄바꿈
+         * @param {KeyboardEvent} event - keydown 이벤트
+         */
+        function handleBlockKeydown(event) {
+            if (event.defaultPrevented || event.isComposing || event.ctrlKey || event.metaKey || event.altKey) return;
+            const element = event.currentTarget;
+            const offsets = getSelectionOffsets(element);
+            if (!offsets) return;
+
+            if (event.key === 'Tab') {
+                // 표 안에서는 셀 이동, 목록과 표 밖, 한 줄짜리 input에서는 기본 동작(포커스 이동)을 그대로 둠
+                if (isSingleLineInput(element)) return;
+                if (!isListSelection({ element, isTextarea: isTextInput(element), ...offsets })) {
+                    const target = isTextInput(element) ? null : getActiveTable();
+                    if (!target) return;
+                    event.preventDefault();
+                    moveTableCell(target, event.shiftKey);
+                    return;
+                }
+                event.preventDefault();
+                refreshSelection(element);
+                executeCommand(event.shiftKey ? 'outdent' : 'indent');
+                return;
+            }
+
+            if (event.key !== 'Enter' || event.shiftKey || isTextInput(element)) return;
+            const result = insertCodeBlockLineBreak(element, offsets.start, offsets.end);
+            if (!result) return;
+            event.preventDefault();
+            hideToolbar();
+
+            if (result.block) {
+                // 코드 블록을 빠져나온 경우 새 문단으로 커서 이동
+                const range = document.createRange();
+                range.setStart(result.block, 0);
+                range.collapse(true);
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(range);
+            } else {
+                restoreSelectionOffsets(element, result.start, result.end);
+            }
+            recordHistory(element, { selectionBefore: offsets });
+        }
+
+        /**
+         * 체크리스트 항목의 체크 상자 클릭 처리
+         * @param {MouseEvent} event - mousedown 이벤트
+         */
+        function handleChecklistMousedown(event) {
+            const item = event.target;
+            if (item.tagName !== 'LI' || getListType(item.parentNode) !== 'check') return;
+
+            // 체크 상자는 항목의 왼쪽 여백에 그려지므로 여백을 누른 경우만 처리
+            const padding = parseFloat(window.getComputedStyle(item).paddingLeft) || 0;
+            if (event.clientX - item.getBoundingClientRect().left > padding) return;
+            event.preventDefault();
+
+            const element = event.currentTarget;
+            const selectionBefore = getSelectionOffsets(element);
+            toggleListItemChecked(item);
+            recordHistory(element, selectionBefore ? { selectionBefore } : {});
+        }
+
+        function applyLink() {
+            if (!currentSelection) return;
+            const { element, start, end } = currentSelection;
+            showLinkPopover(getLinkTarget(element, start, end), true);
+        }
+        
+        /**
+         * 글자색/배경색 적용 (textarea는 Markdown으로 나타낼 수 없으므로 적용하지 않음)
+         * @param {string} type - 'color' 또는 'highlight'
+         * @param {string} [name] - 팔레트 색 이름 (생략하면 제거)
+         */
+        function applyColor(type, name) {
+            if (!currentSelection || currentSelection.isTextarea) return;
+            if (name && !getPaletteEntry(type, name)) {
+                console.warn(`FloatingEditor: 팔레트에 없는 색 '${name}'`);
+                return;
+            }
+            runFormatting(type, (root, start, end) => {
+                if (name) {
+                    applyMark(root, start, end, type, { color: name });
+                } else {
+                    removeMark(root, start, end, type);
+                }
+            }, name || null);
+        }
+
+        /**
+         * 글자 크기 단계 적용 ('normal'이나 생략하면 기본 크기)
+         * @param {string} [size] - 크기 단계 (config.fontSizes 중 하나)
+         */
+        function applyFontSize(size) {
+            if (!currentSelection || currentSelection.isTextarea) return;
+            if (size && !getFontSizes().includes(size)) {
+                console.warn(`FloatingEditor: 알 수 없는 글자 크기 '${size}'`);
+                return;
+            }
+            runFormatting('fontSize', (root, start, end) => {
+                if (size && size !== 'normal') {
+                    applyMark(root, start, end, 'fontSize', { size });
+                } else {
+                    removeMark(root, start, end, 'fontSize');
+                }
+            }, size || 'normal');
+        }
+
+        /**
+         * 글자 크기를 한 단계 크게/작게
+         * @param {number} delta - 1이면 크게, -1이면 작게
+         */
+        function changeFontSize(delta) {
+            if (!currentSelection || currentSelection.isTextarea) return;
+            runFormatting('fontSize', (root, start, end) => {
+                stepFontSize(root, start, end, getFontSizes(), delta);
+            }, delta > 0 ? 'increase' : 'decrease');
+        }
+
+        /**
+         * 사용할 글자 크기 단계
+         * @returns {Array} 크기 단계 목록
+         */
+        function getFontSizes() {
+            return Array.isArray(config.fontSizes) ? config.fontSizes : DEFAULT_CONFIG.fontSizes;
+        }
+
+        /**
+         * 팔레트에서 색 찾기
+         * @param {string} type - 'color' 또는 'highlight'
+         * @param {string} name - 색 이름
+         * @returns {Object|null} 팔레트 항목 ({ name, label, value })
+         */
+        function getPaletteEntry(type, name) {
+            return getPalette(type).find(entry => entry.name === name) || null;
+        }
+
+        /**
+         * 글자색/배경색 팔레트
+         * @param {string} type - 'color' 또는 'highlight'
+         * @returns {Array} 팔레트 항목 목록
+         */
+        function getPalette(type) {
+            const palette = type === 'highlight' ? config.highlights : config.colors;
+            return Array.isArray(palette) ? palette : [];
+        }
+        
+        function clearFormatting() {
+            runFormatting('clear', (root, start, end) => {
+                if (isTextInput(root)) {
+                    return clearMarkdownFormatting(root, start, end);
+                }
+                // inline 서식 및 링크 제거
+                removeMark(root, start, end);
+                // 블록 레벨 서식을 paragraph로 변환 (heading 태그 제거)
+                setBlockType(root, start, end, 'p');
+            });
+        }
+        
+        // ---------------------------
+        // 표
+        // ---------------------------
+
+        // 커서가 표 안에 있을 때 표 아래에 표시하는 표 도구 항목 ('|'는 구분선, 버튼 이름은 언어 사전의 명령 이름 키)
+        const TABLE_TOOLBAR_ITEMS = [
+            { command: 'addRowBefore', icon: 'border_top' },
+            { command: 'addRowAfter', icon: 'border_bottom' },
+            { command: 'addColumnBefore', icon: 'border_left' },
+            { command: 'addColumnAfter', icon: 'border_right' },
+            '|',
+            { command: 'deleteRow', icon: 'table_rows' },
+            { command: 'deleteColumn', icon: 'view_column' },
+            '|',
+            { command: 'mergeCells', icon: 'call_merge' },
+            { command: 'splitCell', icon: 'call_split' },
+            { command: 'toggleHeaderRow', icon: 'web_asset' },
+            '|',
+            { command: 'deleteTable', icon: 'delete' }
+        ];
+
+        let tableToolbar = null;
+
+        // 표 도구 버튼 ({ button, command })
+        let tableToolbarButtons = [];
+
+        /**
+         * 선택 영역이 표 안에 있는 에디터와 표 정보
+         * @returns {Object|null} { element, table, cell, cells }
+         */
+        function getActiveTable() {
+            const selection = window.getSelection();
+            const anchor = selection && selection.rangeCount ? selection.anchorNode : null;
+            const element = anchor && editorElements.find(editor => !isTextInput(editor) && editor.contains(anchor));
+            const target = element && getTableSelection(element);
+            return target ? { element, ...target } : null;
+        }
+
+        /**
+         * 표 명령 실행 (선택 영역이 있는 표에 적용하고 히스토리에 기록)
+         * @param {string} format - 명령 이름 (format:before/after 이벤트의 format)
+         * @param {Function} operation - ({ element, table, cell, cells }) => 커서를 둘 셀 (적용하지 않았으면 false)
+         */
+        function runTableCommand(format, operation) {
+            const target = getActiveTable();
+            if (!target) return;
+            const { element } = target;
+            const before = getSelectionOffsets(element);
+
+            if (emit(element, 'format:before', { format, value: null, ...before }).defaultPrevented) return;
+
+            const next = operation(target);
+            if (next === false) return;
+            if (next) placeCaretInBlock(next, true);
+
+            const after = getSelectionOffsets(element) || before;
+            recordHistory(element, { selectionBefore: before, selectionAfter: after });
+            emit(element, 'format:after', { format, value: null, ...after });
+            hideToolbar();
+            updateTableToolbar();
+        }
+
+        /**
+         * 표 삽입 (textarea는 Markdown 표 문법 삽입)
+         * @param {Object} selection - 선택 정보 (currentSelection)
+         * @param {number} [rows=3] - 행 수 (머리글 행 포함)
+         * @param {number} [cols=3] - 열 수
+         * @param {boolean} [headerRow=true] - 첫 행을 머리글 행으로 만들지 여부
+         */
+        function insertTableCommand(selection, rows = 3, cols = 3, headerRow = true) {
+            const element = selection ? selection.element : editorElements.find(editor => editor.contains(document.activeElement));
+            if (!element) return;
+            rows = Math.max(1, parseInt(rows, 10) || 1);
+            cols = Math.max(1, parseInt(cols, 10) || 1);
+            const value = { rows, cols };
+
+            if (isTextInput(element)) {
+                runFormatting('table', (root, start, end) => insertMarkdownTable(root, start, end, rows, cols), value);
+                return;
+            }
+
+            const before = getSelectionOffsets(element);
+            if (!before) return;
+            if (emit(element, 'format:before', { format: 'table', value, ...before }).defaultPrevented) return;
+
+            // 블록 경계에서도 같은 위치에 넣을 수 있도록 현재 DOM 위치를 사용
+            const domSelection = window.getSelection();
+            const range = domSelection.rangeCount && element.contains(domSelection.anchorNode)
+                ? domSelection.getRangeAt(0)
+                : setSelectionOffsets(element, before.start, before.end);
+            const table = createTable(rows, cols, headerRow);
+            insertTable(element, range, table);
+            placeCaretInBlock(table.querySelector('th, td'), true);
+
+            const after = getSelectionOffsets(element) || before;
+            recordHistory(element, { selectionBefore: before, selectionAfter: after });
+            emit(element, 'format:after', { format: 'table', value, ...after });
+            hideToolbar();
+            updateTableToolbar();
+        }
+
+        /**
+         * 선택한 셀들의 칸 범위 기준으로 행 추가
+         * @param {boolean} after - 아래에 추가할지 여부 (false면 위)
+         */
+        function addTableRow(after) {
+            runTableCommand(after ? 'addRowAfter' : 'addRowBefore', ({ table, cell, cells }) => {
+                const { grid } = getTableGrid(table);
+                const box = getCellsBox(grid, cells);
+                const row = insertTableRow(table, after ? box.bottom + 1 : box.top, after);
+                const column = getCellPosition(grid, cell).col;
+                return getTableGrid(table).grid[row.rowIndex][column] || row.cells[0] || cell;
+            });
+        }
+
+        /**
+         * 선택한 셀들의 칸 범위 기준으로 열 추가
+         * @param {boolean} after - 오른쪽에 추가할지 여부 (false면 왼쪽)
+         */
+        function addTableColumn(after) {
+            runTableCommand(after ? 'addColumnAfter' : 'addColumnBefore', ({ table, cell, cells }) => {
+                const { grid } = getTableGrid(table);
+                const box = getCellsBox(grid, cells);
+                const index = after ? box.right + 1 : box.left;
+                insertTableColumn(table, index, after);
+                const row = getCellPosition(grid, cell).row;
+                return getTableGrid(table).grid[row][index] || cell;
+            });
+        }
+
+        /**
+         * 선택한 셀들이 걸친 행 또는 열 삭제 (모두 지우면 표 삭제)
+         * @param {boolean} column - 열을 삭제할지 여부 (false면 행)
+         */
+        function deleteTableCells(column) {
+            runTableCommand(column ? 'deleteColumn' : 'deleteRow', ({ table, cell, cells }) => {
+                const { grid } = getTableGrid(table);
+                const box = getCellsBox(grid, cells);
+                const position = getCellPosition(grid, cell);
+                const from = column ? box.left : box.top;
+                const to = column ? box.right : box.bottom;
+                for (let i = to; i >= from; i--) {
+                    if (column) {
+                        deleteTableColumn(table, i);
+                    } else {
+                        deleteTableRow(table, i);
+                    }
+                }
+                normalizeTable(table);
+                if (!table.rows.length) return removeTable(table);
+
+                // 지운 자리의 다음(없으면 이전) 행/열에 있는 셀로 커서 이동
+                const next = getTableGrid(table);
+                const row = column ? Math.min(position.row, next.rows.length - 1) : Math.min(from, next.rows.length - 1);
+                const col = column ? Math.min(from, next.width - 1) : Math.min(position.col, next.width - 1);
+                return next.grid[row][col] || next.rows[row].cells[0];
+            });
+        }
+
+        /**
+         * 표를 지우고 그 자리의 다음 블록(없으면 새 빈 문단) 반환
+         * @param {Element} table - table 요소
+         * @returns {Element} 커서를 둘 블록
+         */
+        function removeTable(table) {
+            let next = table.nextElementSibling;
+            if (!next) {
+                next = document.createElement('p');
+                next.appendChild(document.createElement('br'));
+                table.parentNode.insertBefore(next, table.nextSibling);
+            }
+            table.parentNode.removeChild(table);
+            return next;
+        }
+
+        /**
+         * 셀 이동 (Tab은 다음 셀, Shift+Tab은 이전 셀)
+         * 마지막 셀에서 Tab을 누르면 아래에 새 행을 추가합니다.
+         * @param {Object} target - getActiveTable()의 결과
+         * @param {boolean} backward - 이전 셀로 이동할지 여부
+         */
+        function moveTableCell(target, backward) {
+            const { table, cell } = target;
+            const cells = Array.from(table.querySelectorAll('td, th')).filter(other => other.closest('table') === table);
+            const next = cells[cells.indexOf(cell) + (backward ? -1 : 1)];
+            if (next) {
+                placeCaretInBlock(next, true);
+            } else if (!backward) {
+                runTableCommand('addRowAfter', () => {
+                    const row = insertTableRow(table, table.rows.length, true);
+                    return row.cells[0] || cell;
+                });
+            }
+        }
+
+        /**
+         * 표 도구 생성 (플로팅 툴바와 같은 스타일)
+         * @returns {Element} 표 도구 요소
+         */
+        function createTableToolbar() {
+            const layer = document.createElement('div');
+            layer.className = 'floating-editor table-toolbar';
+            applyTheme(layer);
+            layer.style.position = 'absolute';
+            layer.style.zIndex = '9998';
+            layer.addEventListener('mousedown', event => event.preventDefault());
+
+            const toolbar = document.createElement('div');
+            toolbar.className = 'floating-editor-toolbar';
+            toolbar.setAttribute('role', 'toolbar');
+            toolbar.setAttribute('aria-label', translate('tableToolbar'));
+
+            tableToolbarButtons = [];
+            TABLE_TOOLBAR_ITEMS.forEach(item => {
+                if (item === '|') {
+                    toolbar.appendChild(createToolbarSeparator());
+                    return;
+                }
+                const button = createToolbarButton(item.icon, translate(item.command), () => executeCommand(item.command));
+                button.dataset.name = item.command;
+                tableToolbarButtons.push({ button, command: item.command });
+                toolbar.appendChild(button);
+            });
+
+            layer.appendChild(toolbar);
+            document.body.appendChild(layer);
+            return layer;
+        }
+
+        /**
+         * 커서가 표 안에 있으면 표 아래에 표 도구 표시, 아니면 숨김
+         */
+        function updateTableToolbar() {
+            const target = config.features && config.features.table === false ? null : getActiveTable();
+            if (!target) {
+                hideTableToolbar();
+                return;
+            }
+            if (!tableToolbar) {
+                tableToolbar = createTableToolbar();
+            }
+
+            // 병합은 셀을 둘 이상 선택했을 때, 분할은 병합된 셀에서만 사용
+            const { table, cell, cells } = target;
+            tableToolbarButtons.forEach(({ button, command }) => {
+                if (command === 'mergeCells') button.disabled = cells.length < 2;
+                if (command === 'splitCell') button.disabled = getCellSpan(cell, 'colspan') === 1 && getCellSpan(cell, 'rowspan') === 1;
+                if (command === 'toggleHeaderRow') {
+                    const active = Boolean(table.tHead);
+                    button.classList.toggle('active', active);
+                    button.setAttribute('aria-pressed', String(active));
+                }
+            });
+
+            tableToolbar.classList.add('visible');
+            const rect = table.getBoundingClientRect();
+            const { top, left } = getFloatingPosition(rect, tableToolbar.offsetWidth, tableToolbar.offsetHeight, { placement: 'bottom', align: 'start', gap: 4, layer: tableToolbar });
+            tableToolbar.style.top = `${top}px`;
+            tableToolbar.style.left = `${left}px`;
+        }
+
+        /**
+         * 표 도구 숨김
+         */
+        function hideTableToolbar() {
+            if (tableToolbar) tableToolbar.classList.remove('visible');
+        }
+
+        // ---------------------------
+        // UI 문구, 테마, 아이콘
+        // ---------------------------
+        
+        /**
+         * UI 문구 가져오기 (config.messages → 현재 언어 → 영어 순서로 찾음)
+         * @param {string} key - 문구 키
+         * @returns {string} 문구, 어느 사전에도 없으면 키
+         */
+        function translate(key) {
+            const sources = [config.messages, LOCALES[config.locale], LOCALES.en];
+            const source = sources.find(messages => messages && typeof messages[key] === 'string');
+            return source ? source[key] : key;
+        }
+        
+        /**
+         * 팔레트 색 이름 (언어 사전의 'color.{name}', 'highlight.{name}', 없으면 name)
+         * @param {string} type - 'color' 또는 'highlight'
+         * @param {string} name - 팔레트 색 이름
+         * @returns {string} 표시할 이름
+         */
+        function getPaletteLabel(type, name) {
+            const key = `${type}.${name}`;
+            const label = translate(key);
+            return label === key ? name : label;
+        }
+        
+        /**
+         * 현재 테마 (알 수 없는 값이면 'light')
+         * @returns {string} 'light', 'dark', 'auto'
+         */
+        function getTheme() {
+            return THEMES.includes(config.theme) ? config.theme : 'light';
+        }
+        
+        /**
+         * 툴바와 레이어에 테마 class 지정
+         * 색과 모양은 CSS의 --floating-editor-* 변수로 정하며, floating-editor-theme-{테마} class로 바뀝니다.
+         * @param {Element} element - 툴바 또는 레이어 요소
+         */
+        function applyTheme(element) {
+            THEMES.forEach(theme => element.classList.remove(`floating-editor-theme-${theme}`));
+            element.classList.add('floating-editor-ui', `floating-editor-theme-${getTheme()}`);
+            // 터치 화면에서는 floating-editor-touch class로 버튼을 touchTargetSize 크기로 키움
+            element.classList.toggle('floating-editor-touch', Boolean(coarsePointerQuery && coarsePointerQuery.matches));
+            element.style.setProperty('--floating-editor-touch-size', `${Math.max(36, Number(config.touchTargetSize) || 0)}px`);
+        }
+        
+        /**
+         * 아이콘 요소 생성
+         * config.icons가 없으면 Google Material Icons 글꼴의 글자 아이콘을 만들고,
+         * 있으면 어댑터가 돌려준 SVG 문자열이나 요소(복사해서 사용)를 넣습니다.
+         * @param {string} name - 아이콘 이름 (Material Icons 이름)
+         * @returns {Element|null} 아이콘 요소, 어댑터에 없는 아이콘이면 null
+         */
+        function createIcon(name) {
+            if (!name) return null;
+            const adapter = config.icons;
+            const icon = document.createElement('span');
+            icon.setAttribute('aria-hidden', 'true');
+            if (!adapter) {
+                icon.className = 'material-icons floating-editor-icon';
+                icon.textContent = name;
+                return icon;
+            }
+            
+            const content = typeof adapter === 'function' ? adapter(name) : adapter[name];
+            if (content === null || content === undefined || content === false) return null;
+            icon.className = 'floating-editor-icon';
+            if (typeof content === 'string') {
+                icon.innerHTML = content;
+            } else {
+                icon.appendChild(content.cloneNode(true));
+            }
+            return icon;
+        }
+        
+        /**
+         * 설정을 바꾼 뒤 툴바와 레이어 다시 만들기
+         * 내장 레이어는 닫고 제거해 두면 다음에 열 때 새 문구와 아이콘으로 만들어지며, 플러그인 레이어는 테마만 바꿉니다.
+         */
+        function refreshUI() {
+            const findElement = findPanel && findPanel.style.display !== 'none' && findState ? findState.element : null;
+            closeHeadingLayer(false);
+            closeColorPicker(false);
+            closeSlashMenu();
+            closeMentionMenu();
+            hideLinkPopover();
+            hideImagePopover();
+            [headingLayer, colorPicker, linkPopover, imagePopover, slashMenu, mentionMenu, tableToolbar, findPanel].forEach(node => {
+                if (node && node.parentNode) node.parentNode.removeChild(node);
+            });
+            headingLayer = null;
+            colorPicker = null;
+            colorPickerButton = null;
+            slashMenu = null;
+            mentionMenu = null;
+            linkPopover = null;
+            linkPopoverFields = null;
+            imagePopover = null;
+            imagePopoverFields = null;
+            tableToolbar = null;
+            tableToolbarButtons = [];
+            findPanel = null;
+            findPanelFields = null;
+            [imageOverlay, findOverlay, ...pluginLayers].forEach(node => {
+                if (node) applyTheme(node);
+            });
+            
+            rebuildToolbar();
+            updateTableToolbar();
+            // 열려 있던 찾기 패널은 새 문구로 다시 열기
+            if (findElement) {
+                openFindPanel(findElement);
+            }
+        }
+        
+        // ---------------------------
+        // 플로팅 UI 위치 갱신 (스크롤, 창 크기 변경, 내용 변경)
+        // ---------------------------
+
+        // 예약된 위치 갱신 (한 프레임에 한 번만 계산)
+        let positionFrame = null;
+
+        // 에디터 내용이 바뀌면 위치 갱신 (서식이나 입력으로 줄바꿈이 달라지는 경우)
+        const contentObserver = typeof MutationObserver === 'function' ? new MutationObserver(schedulePositionUpdate) : null;
+
+        /**
+         * 선택 영역과 툴바 사이 간격 (config.toolbarOffset)
+         * @returns {number} 간격(px)
+         */
+        function getToolbarGap() {
+            const offset = Number(config.toolbarOffset);
+            return Number.isFinite(offset) ? offset : DEFAULT_CONFIG.toolbarOffset;
+        }
+
+        /**
+         * 툴바를 현재 선택 영역에 맞춰 배치
+         * 여러 줄 선택은 첫 줄 위(공간이 없으면 마지막 줄 아래)에 두고,
+         * 선택 영역이 스크롤 컨테이너 밖으로 가려지면 툴바도 감춥니다.
+         * 위치는 DOM이 바뀌어도 맞도록 저장한 오프셋으로 다시 계산합니다.
+         * @returns {Object|null} 위치 ({ top, left, placement }), 선택 영역이 없으면 null
+         */
+        function positionToolbar() {
+            if (!toolbarElement || !currentSelection) return null;
+            const docked = isToolbarDocked();
+            setToolbarDocked(docked);
+            if (docked) return positionDockedToolbar();
+
+            const { element, start, end } = currentSelection;
+            const rects = getOffsetLineRects(element, start, end);
+
+            const visible = isRectVisible(rects.rect, getVisibleBounds(element));
+            toolbarElement.style.visibility = visible ? '' : 'hidden';
+
+            // 터치로 선택하면 운영체제의 선택 메뉴가 선택 영역 위에 뜨므로 선택 핸들 아래에 배치
+            const touch = lastPointerType === 'touch' || lastPointerType === 'pen';
+            const width = toolbarElement.getBoundingClientRect().width;
+            const height = getButtonSize();
+            const position = getFloatingPosition(rects, width, height, {
+                placement: touch ? 'bottom' : 'top',
+                align: 'center',
+                gap: touch ? Math.max(getToolbarGap(), TOUCH_HANDLE_GAP) : getToolbarGap(),
+                layer: toolbarElement
+            });
+            toolbarElement.style.top = `${position.top}px`;
+            toolbarElement.style.left = `${position.left}px`;
+            toolbarElement.dataset.placement = position.placement;
+            return position;
+        }
+
+        /**
+         * 툴바를 화면 아래에 고정할지 여부 (화면 너비가 dockBreakpoint 이하)
+         * @returns {boolean} 고정 여부
+         */
+        function isToolbarDocked() {
+            const breakpoint = Number(config.dockBreakpoint) || 0;
+            return breakpoint > 0 && window.innerWidth <= breakpoint;
+        }
+
+        /**
+         * 툴바의 고정(docked)/떠 있는(floating) 모드 전환
+         * 고정 모드에서는 화면 너비를 채우고, 버튼이 넘치면 가로로 스크롤됩니다.
+         * @param {boolean} docked - 고정 모드 여부
+         */
+        function setToolbarDocked(docked) {
+            toolbarElement.style.position = docked ? 'fixed' : 'absolute';
+            if (toolbarElement.classList.contains('docked') === docked) return;
+            // 가로 스크롤과 버튼 가운데 정렬은 .floating-editor.docked 스타일
+            toolbarElement.classList.toggle('docked', docked);
+            toolbarElement.style.width = '';
+        }
+
+        /**
+         * 고정 모드 툴바를 보이는 화면(visualViewport)의 아래에 배치
+         * 가상 키보드가 열리면 보이는 화면이 줄어들므로 툴바가 키보드 바로 위에 놓입니다.
+         * @returns {Object} 위치 ({ top, left, placement: 'dock' })
+         */
+        function positionDockedToolbar() {
+            const viewport = window.visualViewport;
+            const bottom = viewport ? viewport.offsetTop + viewport.height : window.innerHeight;
+            const left = viewport ? viewport.offsetLeft : 0;
+            const top = bottom - toolbarElement.offsetHeight;
+
+            toolbarElement.style.visibility = '';
+            toolbarElement.style.top = `${top}px`;
+            toolbarElement.style.left = `${left}px`;
+            toolbarElement.style.width = `${viewport ? viewport.width : window.innerWidth}px`;
+            toolbarElement.dataset.placement = 'dock';
+            return { top, left, placement: 'dock' };
+        }
+
+        /**
+         * 표시 중인 툴바, 메뉴, 팝오버를 기준 위치에 다시 배치
+         */
+        function updateFloatingPositions() {
+            positionFrame = null;
+            if (isToolbarVisible && currentSelection) {
+                positionToolbar();
+                // 툴바 버튼 아래에 연 메뉴도 함께 이동
+                if (headingLayer && headingLayer.style.display === 'block' && headingButton) {
+                    showLayer(headingLayer, headingButton);
+                }
+                if (colorPicker && colorPicker.style.display === 'block' && colorPickerButton) {
+                    showLayer(colorPicker, colorPickerButton);
+                }
+            }
+            if (linkTarget && linkPopover && linkPopover.style.display !== 'none') {
+                positionLinkPopover();
+            }
+            if (imageTarget && imagePopover && imagePopover.style.display !== 'none') {
+                positionImagePopover();
+            }
+            positionImageOverlay();
+            if (slashState && slashMenu) {
+                positionSlashMenu();
+            }
+            if (mentionState && mentionMenu && mentionMenu.style.display !== 'none') {
+                positionMentionMenu();
+            }
+            if (tableToolbar && tableToolbar.classList.contains('visible')) {
+                updateTableToolbar();
+            }
+            if (findState) {
+                positionFindPanel();
+                if (usesFindOverlay(findState.element)) renderFindOverlay();
+            }
+        }
+
+        /**
+         * 다음 프레임에 위치 갱신 예약 (스크롤처럼 자주 일어나는 이벤트를 한 번으로 모음)
+         */
+        function schedulePositionUpdate() {
+            if (positionFrame !== null) return;
+            positionFrame = window.requestAnimationFrame(updateFloatingPositions);
+        }
+
+        // ---------------------------
+        // 텍스트 오프셋 API (맞춤법 검사, 자동 완성 등 외부 기능용)
+        // ---------------------------
+        
+        /**
+         * 오프셋을 에디터 텍스트 범위 안으로 맞추고 순서 정렬
+         * @param {Element} element - 에디터 요소
+         * @param {number} start - 시작 오프셋
+         * @param {number} [end] - 끝 오프셋 (생략하면 start와 같음)
+         * @returns {Object} { start, end }
+         */
+        function clampOffsets(element, start, end) {
+            const length = isTextInput(element) ? element.value.length : getTextContent(element).length;
+            const clamp = value => Math.min(Math.max(0, Math.floor(Number(value)) || 0), length);
+            const from = clamp(start);
+            const to = end === undefined ? from : clamp(end);
+            return { start: Math.min(from, to), end: Math.max(from, to) };
+        }
+        
+        /**
+         * 에디터의 선택 영역을 텍스트 오프셋으로 가져오기
+         * @param {Element} element - 에디터 요소
+         * @returns {Object|null} { start, end, text }, 선택 영역이 에디터 밖이면 null
+         */
+        function getTextSelection(element) {
+            const offsets = element && getSelectionOffsets(element);
+            if (!offsets) return null;
+            const text = isTextInput(element)
+                ? element.value.slice(offsets.start, offsets.end)
+                : getTextContent(element).slice(offsets.start, offsets.end);
+            return { start: offsets.start, end: offsets.end, text };
+        }
+        
+        /**
+         * 텍스트 오프셋으로 선택 영역 설정 (사용자가 선택한 것처럼 툴바도 갱신)
+         * @param {Element} element - 에디터 요소
+         * @param {number} start - 시작 오프셋
+         * @param {number} [end] - 끝 오프셋 (생략하면 커서)
+         */
+        function setTextSelection(element, start, end) {
+            if (!element) return;
+            const offsets = clampOffsets(element, start, end);
+            element.focus();
+            restoreSelectionOffsets(element, offsets.start, offsets.end);
+            if (isTextInput(element)) {
+                processTextareaSelection(element);
+            } else {
+                processContentEditableSelection(element);
+            }
+        }
+        
+        /**
+         * 텍스트 범위를 새 텍스트로 교체 (실행 취소 가능)
+         * 에디터 안의 선택 영역은 바뀐 길이만큼 옮겨서 유지합니다.
+         * @param {Element} element - 에디터 요소
+         * @param {number} start - 시작 오프셋
+         * @param {number} end - 끝 오프셋
+         * @param {string} text - 새 텍스트 (contenteditable에서는 시작 위치의 서식을 이어받음)
+         * @param {Object} [caret] - 교체 후 선택 영역 ({ start, end }, 생략하면 기존 선택 영역을 옮김)
+         * @returns {Object|null} 새 텍스트의 범위 ({ start, end })
+         */
+        function replaceTextOffsets(element, start, end, text, caret) {
+            if (!element) return null;
+            const range = clampOffsets(element, start, end);
+            const value = String(text == null ? '' : text);
+            const selectionBefore = getSelectionOffsets(element);
+            hideToolbar();
+            hideLinkPopover();
+            
+            if (isTextInput(element)) {
+                replaceTextRange(element, range.start, range.end, value);
+            } else {
+                replaceText(element, range.start, range.end, value);
+            }
+            
+            // 교체한 범위 뒤의 오프셋은 길이 차이만큼, 안쪽 오프셋은 새 텍스트 끝으로 옮김
+            const shift = offset => {
+                if (offset <= range.start) return offset;
+                if (offset >= range.end) return offset + value.length - (range.end - range.start);
+                return range.start + value.length;
+            };
+            const selectionAfter = caret || (selectionBefore && { start: shift(selectionBefore.start), end: shift(selectionBefore.end) });
+            if (selectionBefore && (caret || !isTextInput(element))) {
+                restoreSelectionOffsets(element, selectionAfter.start, selectionAfter.end);
+            }
+            
+            recordHistory(element, { selectionBefore, selectionAfter });
+            return { start: range.start, end: range.start + value.length };
+        }
+        
+        /**
+         * 현재 선택 영역(없으면 에디터 끝)에 텍스트 삽입
+         * @param {Element} element - 에디터 요소
+         * @param {string} text - 삽입할 텍스트
+         * @returns {Object|null} 삽입한 텍스트의 범위 ({ start, end })
+         */
+        function insertTextAtSelection(element, text) {
+            if (!element) return null;
+            const offsets = getSelectionOffsets(element) || clampOffsets(element, Infinity);
+            const caret = offsets.start + String(text == null ? '' : text).length;
+            return replaceTextOffsets(element, offsets.start, offsets.end, text, { start: caret, end: caret });
+        }
+        
+        /**
+         * 텍스트 범위에 마크 적용 (실행 취소 가능)
+         * textarea는 Markdown으로 나타낼 수 있는 마크(굵게, 기울임, 밑줄, 취소선, 코드, 링크)만 적용합니다.
+         * @param {Element} element - 에디터 요소
+         * @param {number} start - 시작 오프셋
+         * @param {number} end - 끝 오프셋
+         * @param {string|Object|null} mark - 마크 타입 또는 { type, attrs } (null이면 모든 마크 제거)
+         * @returns {boolean} 적용 여부
+         */
+        function formatTextOffsets(element, start, end, mark) {
+            if (!element) return false;
+            const range = clampOffsets(element, start, end);
+            const type = mark && (typeof mark === 'string' ? mark : mark.type);
+            let attrs = (mark && typeof mark === 'object' && mark.attrs) || {};
+            
+            if (mark && !MARK_TYPES[type]) {
+                console.warn(`FloatingEditor: 알 수 없는 마크 '${type}'`);
+                return false;
+            }
+            if (mark && MARK_TYPES[type].annotation) {
+                console.warn('FloatingEditor: 주석은 addComment()로 추가합니다.');
+                return false;
+            }
+            if (type === 'link') {
+                const href = normalizeUrl(attrs.href);
+                if (!href) {
+                    console.warn(`FloatingEditor: 허용되지 않는 링크 URL '${attrs.href}'`);
+                    return false;
+                }
+                attrs = { ...attrs, href };
+            }
+            if ((type === 'color' || type === 'highlight') && !getPaletteEntry(type, attrs.color)) {
+                console.warn(`FloatingEditor: 팔레트에 없는 색 '${attrs.color}'`);
+                return false;
+            }
+            if (type === 'fontSize' && !getFontSizes().includes(attrs.size)) {
+                console.warn(`FloatingEditor: 알 수 없는 글자 크기 '${attrs.size}'`);
+                return false;
+            }
+            
+            const format = type || 'clear';
+            if (emit(element, 'format:before', { format, value: type ? attrs : null, ...range }).defaultPrevented) return false;
+            
+            const selectionBefore = getSelectionOffsets(element);
+            let next = range;
+            if (!isTextInput(element)) {
+                if (type) {
+                    applyMark(element, range.start, range.end, type, attrs);
+                } else {
+                    removeMark(element, range.start, range.end);
+                }
+            } else if (type === 'link') {
+                next = applyMarkdownLink(element, range.start, range.end, attrs.href);
+            } else if (MARKDOWN_MARKS[type] && !isMarkdownMarkActive(element, range.start, range.end, type)) {
+                next = toggleMarkdownMark(element, range.start, range.end, type);
+            }
+            if (selectionBefore && !isTextInput(element)) {
+                restoreSelectionOffsets(element, selectionBefore.start, selectionBefore.end);
+            }
+            
+            recordHistory(element, { selectionBefore });
+            emit(element, 'format:after', { format, value: type ? attrs : null, start: next.start, end: next.end });
+            if (isToolbarVisible) updateToolbarState();
+            return true;
+        }
+        
+        // ---------------------------
+        // 주석 (텍스트 범위에 붙는 댓글 스레드)
+        // ---------------------------
+        
+        // 에디터 요소별 주석 스레드 (id → { id, resolved, messages, ... })
+        // 본문에는 <span data-comment-id="id"> 앵커만 저장되고, 스레드 내용은 getComments/setComments로 따로 저장합니다.
+        const commentThreads = new Map();
+        let commentCount = 0;
+        
+        /**
+         * 에디터의 주석 스레드 목록 가져오기 (없으면 생성)
+         * @param {Element} element - 에디터 요소
+         * @returns {Map} id → 스레드
+         */
+        function getCommentThreads(element) {
+            if (!commentThreads.has(element)) {
+                commentThreads.set(element, new Map());
+            }
+            return commentThreads.get(element);
+        }
+        
+        /**
+         * 본문의 주석 앵커 위치 (같은 id의 앵커가 여러 블록에 나뉘어 있으면 첫 앵커부터 마지막 앵커까지)
+         * @param {Element} element - 에디터 요소
+         * @returns {Map} id → { start, end, quote, resolved }
+         */
+        function getCommentAnchors(element) {
+            const anchors = new Map();
+            if (isTextInput(element)) return anchors;
+            
+            const text = getTextContent(element);
+            element.querySelectorAll('span[data-comment-id]').forEach(node => {
+                const id = node.getAttribute('data-comment-id');
+                const start = getNodeOffset(element, node, 0);
+                const end = start + getTextContent(node).length;
+                const anchor = anchors.get(id);
+                if (anchor) {
+                    anchor.start = Math.min(anchor.start, start);
+                    anchor.end = Math.max(anchor.end, end);
+                } else {
+                    anchors.set(id, { start, end, resolved: node.getAttribute('data-comment-resolved') === 'true' });
+                }
+            });
+            anchors.forEach(anchor => {
+                anchor.quote = text.slice(anchor.start, anchor.end);
+            });
+            return anchors;
+        }
+        
+        /**
+         * 스레드를 내보낼 형태로 복사 (본문의 앵커 위치와 인용문 포함, 앵커가 지워졌으면 start/end는 null)
+         * @param {Object} thread - 스레드
+         * @param {Object} [anchor] - 앵커 위치
+         * @returns {Object} 주석 ({ id, resolved, messages, start, end, quote, ... })
+         */
+        function serializeComment(thread, anchor) {
+            return {
+                ...thread,
+                messages: thread.messages.map(message => ({ ...message })),
+                // 실행 취소로 앵커의 해결 상태가 되돌아갈 수 있으므로 앵커가 있으면 앵커를 따름
+                resolved: anchor ? anchor.resolved : thread.resolved,
+                start: anchor ? anchor.start : null,
+                end: anchor ? anchor.end : null,
+                quote: anchor ? anchor.quote : ''
+            };
+        }
+        
+        /**
+         * 주석 메시지 생성
+         * @param {Object} message - { text, author, ... }
+         * @returns {Object} { text, author, createdAt, ... }
+         */
+        function createCommentMessage(message) {
+            return { ...message, text: String(message.text || ''), createdAt: message.createdAt || new Date().toISOString() };
+        }
+        
+        /**
+         * 주석 앵커 마크를 바꾸고 히스토리에 기록 (선택 영역은 유지)
+         * @param {Element} element - 에디터 요소
+         * @param {string} id - 주석 id
+         * @param {Function} transform - (mark) => 새 마크 또는 null(제거)
+         * @returns {boolean} 본문에 앵커가 있었는지 여부
+         */
+        function updateCommentAnchors(element, id, transform) {
+            const anchor = getCommentAnchors(element).get(id);
+            if (!anchor) return false;
+            
+            const selectionBefore = getSelectionOffsets(element);
+            transformMarks(element, anchor.start, anchor.end, marks => marks
+                .map(mark => mark.type === 'comment' && mark.attrs.id === id ? transform(mark) : mark)
+                .filter(Boolean));
+            if (selectionBefore) {
+                restoreSelectionOffsets(element, selectionBefore.start, selectionBefore.end);
+            }
+            recordHistory(element, { selectionBefore });
+            return true;
+        }
+        
+        /**
+         * 텍스트 범위에 주석 추가 (textarea는 앵커를 저장할 수 없으므로 지원하지 않음)
+         * @param {Element} element - 에디터 요소
+         * @param {Object} [comment] - { id, text, author, start, end, ... } (start/end를 생략하면 현재 선택 영역, text가 없으면 빈 스레드)
+         * @returns {string|null} 주석 id
+         */
+        function addComment(element, comment = {}) {
+            if (!element || isTextInput(element)) return null;
+            const { start, end, text, author, ...rest } = comment;
+            const range = start === undefined ? getSelectionOffsets(element) : clampOffsets(element, start, end);
+            if (!range || range.start === range.end) return null;
+            
+            const threads = getCommentThreads(element);
+            const id = rest.id ? String(rest.id) : `comment-${Date.now().toString(36)}-${++commentCount}`;
+            if (threads.has(id)) {
+                console.warn(`FloatingEditor: 이미 있는 주석 '${id}'`);
+                return null;
+            }
+            
+            // change 리스너가 getComments()로 새 스레드를 읽을 수 있도록 본문을 바꾸기 전에 등록
+            const thread = { ...rest, id, resolved: false, messages: text ? [createCommentMessage({ text, author })] : [] };
+            threads.set(id, thread);
+            
+            const selectionBefore = getSelectionOffsets(element);
+            applyMark(element, range.start, range.end, 'comment', { id });
+            if (selectionBefore) {
+                restoreSelectionOffsets(element, selectionBefore.start, selectionBefore.end);
+            }
+            recordHistory(element, { selectionBefore });
+            
+            emit(element, 'comment:add', { id, comment: serializeComment(thread, getCommentAnchors(element).get(id)), ...range });
+            if (isToolbarVisible) updateToolbarState();
+            return id;
+        }
+        
+        /**
+         * 주석 스레드에 답글 추가
+         * @param {Element} element - 에디터 요소
+         * @param {string} id - 주석 id
+         * @param {Object|string} message - { text, author, ... } 또는 텍스트
+         * @returns {boolean} 추가 여부
+         */
+        function replyComment(element, id, message) {
+            const thread = element && getCommentThreads(element).get(id);
+            if (!thread) return false;
+            const reply = createCommentMessage(typeof message === 'string' ? { text: message } : message || {});
+            thread.messages.push(reply);
+            emit(element, 'comment:reply', { id, message: { ...reply } });
+            return true;
+        }
+        
+        /**
+         * 주석 해결/다시 열기 (해결된 주석의 앵커는 data-comment-resolved로 표시되며 강조되지 않음)
+         * @param {Element} element - 에디터 요소
+         * @param {string} id - 주석 id
+         * @param {boolean} [resolved] - 해결 여부 (기본값 true)
+         * @returns {boolean} 변경 여부
+         */
+        function resolveComment(element, id, resolved = true) {
+            const thread = element && getCommentThreads(element).get(id);
+            if (!thread) return false;
+            thread.resolved = Boolean(resolved);
+            updateCommentAnchors(element, id, mark => ({ ...mark, attrs: { ...mark.attrs, resolved: thread.resolved } }));
+            emit(element, 'comment:resolve', { id, resolved: thread.resolved });
+            return true;
+        }
+        
+        /**
+         * 주석 삭제 (스레드와 본문의 앵커를 함께 제거, 앵커의 글자는 남음)
+         * @param {Element} element - 에디터 요소
+         * @param {string} id - 주석 id
+         * @returns {boolean} 삭제 여부
+         */
+        function deleteComment(element, id) {
+            const threads = element && getCommentThreads(element);
+            const thread = threads && threads.get(id);
+            if (!thread) return false;
+            const comment = serializeComment(thread, getCommentAnchors(element).get(id));
+            threads.delete(id);
+            updateCommentAnchors(element, id, () => null);
+            emit(element, 'comment:delete', { id, comment });
+            if (isToolbarVisible) updateToolbarState();
+            return true;
+        }
+        
+        /**
+         * 주석 목록 (본문 순서, 앵커가 지워진 스레드는 마지막)
+         * @param {Element} element - 에디터 요소
+         * @returns {Array} 주석 목록
+         */
+        function getComments(element) {
+            if (!element) return [];
+            const anchors = getCommentAnchors(element);
+            return Array.from(getCommentThreads(element).values())
+                .map(thread => serializeComment(thread, anchors.get(thread.id)))
+                .sort((a, b) => (a.start === null ? Infinity : a.start) - (b.start === null ? Infinity : b.start));
+        }
+        
+        /**
+         * 저장해 둔 주석 목록으로 교체 (본문의 앵커는 setHTML 등으로 함께 불러온 것을 사용)
+         * 본문 앵커의 해결 상태가 스레드와 다르면 스레드에 맞춥니다.
+         * @param {Element} element - 에디터 요소
+         * @param {Array} comments - getComments()로 얻은 주석 목록
+         */
+        function setComments(element, comments) {
+            if (!element) return;
+            const threads = new Map();
+            (Array.isArray(comments) ? comments : []).forEach(comment => {
+                if (!comment || comment.id === undefined || comment.id === null) return;
+                // 위치와 인용문은 본문에서 다시 계산
+                const { start, end, quote, ...thread } = comment;
+                const id = String(comment.id);
+                threads.set(id, {
+                    ...thread,
+                    id,
+                    resolved: Boolean(comment.resolved),
+                    messages: Array.isArray(comment.messages) ? comment.messages.map(createCommentMessage) : []
+                });
+            });
+            commentThreads.set(element, threads);
+            
+            const anchors = getCommentAnchors(element);
+            threads.forEach(thread => {
+                const anchor = anchors.get(thread.id);
+                if (anchor && anchor.resolved !== thread.resolved) {
+                    updateCommentAnchors(element, thread.id, mark => ({ ...mark, attrs: { ...mark.attrs, resolved: thread.resolved } }));
+                }
+            });
+        }
+        
+        // ---------------------------
+        // 찾기 / 바꾸기
+        // ---------------------------
+        
+        // 찾기 패널과 Highlight API를 쓸 수 없을 때 결과를 그리는 레이어
+        let findPanel = null;
+        let findPanelFields = null;
+        let findOverlay = null;
+        
+        // 현재 찾기 상태 ({ element, query, options, matches, index, error }), 찾기 중이 아니면 null
+        let findState = null;
+        
+        /**
+         * 찾기 패널 생성
+         * @returns {Element} 패널 요소
+         */
+        function createFindPanel() {
+            const panel = document.createElement('div');
+            panel.className = 'floating-editor-layer find-panel';
+            // 모양은 editor.css (테마 변수)
+            applyTheme(panel);
+            panel.style.position = 'absolute';
+            panel.style.display = 'none';
+            panel.style.zIndex = '10000';
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-label', translate('find'));
+            
+            const createInput = placeholder => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = placeholder;
+                input.setAttribute('aria-label', placeholder);
+                return input;
+            };
+            const createRow = (...children) => {
+                const row = document.createElement('div');
+                row.className = 'find-panel-row';
+                children.forEach(child => row.appendChild(child));
+                panel.appendChild(row);
+                return row;
+            };
+            const createTextButton = (label, className, action) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = className;
+                button.textContent = label;
+                button.title = label;
+                button.addEventListener('click', action);
+                return button;
+            };
+            
+            // 검색어, 결과 수, 옵션, 이동/닫기
+            const queryInput = createInput(translate('findPlaceholder'));
+            const count = document.createElement('span');
+            count.className = 'find-panel-count';
+            count.setAttribute('aria-live', 'polite');
+            const toggles = {};
+            [['caseSensitive', 'Aa', 'matchCase'], ['wholeWord', 'ab', 'wholeWord'], ['regex', '.*', 'useRegex']].forEach(([option, label, key]) => {
+                toggles[option] = createTextButton(label, 'find-panel-toggle', () => {
+                    const pressed = toggles[option].getAttribute('aria-pressed') !== 'true';
+                    toggles[option].setAttribute('aria-pressed', String(pressed));
+                    searchFromPanel();
+                });
+                toggles[option].title = translate(key);
+                toggles[option].setAttribute('aria-label', translate(key));
+                toggles[option].setAttribute('aria-pressed', 'false');
+            });
+            const previousButton = createLinkPopoverAction(createIcon('keyboard_arrow_up'), translate('previousMatch'), () => stepFindMatch(-1));
+            const nextButton = createLinkPopoverAction(createIcon('keyboard_arrow_down'), translate('nextMatch'), () => stepFindMatch(1));
+            const closeButton = createLinkPopoverAction(createIcon('close'), translate('closeFind'), () => closeFindPanel(true));
+            createRow(queryInput, count, toggles.caseSensitive, toggles.wholeWord, toggles.regex, previousButton, nextButton, closeButton);
+            
+            // 바꿀 문자열, 바꾸기/모두 바꾸기
+            const replaceInput = createInput(translate('replacePlaceholder'));
+            const replaceButton = createTextButton(translate('replace'), 'find-panel-button', () => replaceFindMatch(replaceInput.value));
+            const replaceAllButton = createTextButton(translate('replaceAll'), 'find-panel-button', () => replaceAllFindMatches(replaceInput.value));
+            createRow(replaceInput, replaceButton, replaceAllButton);
+            
+            const error = document.createElement('div');
+            error.className = 'find-panel-error';
+            error.setAttribute('role', 'alert');
+            panel.appendChild(error);
+            
+            queryInput.addEventListener('input', searchFromPanel);
+            
+            // Enter는 다음 결과(Shift+Enter는 이전, 바꿀 문자열에서는 바꾸기), Escape는 닫고 에디터로 복귀
+            panel.addEventListener('keydown', event => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    closeFindPanel(true);
+                } else if (event.key === 'Enter' && event.target === queryInput) {
+                    event.preventDefault();
+                    stepFindMatch(event.shiftKey ? -1 : 1);
+                } else if (event.key === 'Enter' && event.target === replaceInput) {
+                    event.preventDefault();
+                    replaceFindMatch(replaceInput.value);
+                } else if (getShortcut('find') && matchShortcut(event, getShortcut('find'))) {
+                    // 패널 안에서 찾기 단축키를 다시 누르면 브라우저 찾기 대신 검색어 선택
+                    event.preventDefault();
+                    queryInput.focus();
+                    queryInput.select();
+                }
+            });
+            
+            findPanelFields = {
+                query: queryInput,
+                replace: replaceInput,
+                count,
+                error,
+                toggles,
+                previous: previousButton,
+                next: nextButton,
+                replaceOne: replaceButton,
+                replaceAll: replaceAllButton
+            };
+            
+            document.body.appendChild(panel);
+            return panel;
+        }
+        
+        /**
+         * 에디터의 찾기 패널 열기 (이미 열려 있으면 검색어만 바꿈)
+         * @param {Element} element - 에디터 요소
+         * @param {string} [query] - 검색어 (생략하면 이전 검색어)
+         */
+        function openFindPanel(element, query) {
+            if (!element) return;
+            if (!findPanel) {
+                findPanel = createFindPanel();
+            }
+            hideToolbar();
+            hideLinkPopover();
+            
+            // API로 찾던 중이면 그 검색어와 옵션을 패널에 표시
+            const fields = findPanelFields;
+            if (findState) {
+                fields.query.value = findState.query;
+                Object.keys(fields.toggles).forEach(option => {
+                    fields.toggles[option].setAttribute('aria-pressed', String(findState.options[option]));
+                });
+            }
+            if (typeof query === 'string') {
+                fields.query.value = query;
+            }
+            
+            findPanel.style.display = 'block';
+            findInEditor(element, fields.query.value, getFindPanelOptions());
+            positionFindPanel();
+            fields.query.focus();
+            fields.query.select();
+        }
+        
+        /**
+         * 찾기 패널의 검색어와 옵션으로 다시 찾기
+         */
+        function searchFromPanel() {
+            if (!findState || !findPanelFields) return;
+            findInEditor(findState.element, findPanelFields.query.value, getFindPanelOptions());
+            scrollFindMatchIntoView();
+        }
+        
+        /**
+         * 찾기 패널의 옵션 버튼 상태
+         * @returns {Object} { caseSensitive, wholeWord, regex }
+         */
+        function getFindPanelOptions() {
+            const { toggles } = findPanelFields;
+            const options = {};
+            Object.keys(toggles).forEach(option => {
+                options[option] = toggles[option].getAttribute('aria-pressed') === 'true';
+            });
+            return options;
+        }
+        
+        /**
+         * 에디터에서 검색어 찾기 (결과를 강조하고 현재 결과는 선택 영역 위치부터 시작)
+         * @param {Element} element - 에디터 요소
+         * @param {string} query - 검색어
+         * @param {Object} [options] - { caseSensitive, wholeWord, regex }
+         * @returns {Array|null} 결과 목록 ({ start, end, text }), 정규식이 올바르지 않으면 null
+         */
+        function findInEditor(element, query, options = {}) {
+            if (!element) return [];
+            if (findState && findState.element !== element) {
+                clearFindHighlights();
+            }
+            const selection = getSelectionOffsets(element);
+            findState = {
+                element,
+                query: String(query == null ? '' : query),
+                options: { caseSensitive: Boolean(options.caseSensitive), wholeWord: Boolean(options.wholeWord), regex: Boolean(options.regex) },
+                matches: [],
+                index: -1,
+                error: null
+            };
+            updateFindMatches(selection ? selection.start : 0);
+            return findState.error ? null : findState.matches.map(toFindResult);
+        }
+        
+        /**
+         * 찾기 결과를 API에 돌려줄 형태로 변환
+         * @param {Object} match - 찾기 결과
+         * @returns {Object} { start, end, text }
+         */
+        function toFindResult(match) {
+            return { start: match.start, end: match.end, text: match.match[0] };
+        }
+        
+        /**
+         * 현재 검색어로 결과를 다시 계산하고 강조와 패널 갱신
+         * 블록 경계를 넘는 결과가 생기지 않도록 contenteditable은 인라인 런마다 찾습니다.
+         * @param {number} [from] - 이 오프셋 이후의 첫 결과를 현재 결과로 (생략하면 현재 결과 위치)
+         */
+        function updateFindMatches(from) {
+            const state = findState;
+            if (!state) return;
+            if (from === undefined) {
+                from = state.index !== -1 ? state.matches[state.index].start : 0;
+            }
+            
+            let pattern = null;
+            state.error = null;
+            try {
+                pattern = createFindPattern(state.query, state.options);
+            } catch (error) {
+                state.error = translate('invalidRegex');
+            }
+            
+            const { element } = state;
+            if (!pattern) {
+                state.matches = [];
+            } else if (isTextInput(element)) {
+                state.matches = findTextMatches(element.value, pattern);
+            } else {
+                const text = getTextContent(element);
+                state.matches = getInlineRuns(element)
+                    .filter(run => !isWhitespaceRun(run))
+                    .map(run => getRunBounds(element, run))
+                    .reduce((matches, bounds) => matches.concat(findTextMatches(text.slice(bounds.start, bounds.end), pattern, bounds.start)), []);
+            }
+            
+            const next = state.matches.findIndex(match => match.start >= from);
+            state.index = state.matches.length ? Math.max(next, 0) : -1;
+            renderFindHighlights();
+            updateFindPanel();
+        }
+        
+        /**
+         * 찾기 패널의 결과 수, 오류, 버튼 상태 갱신
+         */
+        function updateFindPanel() {
+            if (!findPanel || findPanel.style.display === 'none' || !findState) return;
+            const fields = findPanelFields;
+            const { matches, index, error, query } = findState;
+            fields.count.textContent = error || !query ? '' : matches.length
+                ? translate('matchCount').replace('{current}', index + 1).replace('{total}', matches.length)
+                : translate('noResults');
+            fields.error.textContent = error || '';
+            [fields.previous, fields.next, fields.replaceOne, fields.replaceAll].forEach(button => {
+                button.disabled = !matches.length;
+            });
+            positionFindPanel();
+        }
+        
+        /**
+         * 찾기 패널을 에디터 오른쪽 위 안쪽에 배치 (에디터 위쪽이 화면 밖이면 화면 위에 붙임)
+         */
+        function positionFindPanel() {
+            if (!findState || !findPanel) return;
+            const rect = findState.element.getBoundingClientRect();
+            const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+            const top = Math.max(rect.top, 0) + 4;
+            const left = Math.max(4, Math.min(rect.right, viewportWidth) - findPanel.offsetWidth - 4);
+            const position = toLayerPosition(findPanel, top, left);
+            findPanel.style.top = `${position.top}px`;
+            findPanel.style.left = `${position.left}px`;
+        }
+        
+        /**
+         * 결과를 Highlight API 대신 사각형 레이어로 그려야 하는지 확인
+         * @param {Element} element - 에디터 요소
+         * @returns {boolean} 레이어 사용 여부
+         */
+        function usesFindOverlay(element) {
+            return isTextInput(element) || !supportsHighlights();
+        }
+        
+        /**
+         * 찾기 결과 강조 (현재 결과는 다른 색)
+         */
+        function renderFindHighlights() {
+            clearFindHighlights();
+            if (!findState || !findState.matches.length) return;
+            const { element, matches, index } = findState;
+            
+            if (usesFindOverlay(element)) {
+                renderFindOverlay();
+                return;
+            }
+            const ranges = matches.map(match => getOffsetRange(element, match.start, match.end));
+            CSS.highlights.set(FIND_HIGHLIGHT, new Highlight(...ranges.filter((range, i) => i !== index)));
+            CSS.highlights.set(FIND_CURRENT_HIGHLIGHT, new Highlight(ranges[index]));
+        }
+        
+        /**
+         * 찾기 결과를 사각형 레이어로 그리기
+         * 결과가 많으면 현재 결과부터 FIND_OVERLAY_LIMIT개까지만 그리고, 에디터의 보이는 영역 밖은 생략합니다.
+         */
+        function renderFindOverlay() {
+            if (!findOverlay) {
+                findOverlay = document.createElement('div');
+                findOverlay.className = 'floating-editor-find-overlay';
+                applyTheme(findOverlay);
+                findOverlay.style.position = 'absolute';
+                findOverlay.style.top = '0';
+                findOverlay.style.left = '0';
+                findOverlay.style.zIndex = '9998';
+                findOverlay.style.pointerEvents = 'none';
+                document.body.appendChild(findOverlay);
+            }
+            findOverlay.textContent = '';
+            if (!findState || !findState.matches.length) return;
+            
+            const { element, matches, index } = findState;
+            const bounds = element.getBoundingClientRect();
+            const order = matches.map((match, i) => (index + i) % matches.length).slice(0, FIND_OVERLAY_LIMIT);
+            order.forEach(i => {
+                const match = matches[i];
+                const rects = isTextInput(element)
+                    ? [getTextareaSelectionRect(element, match.start, match.end)]
+                    : Array.from(getOffsetRange(element, match.start, match.end).getClientRects());
+                rects.forEach(rect => {
+                    if (rect.bottom < bounds.top || rect.top > bounds.bottom || !rect.width) return;
+                    const box = document.createElement('div');
+                    box.className = i === index ? 'floating-editor-find-match current' : 'floating-editor-find-match';
+                    findOverlay.appendChild(box);
+                    const { top, left } = toLayerPosition(box, rect.top, rect.left);
+                    box.style.top = `${top}px`;
+                    box.style.left = `${left}px`;
+                    box.style.width = `${rect.width}px`;
+                    box.style.height = `${rect.height}px`;
+                });
+            });
+        }
+        
+        /**
+         * 찾기 결과 강조 제거
+         */
+        function clearFindHighlights() {
+            if (supportsHighlights()) {
+                CSS.highlights.delete(FIND_HIGHLIGHT);
+                CSS.highlights.delete(FIND_CURRENT_HIGHLIGHT);
+            }
+            if (findOverlay) {
+                findOverlay.textContent = '';
+            }
+        }
+        
+        /**
+         * 현재 결과가 보이도록 스크롤 (textarea는 결과를 선택 영역으로 잡아 스크롤)
+         */
+        function scrollFindMatchIntoView() {
+            if (!findState || findState.index === -1) return;
+            const { element, matches, index } = findState;
+            const match = matches[index];
+            if (isTextInput(element)) {
+                element.setSelectionRange(match.start, match.end);
+                return;
+            }
+            const node = getOffsetRange(element, match.start, match.end).startContainer;
+            const target = node.nodeType === Node.TEXT_NODE ? node.parentNode : node;
+            if (target && target.scrollIntoView) {
+                target.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            }
+        }
+        
+        /**
+         * 이전/다음 결과로 이동 (끝에서는 처음으로 돌아감)
+         * @param {number} delta - 1이면 다음, -1이면 이전
+         * @returns {Object|null} 새 현재 결과 ({ start, end, text })
+         */
+        function stepFindMatch(delta) {
+            if (!findState || !findState.matches.length) return null;
+            const { matches } = findState;
+            findState.index = (findState.index + delta + matches.length) % matches.length;
+            renderFindHighlights();
+            updateFindPanel();
+            scrollFindMatchIntoView();
+            return toFindResult(matches[findState.index]);
+        }
+        
+        /**
+         * 결과를 바꿀 문자열 (정규식 검색이면 $1 등을 일치 결과로 치환)
+         * @param {Object} match - 찾기 결과
+         * @param {string} replacement - 바꿀 문자열
+         * @returns {string} 실제로 넣을 문자열
+         */
+        function getFindReplacement(match, replacement) {
+            const value = String(replacement == null ? '' : replacement);
+            return findState.options.regex ? expandReplacement(value, match.match) : value;
+        }
+        
+        /**
+         * 현재 결과를 바꾸고 다음 결과로 이동 (실행 취소 한 번으로 되돌림)
+         * 바꾼 글자는 결과 시작 위치의 서식을 이어받습니다.
+         * @param {string} replacement - 바꿀 문자열
+         * @returns {boolean} 바꿨는지 여부
+         */
+        function replaceFindMatch(replacement) {
+            if (!findState || findState.index === -1) return false;
+            const { element, matches, index } = findState;
+            const match = matches[index];
+            const value = getFindReplacement(match, replacement);
+            
+            replaceTextOffsets(element, match.start, match.end, value);
+            // change 이벤트로 다시 계산된 결과에서, 바꾼 글자 뒤의 결과를 현재 결과로
+            updateFindMatches(match.start + value.length);
+            scrollFindMatchIntoView();
+            return true;
+        }
+        
+        /**
+         * 모든 결과를 바꾸기 (실행 취소 한 번으로 모두 되돌림)
+         * @param {string} replacement - 바꿀 문자열
+         * @returns {number} 바꾼 결과 수
+         */
+        function replaceAllFindMatches(replacement) {
+            if (!findState || !findState.matches.length) return 0;
+            const { element, matches } = findState;
+            const selectionBefore = getSelectionOffsets(element);
+            hideToolbar();
+            hideLinkPopover();
+            
+            // 뒤에서부터 바꿔 앞쪽 결과의 오프셋이 그대로 유지되도록 함
+            let selectionAfter = selectionBefore && { ...selectionBefore };
+            matches.slice().reverse().forEach(match => {
+                const value = getFindReplacement(match, replacement);
+                if (isTextInput(element)) {
+                    replaceTextRange(element, match.start, match.end, value);
+                } else {
+                    replaceText(element, match.start, match.end, value);
+                }
+                if (selectionAfter) {
+                    const shift = offset => {
+                        if (offset <= match.start) return offset;
+                        if (offset >= match.end) return offset + value.length - (match.end - match.start);
+                        return match.start + value.length;
+                    };
+                    selectionAfter = { start: shift(selectionAfter.start), end: shift(selectionAfter.end) };
+                }
+            });
+            if (selectionAfter && !isTextInput(element)) {
+                restoreSelectionOffsets(element, selectionAfter.start, selectionAfter.end);
+            }
+            
+            recordHistory(element, { selectionBefore, selectionAfter });
+            updateFindMatches(0);
+            return matches.length;
+        }
+        
+        /**
+         * 찾기를 끝내고 강조 제거
+         * @param {boolean} restoreFocus - 에디터에 포커스를 돌려주고 현재 결과를 선택할지 여부
+         */
+        function closeFindPanel(restoreFocus) {
+            if (!findState) return;
+            const { element, matches, index } = findState;
+            clearFindHighlights();
+            findState = null;
+            if (findPanel) {
+                findPanel.style.display = 'none';
+            }
+            if (restoreFocus) {
+                element.focus();
+                if (index !== -1) {
+                    restoreSelectionOffsets(element, matches[index].start, matches[index].end);
+                }
+            }
+        }
+        
+        // ---------------------------
+        // 임시 저장과 변경 상태
+        // ---------------------------
+        
+        // 마지막으로 저장한(markClean) 내용과 그때의 변경 여부 (에디터 요소 → 값)
+        const cleanContents = new Map();
+        const dirtyStates = new Map();
+        
+        // 예약된 임시 저장 타이머 (에디터 요소 → 타이머)
+        const draftTimers = new Map();
+        
+        // 설정한 저장소로 만든 어댑터 (config.autosave.storage가 바뀌면 다시 만듦)
+        let draftStorage = null;
+        let draftStorageOption = null;
+        
+        /**
+         * 자동 저장 설정 (기본값 병합)
+         * @returns {Object|null} 설정, 자동 저장을 사용하지 않으면 null
+         */
+        function getAutosaveOptions() {
+            if (!config.autosave) return null;
+            return { ...AUTOSAVE_DEFAULTS, ...(typeof config.autosave === 'object' ? config.autosave : {}) };
+        }
+        
+        /**
+         * 임시 저장 저장소 어댑터
+         * @param {Object} options - 자동 저장 설정
+         * @returns {Object} 저장소 어댑터
+         */
+        function getDraftStorage(options) {
+            if (!draftStorage || draftStorageOption !== options.storage) {
+                draftStorageOption = options.storage;
+                if (options.storage && typeof options.storage === 'object') {
+                    draftStorage = options.storage;
+                } else if (options.storage === 'indexedDB') {
+                    draftStorage = createIndexedDBAdapter();
+                } else {
+                    draftStorage = createLocalStorageAdapter();
+                }
+            }
+            return draftStorage;
+        }
+        
+        /**
+         * 에디터의 임시 저장 키
+         * 문자열 키는 접두사로 쓰고 에디터 id(없으면 페이지에서 초기화된 순서)를 붙입니다.
+         * @param {Element} element - 에디터 요소
+         * @param {Object} options - 자동 저장 설정
+         * @returns {string} 저장 키
+         */
+        function getDraftKey(element, options) {
+            if (typeof options.key === 'function') return String(options.key(element));
+            const prefix = options.key || `floating-editor:${window.location.pathname}`;
+            return `${prefix}:${element.id || draftKeyIndexes.get(element)}`;
+        }
+        
+        /**
+         * 에디터 내용을 임시 저장본으로 만들기
+         * @param {Element} element - 에디터 요소
+         * @returns {Object} { content, savedAt, comments } (textarea는 값, contenteditable은 정리된 HTML)
+         */
+        function createDraft(element) {
+            const draft = { content: isTextInput(element) ? element.value : exportHTML(element), savedAt: new Date().toISOString() };
+            const comments = getComments(element);
+            if (comments.length) draft.comments = comments;
+            return draft;
+        }
+        
+        /**
+         * 마지막으로 저장한 뒤 내용이 바뀌었는지 확인 (실행 취소로 되돌리면 다시 false)
+         * @param {Element} element - 에디터 요소
+         * @returns {boolean} 변경 여부
+         */
+        function isEditorDirty(element) {
+            return Boolean(element) && cleanContents.has(element) && readContent(element) !== cleanContents.get(element);
+        }
+        
+        /**
+         * 변경 여부가 바뀌었으면 dirtychange 이벤트 발생
+         * @param {Element} element - 에디터 요소
+         */
+        function updateDirtyState(element) {
+            const dirty = isEditorDirty(element);
+            if (dirtyStates.get(element) === dirty) return;
+            dirtyStates.set(element, dirty);
+            emit(element, 'dirtychange', { dirty });
+        }
+        
+        /**
+         * 현재 내용을 저장된 상태로 표시하고 임시 저장본 삭제 (서버에 저장한 뒤 호출)
+         * @param {Element} element - 에디터 요소
+         */
+        function markClean(element) {
+            if (!element) return;
+            cleanContents.set(element, readContent(element));
+            updateDirtyState(element);
+            const options = getAutosaveOptions();
+            if (options) {
+                clearTimeout(draftTimers.get(element));
+                draftTimers.delete(element);
+                removeDraft(element, options);
+            }
+        }
+        
+        /**
+         * 내용이 바뀐 뒤 변경 상태 갱신과 임시 저장 예약
+         * @param {Element} element - 에디터 요소
+         */
+        function handleContentChange(element) {
+            updateDirtyState(element);
+            const options = getAutosaveOptions();
+            if (!options) return;
+            clearTimeout(draftTimers.get(element));
+            draftTimers.set(element, setTimeout(() => saveDraft(element), options.delay));
+        }
+        
+        /**
+         * 임시 저장본 저장 (저장된 상태와 같으면 임시 저장본을 지움)
+         * 저장하면 save 이벤트, 실패하면 save:error 이벤트를 보냅니다.
+         * @param {Element} element - 에디터 요소
+         * @returns {Promise} 저장 완료
+         */
+        function saveDraft(element) {
+            const options = getAutosaveOptions();
+            clearTimeout(draftTimers.get(element));
+            draftTimers.delete(element);
+            if (!options || !element) return Promise.resolve();
+            if (!isEditorDirty(element)) return removeDraft(element, options);
+            
+            const key = getDraftKey(element, options);
+            const draft = createDraft(element);
+            return Promise.resolve()
+                .then(() => getDraftStorage(options).set(key, draft))
+                .then(() => {
+                    emit(element, 'save', { key, draft });
+                })
+                .catch(error => {
+                    emit(element, 'save:error', { key, error });
+                });
+        }
+        
+        /**
+         * 저장소에서 임시 저장본 삭제
+         * @param {Element} element - 에디터 요소
+         * @param {Object} options - 자동 저장 설정
+         * @returns {Promise} 삭제 완료
+         */
+        function removeDraft(element, options) {
+            const key = getDraftKey(element, options);
+            return Promise.resolve()
+                .then(() => getDraftStorage(options).remove(key))
+                .catch(error => {
+                    emit(element, 'save:error', { key, error });
+                });
+        }
+        
+        /**
+         * 예약된 임시 저장을 바로 실행 (페이지를 떠나거나 인스턴스를 제거할 때)
+         */
+        function flushDrafts() {
+            Array.from(draftTimers.keys()).forEach(saveDraft);
+        }
+        
+        /**
+         * 현재 내용보다 새로운 임시 저장본 읽기
+         * 내용이 같거나 config.autosave.since보다 오래된 임시 저장본은 지웁니다.
+         * @param {Element} element - 에디터 요소
+         * @returns {Promise<Object|null>} 임시 저장본
+         */
+        function readDraft(element) {
+            const options = getAutosaveOptions();
+            if (!options || !element) return Promise.resolve(null);
+            const key = getDraftKey(element, options);
+            return Promise.resolve()
+                .then(() => getDraftStorage(options).get(key))
+                .then(draft => {
+                    if (!draft || typeof draft.content !== 'string') return null;
+                    const current = isTextInput(element) ? element.value : exportHTML(element);
+                    const since = options.since ? new Date(options.since).getTime() : NaN;
+                    if (draft.content === current || Date.parse(draft.savedAt) <= since) {
+                        return removeDraft(element, options).then(() => null);
+                    }
+                    return draft;
+                })
+                .catch(error => {
+                    emit(element, 'save:error', { key, error });
+                    return null;
+                });
+        }
+        
+        /**
+         * 임시 저장본을 에디터에 복원 (실행 취소 가능, 복원한 내용은 저장되지 않은 변경으로 표시)
+         * @param {Element} element - 에디터 요소
+         * @returns {Promise<boolean>} 복원 여부
+         */
+        function restoreDraft(element) {
+            return readDraft(element).then(draft => applyDraft(element, draft));
+        }
+        
+        /**
+         * 읽어 온 임시 저장본을 에디터 내용으로 설정
+         * @param {Element} element - 에디터 요소
+         * @param {Object|null} draft - 임시 저장본
+         * @returns {boolean} 복원 여부
+         */
+        function applyDraft(element, draft) {
+            if (!draft || !editorElements.includes(element)) return false;
+            if (isTextInput(element)) {
+                replaceContent(element, draft.content);
+            } else {
+                loadHTML(element, draft.content);
+                if (Array.isArray(draft.comments)) setComments(element, draft.comments);
+            }
+            emit(element, 'draft:restore', { draft });
+            return true;
+        }
+        
+        /**
+         * 임시 저장본 버리기
+         * @param {Element} element - 에디터 요소
+         * @returns {Promise} 삭제 완료
+         */
+        function discardDraft(element) {
+            const options = getAutosaveOptions();
+            if (!options || !element) return Promise.resolve();
+            clearTimeout(draftTimers.get(element));
+            draftTimers.delete(element);
+            return removeDraft(element, options).then(() => {
+                emit(element, 'draft:discard', {});
+            });
+        }
+        
+        /**
+         * 초기화할 때 새로운 임시 저장본이 있으면 config.autosave.restore에 따라 복원 제안
+         * restore 함수가 예외를 던지거나 거부된 Promise를 반환하면 save:error 이벤트를 보내고 임시 저장본은 남겨 둡니다.
+         * @param {Element} element - 에디터 요소
+         * @returns {Promise} 복원 제안 완료
+         */
+        function offerDraft(element) {
+            const options = getAutosaveOptions();
+            return readDraft(element).then(draft => {
+                if (!draft || !editorElements.includes(element)) return;
+                emit(element, 'draft', { draft });
+                const { restore } = options;
+                if (restore === false) return;
+                
+                return Promise.resolve()
+                    .then(() => typeof restore === 'function' ? restore(draft, element)
+                        : restore === 'confirm' ? window.confirm(translate('restoreDraft')) : true)
+                    .then(accepted => accepted ? applyDraft(element, draft) : discardDraft(element));
+            }).catch(error => {
+                emit(element, 'save:error', { key: getDraftKey(element, options), error });
+            });
+        }
+        
+        /**
+         * 페이지를 떠나기 전에 예약된 임시 저장을 실행하고, config.warnOnUnload이면 저장하지 않은 변경을 경고
+         * @param {BeforeUnloadEvent} event - beforeunload 이벤트
+         */
+        function handleBeforeUnload(event) {
+            flushDrafts();
+            if (!config.warnOnUnload || !editorElements.some(isEditorDirty)) return;
+            event.preventDefault();
+            event.returnValue = '';
+        }
+        
+        // ---------------------------
+        // 인스턴스 API
+        // ---------------------------
+        
+        // 대상 요소를 생략하면 포커스된 에디터, 없으면 첫 번째 에디터를 사용
+        const resolveTarget = target => target ||
+            editorElements.find(element => element.contains(document.activeElement)) ||
+            editorElements[0];
+        
+        const api = {
+            getElements: () => editorElements.slice(),
+            getConfig: () => config,
+            setConfig: newConfig => {
+                config = { ...config, ...newConfig };
+                // 툴바와 레이어를 새 설정(언어, 테마, 아이콘 등)으로 다시 만듦
+                refreshUI();
+            },
+            setLocale: locale => {
+                api.setConfig({ locale });
+                return api;
+            },
+            on: (type, handler) => {
+                (eventListeners[type] = eventListeners[type] || []).push(handler);
+                return api;
+            },
+            off: (type, handler) => {
+                eventListeners[type] = handler
+                    ? (eventListeners[type] || []).filter(listener => listener !== handler)
+                    : [];
+                return api;
+            },
+            use: plugin => {
+                usePlugin(plugin);
+                return api;
+            },
+            execute: (command, ...args) => executeCommand(command, ...args),
+            hide: hideToolbar,
+            destroy,
+            undo: target => undo(resolveTarget(target)),
+            redo: target => redo(resolveTarget(target)),
+            canUndo: target => canUndo(resolveTarget(target)),
+            canRedo: target => canRedo(resolveTarget(target)),
+            getHTML: target => exportHTML(resolveTarget(target)),
+            setHTML: (html, target) => loadHTML(resolveTarget(target), html),
+            getMarkdown: target => exportMarkdown(resolveTarget(target)),
+            setMarkdown: (markdown, target) => loadMarkdown(resolveTarget(target), markdown),
+            getJSON: target => exportJSON(resolveTarget(target)),
+            setJSON: (json, target) => loadJSON(resolveTarget(target), json),
+            getSelection: target => getTextSelection(resolveTarget(target)),
+            setSelection: (start, end, target) => setTextSelection(resolveTarget(target), start, end),
+            insertText: (text, target) => insertTextAtSelection(resolveTarget(target), text),
+            replaceRange: (start, end, text, target) => replaceTextOffsets(resolveTarget(target), start, end, text),
+            formatRange: (start, end, mark, target) => formatTextOffsets(resolveTarget(target), start, end, mark),
+            addComment: (comment, target) => addComment(resolveTarget(target), comment),
+            replyComment: (id, message, target) => replyComment(resolveTarget(target), id, message),
+            resolveComment: (id, resolved, target) => resolveComment(resolveTarget(target), id, resolved),
+            deleteComment: (id, target) => deleteComment(resolveTarget(target), id),
+            getComments: target => getComments(resolveTarget(target)),
+            setComments: (comments, target) => setComments(resolveTarget(target), comments),
+            openFind: (query, target) => openFindPanel(resolveTarget(target), query),
+            closeFind: () => closeFindPanel(false),
+            find: (query, options, target) => {
+                const matches = findInEditor(resolveTarget(target), query, options);
+                if (!matches) console.warn(`FloatingEditor: 올바르지 않은 정규식 '${query}'`);
+                return matches || [];
+            },
+            findNext: () => stepFindMatch(1),
+            findPrevious: () => stepFindMatch(-1),
+            replace: replacement => replaceFindMatch(replacement),
+            replaceAll: replacement => replaceAllFindMatches(replacement),
+            // 대상 요소를 생략하면 isDirty는 에디터 중 하나라도 바뀌었는지, markClean은 모든 에디터를 표시
+            isDirty: target => target ? isEditorDirty(target) : editorElements.some(isEditorDirty),
+            markClean: target => {
+                (target ? [target] : editorElements).forEach(markClean);
+                return api;
+            },
+            saveDraft: target => saveDraft(resolveTarget(target)),
+            restoreDraft: target => restoreDraft(resolveTarget(target)),
+            discardDraft: target => discardDraft(resolveTarget(target)),
+            insertMention: (mention, target) => insertMentionAtSelection(resolveTarget(target), mention)
+        };
+        
+        targets.forEach(setupEditor);
+        createToolbar();
+        
+        // 이전에 저장하지 못한 임시 저장본이 있으면 복원 제안
+        if (getAutosaveOptions()) {
+            editorElements.forEach(offerDraft);
+        }
+        
+        // 문서 클릭 이벤트 리스너 추가 (툴바 숨김 처리)
+        document.addEventListener('click', handleDocumentClick);
+        
+        // 선택 영역 변경 시 툴바 버튼 상태 갱신
+        document.addEventListener('selectionchange', handleSelectionChange);
+        
+        // 페이지나 스크롤 컨테이너를 스크롤하거나 창 크기가 바뀌면 툴바 위치 갱신 (스크롤은 버블링되지 않으므로 캡처 단계에서 받음)
+        document.addEventListener('scroll', schedulePositionUpdate, true);
+        window.addEventListener('resize', schedulePositionUpdate);
+        
+        // 가상 키보드가 열리거나 확대하면 보이는 화면이 바뀌므로 고정 툴바 위치 갱신
+        if (window.visualViewport) {
+            window.visualViewport.addEventListener('resize', schedulePositionUpdate);
+            window.visualViewport.addEventListener('scroll', schedulePositionUpdate);
+        }
+        
+        // 마우스 버튼을 에디터 밖에서 놓아도 끌어서 선택하기가 끝나도록 문서에서 처리
+        document.addEventListener('pointerup', handlePointerUp);
+        document.addEventListener('pointercancel', handlePointerUp);
+        
+        // 페이지를 떠날 때 예약된 임시 저장 실행 (모바일 브라우저는 beforeunload 대신 pagehide만 보내기도 함)
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        window.addEventListener('pagehide', flushDrafts);
+        
+        // 터치 화면 여부가 바뀌면(태블릿 키보드 연결 등) 버튼 크기에 맞춰 툴바를 다시 그림
+        if (coarsePointerQuery && coarsePointerQuery.addEventListener) {
+            coarsePointerQuery.addEventListener('change', rebuildToolbar);
+        }
+        
+        return api;
+    }
+    
+    // ---------------------------
+    // 공통 보조 함수 (요소 판별, 텍스트 오프셋, 위치 계산)
+    // ---------------------------
+    
+    /**
+     * textarea 또는 텍스트 input 요소 여부
+     * @param {Element} element - 확인할 요소
+     * @returns {boolean} textarea/input 여부
+     */
+    function isTextInput(element) {
+        if (!element || !element.tagName) return false;
+        if (element.tagName === 'TEXTAREA') return true;
+        return element.tagName === 'INPUT' &&
+            ['text', 'search', 'url', 'email', ''].includes((element.getAttribute('type') || '').toLowerCase());
+    }
+    
+    /**
+     * 한 줄짜리 텍스트 input 요소 여부 (줄바꿈을 담을 수 없어 블록 서식을 쓸 수 없음)
+     * @param {Element} element - 확인할 요소
+     * @returns {boolean} input 여부
+     */
+    function isSingleLineInput(element) {
+        return isTextInput(element) && element.tagName === 'INPUT';
+    }
+    
+    /**
+     * contenteditable 요소 내에서 노드의 오프셋 계산
+     * @param {Element} root - 루트 요소
+     * @param {Node} targetNode - 대상 노드
+     * @param {number} targetOffset - 대상 노드 내의 오프셋
+     * @returns {number} 루트 요소 기준 오프셋
+     */
+    function getNodeOffset(root, targetNode, targetOffset) {
+        let offset = targetOffset;
+        
+        // 텍스트 노드가 아닌 경우 앞쪽 자식 노드의 텍스트 길이로 처리
+        if (targetNode.nodeType !== Node.TEXT_NODE) {
+            offset = 0;
+            for (let i = 0; i < targetOffset; i++) {
+                if (targetNode.childNodes[i]) {
+                    offset += getTextContent(targetNode.childNodes[i]).length;
+                }
+            }
+        }
+        
+        // 트리 순회하며 대상 노드 앞에 있는 텍스트 길이를 더함
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+        while (walker.nextNode()) {
+            const current = walker.currentNode;
+            if (current === targetNode ||
+                targetNode.compareDocumentPosition(current) & (Node.DOCUMENT_POSITION_FOLLOWING | Node.DOCUMENT_POSITION_CONTAINED_BY)) {
+                break;
+            }
+            offset += current.textContent.length;
+        }
+        
+        return offset;
+    }
+    
+    /**
+     * 노드의 텍스트 콘텐츠 가져오기
+     * @param {Node} node - 노드
+     * @returns {string} 텍스트 콘텐츠
+     */
+    function getTextContent(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent;
+        }
+        
+        let text = '';
+        const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT, null, false);
+        while (walker.nextNode()) {
+            text += walker.currentNode.textContent;
+        }
+        
+        return text;
+    }
+    
+    // textarea 미러 요소에 복사할 스타일 속성
+    const MIRROR_STYLE_PROPERTIES = [
+        'boxSizing', 'width', 'height', 'overflowX', 'overflowY',
+        'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+        'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+        'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'fontFamily', 'lineHeight',
+        'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize', 'direction'
+    ];
+    
+    /**
+     * textarea/input 안의 선택 영역 좌표 계산
+     * textarea는 내부 텍스트의 위치를 알려주지 않으므로, 같은 스타일의 미러 요소에
+     * 텍스트를 복사해 선택 부분의 위치를 측정합니다.
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작 인덱스
+     * @param {number} end - 선택 끝 인덱스
+     * @returns {Object} 뷰포트 기준 사각형 (top, left, bottom, right, width, height)
+     */
+    function getTextareaSelectionRect(element, start, end) {
+        const style = getComputedStyle(element);
+        const elementRect = element.getBoundingClientRect();
+        const mirror = document.createElement('div');
+        
+        MIRROR_STYLE_PROPERTIES.forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        mirror.style.position = 'absolute';
+        mirror.style.visibility = 'hidden';
+        mirror.style.overflow = 'hidden';
+        mirror.style.top = `${elementRect.top + window.scrollY}px`;
+        mirror.style.left = `${elementRect.left + window.scrollX}px`;
+        mirror.style.whiteSpace = element.tagName === 'INPUT' ? 'pre' : 'pre-wrap';
+        mirror.style.wordWrap = 'break-word';
+        
+        const value = element.value;
+        const marker = document.createElement('span');
+        marker.textContent = value.slice(start, end) || '\u200b';
+        mirror.appendChild(document.createTextNode(value.slice(0, start)));
+        mirror.appendChild(marker);
+        mirror.appendChild(document.createTextNode(value.slice(end)));
+        
+        document.body.appendChild(mirror);
+        mirror.scrollTop = element.scrollTop;
+        mirror.scrollLeft = element.scrollLeft;
+        const rect = marker.getBoundingClientRect();
+        document.body.removeChild(mirror);
+        
+        return {
+            top: rect.top,
+            left: rect.left,
+            bottom: rect.bottom,
+            right: rect.right,
+            width: rect.width,
+            height: rect.height
+        };
+    }
+    
+    // 터치로 선택할 때 선택 영역과 툴바 사이의 최소 간격 (선택 핸들과 OS 메뉴를 가리지 않도록)
+    const TOUCH_HANDLE_GAP = 28;
+    
+    /**
+     * 기준 사각형 옆에 띄울 요소의 위치 계산
+     * 화면 왼쪽/오른쪽 밖으로 나가면 안쪽으로 옮기고, 지정한 쪽에 공간이 없으면 반대쪽에 배치합니다.
+     * 여러 줄에 걸친 기준({ first, last })은 위쪽에 둘 때 첫 줄, 아래쪽에 둘 때 마지막 줄에 맞춥니다.
+     * @param {Object} rect - 뷰포트 기준 사각형 (선택 영역, 커서 등) 또는 { first, last } 줄 사각형
+     * @param {number} width - 띄울 요소의 너비
+     * @param {number} height - 띄울 요소의 높이
+     * @param {Object} options - { placement: 'top' | 'bottom', align: 'center' | 'start', gap: 간격(px), layer: 띄울 요소 }
+     * @returns {Object} 위치 ({ top, left, placement: 실제로 놓인 쪽 }), layer의 포함 블록 기준 (생략하면 문서 기준)
+     */
+    function getFloatingPosition(rect, width, height, options = {}) {
+        const { placement = 'top', align = 'center', gap = 10 } = options;
+        const margin = 10; // 화면 가장자리와의 최소 간격
+        const first = rect.first || rect;
+        const last = rect.last || rect;
+        const above = first.top - height - gap;
+        const below = last.bottom + gap;
+        
+        let side;
+        if (placement === 'top') {
+            side = above < margin ? 'bottom' : 'top';
+        } else {
+            side = below + height > window.innerHeight - margin && above >= margin ? 'top' : 'bottom';
+        }
+        
+        const anchor = side === 'top' ? first : last;
+        let left = align === 'center' ? anchor.left + (anchor.width / 2) - (width / 2) : anchor.left;
+        if (left + width > window.innerWidth - margin) {
+            left = window.innerWidth - width - margin;
+        }
+        if (left < margin) {
+            left = margin;
+        }
+        
+        return { ...toLayerPosition(options.layer, side === 'top' ? above : below, left), placement: side };
+    }
+    
+    /**
+     * 텍스트의 너비 계산
+     * @param {string} text - 너비를 계산할 텍스트
+     * @param {Element} element - 스타일 참조용 요소
+     * @returns {number} 텍스트 너비
+     */
+    function getTextWidth(text, element) {
+        // 임시 캔버스를 사용하여 텍스트 너비 계산
+        const canvas = getTextWidth.canvas || (getTextWidth.canvas = document.createElement('canvas'));
+        const context = canvas.getContext('2d');
+        
+        // 요소의 폰트 스타일 적용
+        const fontStyle = getComputedStyle(element);
+        context.font = `${fontStyle.fontSize} ${fontStyle.fontFamily}`;
+        
+        // 텍스트 너비 계산 및 패딩 고려
+        const metrics = context.measureText(text);
+        const paddingLeft = parseInt(fontStyle.paddingLeft) || 0;
+        
+        return metrics.width + paddingLeft;
+    }
+    
+    // ---------------------------
+    // 플로팅 UI 위치 보조 함수 (여러 줄 선택, 스크롤 컨테이너, 변환된 조상)
+    // ---------------------------
+
+    /**
+     * 범위의 첫 줄과 마지막 줄 사각형
+     * 첫 줄은 가장 위의 사각형과, 마지막 줄은 가장 아래의 사각형과 세로로 겹치는 사각형을 합친 것입니다.
+     * @param {Range} range - DOM 범위
+     * @returns {Object} { first, last, rect: 범위 전체 } 뷰포트 기준 사각형
+     */
+    function getRangeLineRects(range) {
+        const rect = range.getBoundingClientRect();
+        const rects = Array.from(range.getClientRects()).filter(item => item.width || item.height);
+        if (!rects.length) return { first: rect, last: rect, rect };
+
+        const top = rects.reduce((a, b) => (b.top < a.top ? b : a));
+        const bottom = rects.reduce((a, b) => (b.bottom > a.bottom ? b : a));
+        const overlaps = line => item => item.top < line.bottom && item.bottom > line.top;
+        return {
+            first: unionRects(rects.filter(overlaps(top))),
+            last: unionRects(rects.filter(overlaps(bottom))),
+            rect
+        };
+    }
+
+    /**
+     * 사각형 목록을 모두 감싸는 사각형
+     * @param {Array} rects - 뷰포트 기준 사각형 목록
+     * @returns {Object} { top, left, bottom, right, width, height }
+     */
+    function unionRects(rects) {
+        const top = Math.min(...rects.map(rect => rect.top));
+        const left = Math.min(...rects.map(rect => rect.left));
+        const bottom = Math.max(...rects.map(rect => rect.bottom));
+        const right = Math.max(...rects.map(rect => rect.right));
+        return { top, left, bottom, right, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * 요소가 실제로 보이는 영역 (화면과, 내용을 잘라 내는 모든 조상의 안쪽 영역이 겹치는 부분)
+     * @param {Element} element - 기준 요소 (에디터 등)
+     * @returns {Object} 뷰포트 기준 { top, left, bottom, right }
+     */
+    function getVisibleBounds(element) {
+        const bounds = { top: 0, left: 0, bottom: window.innerHeight, right: window.innerWidth };
+        for (let node = element; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+            const style = getComputedStyle(node);
+            if (!/auto|scroll|hidden|clip/.test(`${style.overflow} ${style.overflowX} ${style.overflowY}`)) continue;
+            const rect = node.getBoundingClientRect();
+            const top = rect.top + node.clientTop;
+            const left = rect.left + node.clientLeft;
+            bounds.top = Math.max(bounds.top, top);
+            bounds.left = Math.max(bounds.left, left);
+            bounds.bottom = Math.min(bounds.bottom, top + node.clientHeight);
+            bounds.right = Math.min(bounds.right, left + node.clientWidth);
+        }
+        return bounds;
+    }
+
+    /**
+     * 사각형이 보이는 영역과 겹치는지 확인 (너비가 0인 커서 사각형 포함)
+     * @param {Object} rect - 뷰포트 기준 사각형
+     * @param {Object} bounds - getVisibleBounds 결과
+     * @returns {boolean} 보이는지 여부
+     */
+    function isRectVisible(rect, bounds) {
+        return rect.bottom >= bounds.top && rect.top <= bounds.bottom &&
+            rect.right >= bounds.left && rect.left <= bounds.right;
+    }
+
+    /**
+     * 뷰포트 좌표를 절대 위치 요소의 top/left 값으로 변환
+     * 요소의 포함 블록이 position이나 transform을 가진 조상이면 그 조상 기준으로 바꾸고, 크기 변환(scale)도 보정합니다.
+     * @param {Element} [layer] - 절대 위치 요소 (생략하면 문서 기준)
+     * @param {number} top - 뷰포트 기준 top
+     * @param {number} left - 뷰포트 기준 left
+     * @returns {Object} { top, left }
+     */
+    function toLayerPosition(layer, top, left) {
+        const parent = layer && layer.offsetParent;
+        if (!parent || (parent === document.body && !isContainingBlock(parent))) {
+            return { top: top + window.scrollY, left: left + window.scrollX };
+        }
+        const rect = parent.getBoundingClientRect();
+        const scaleX = parent.offsetWidth ? rect.width / parent.offsetWidth : 1;
+        const scaleY = parent.offsetHeight ? rect.height / parent.offsetHeight : 1;
+        return {
+            top: (top - rect.top) / (scaleY || 1) - parent.clientTop + parent.scrollTop,
+            left: (left - rect.left) / (scaleX || 1) - parent.clientLeft + parent.scrollLeft
+        };
+    }
+
+    /**
+     * 절대 위치 자식의 포함 블록이 되는 요소인지 확인
+     * @param {Element} element - 확인할 요소
+     * @returns {boolean} 포함 블록 여부
+     */
+    function isContainingBlock(element) {
+        const style = getComputedStyle(element);
+        return style.position !== 'static' ||
+            (Boolean(style.transform) && style.transform !== 'none') ||
+            (Boolean(style.filter) && style.filter !== 'none') ||
+            (Boolean(style.perspective) && style.perspective !== 'none');
+    }
+
+    // ---------------------------
+    // 툴바 보조 함수
+    // ---------------------------
+    
+    /**
+     * 맨 앞/맨 뒤의 구분선, 연속된 구분선, 빈 그룹 제거
+     * @param {Array} items - 항목 목록
+     * @returns {Array} 정리된 항목 목록
+     */
+    function collapseSeparators(items) {
+        const result = [];
+        items.forEach(item => {
+            if (item.type === 'group' && !item.items.length) return;
+            if (item.type === 'separator' && (!result.length || result[result.length - 1].type === 'separator')) return;
+            result.push(item);
+        });
+        while (result.length && result[result.length - 1].type === 'separator') {
+            result.pop();
+        }
+        return result;
+    }
+    
+    /**
+     * heading 블록 타입 여부
+     * @param {string|null} blockType - 블록 타입
+     * @returns {boolean} heading 여부
+     */
+    function isHeadingType(blockType) {
+        return /^h[1-6]$/.test(blockType || '');
+    }
+    
+    /**
+     * 툴바 구분선 생성 함수
+     * @returns {Element} 구분선 요소
+     */
+    function createToolbarSeparator() {
+        const separator = document.createElement('div');
+        separator.className = 'floating-editor-separator';
+        separator.setAttribute('aria-hidden', 'true');
+        return separator;
+    }
+
+    // ---------------------------
+    // 단축키 보조 함수
+    // ---------------------------
+
+    // macOS에서는 Mod를 Cmd(meta)로 해석
+    const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+
+    /**
+     * 키 조합 문자열 해석 ('Mod+Shift+X' 형식)
+     * @param {string} shortcut - 키 조합
+     * @returns {Object} { key, ctrl, meta, alt, shift }
+     */
+    function parseShortcut(shortcut) {
+        const parts = shortcut.split('+');
+        const key = parts.pop() || '+';
+        const modifiers = parts.map(part => part.trim().toLowerCase());
+        const mod = modifiers.includes('mod');
+        return {
+            key: key.toLowerCase(),
+            ctrl: modifiers.includes('ctrl') || (mod && !IS_MAC),
+            meta: modifiers.includes('meta') || modifiers.includes('cmd') || (mod && IS_MAC),
+            alt: modifiers.includes('alt'),
+            shift: modifiers.includes('shift')
+        };
+    }
+
+    /**
+     * 키보드 이벤트가 키 조합과 일치하는지 확인
+     * @param {KeyboardEvent} event - keydown 이벤트
+     * @param {string} shortcut - 키 조합
+     * @returns {boolean} 일치 여부
+     */
+    function matchShortcut(event, shortcut) {
+        const expected = parseShortcut(shortcut);
+        if (event.ctrlKey !== expected.ctrl || event.metaKey !== expected.meta ||
+            event.altKey !== expected.alt || event.shiftKey !== expected.shift) {
+            return false;
+        }
+        if ((event.key || '').toLowerCase() === expected.key) return true;
+        // Alt/Shift 조합으로 event.key가 바뀌는 경우(예: macOS의 Alt+1) 물리 키로 비교
+        const code = event.code || '';
+        return code === `Key${expected.key.toUpperCase()}` || code === `Digit${expected.key}`;
+    }
+
+    /**
+     * 키 조합을 표시용 문자열로 변환
+     * @param {string} shortcut - 키 조합
+     * @param {boolean} [forAria] - aria-keyshortcuts 형식(Control, Meta) 여부
+     * @returns {string} 표시용 문자열
+     */
+    function formatShortcut(shortcut, forAria = false) {
+        const mod = IS_MAC ? (forAria ? 'Meta' : 'Cmd') : (forAria ? 'Control' : 'Ctrl');
+        const text = shortcut.replace(/\bMod\b/g, mod);
+        return forAria ? text.replace(/\bCtrl\b/g, 'Control') : text;
+    }
+
+    // ---------------------------
+    // 링크 팝오버 보조 함수
+    // ---------------------------
+
+    /**
+     * URL 파싱 가능 여부
+     * @param {string} url - URL
+     * @returns {boolean} 유효 여부
+     */
+    function isValidUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return !/^https?:$/.test(parsed.protocol) || Boolean(parsed.hostname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 링크 팝오버 입력 필드 생성
+     * @param {Element} layer - 팝오버 요소
+     * @param {string} type - input 타입
+     * @param {string} label - 라벨
+     * @param {string} placeholder - placeholder
+     * @returns {Element} input 요소
+     */
+    function createLinkPopoverInput(layer, type, label, placeholder) {
+        const row = document.createElement('label');
+        row.className = 'link-popover-row';
+        const caption = document.createElement('span');
+        caption.className = 'link-popover-label';
+        caption.textContent = label;
+        const input = document.createElement('input');
+        input.type = type;
+        input.placeholder = placeholder;
+        row.appendChild(caption);
+        row.appendChild(input);
+        layer.appendChild(row);
+        return input;
+    }
+
+    /**
+     * 링크 팝오버의 아이콘 버튼 생성
+     * @param {Element|null} icon - 아이콘 요소 (없으면 툴팁 문구를 글자로 표시)
+     * @param {string} title - 버튼 툴팁
+     * @param {Function} action - 클릭 시 실행할 함수
+     * @returns {Element} 버튼 요소
+     */
+    function createLinkPopoverAction(icon, title, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'link-popover-action';
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        if (icon) {
+            button.appendChild(icon);
+        } else {
+            button.classList.add('text-only');
+            button.textContent = title;
+        }
+        button.addEventListener('click', action);
+        return button;
+    }
+
+    /**
+     * 선택 범위의 링크 정보 찾기
+     * 범위가 기존 링크 안에 있으면 링크 전체로 범위를 넓힙니다.
+     * @param {Element} element - 에디터 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Object} 링크 대상 ({ element, start, end, href, text, newTab, isExisting })
+     */
+    function getLinkTarget(element, start, end) {
+        if (isTextInput(element)) {
+            const link = findMarkdownLink(element.value, start, end);
+            if (link) {
+                return { element, start: link.start, end: link.end, href: link.url, text: link.text, newTab: false, isExisting: true };
+            }
+            return { element, start, end, href: '', text: element.value.slice(start, end), newTab: false, isExisting: false };
+        }
+
+        const anchor = findLinkElement(element, start, end);
+        if (anchor) {
+            const linkStart = getNodeOffset(element, anchor, 0);
+            return {
+                element,
+                start: linkStart,
+                end: linkStart + getTextContent(anchor).length,
+                href: anchor.getAttribute('href') || '',
+                text: getTextContent(anchor),
+                newTab: anchor.getAttribute('target') === '_blank',
+                isExisting: true
+            };
+        }
+        return { element, start, end, href: '', text: getTextContent(element).slice(start, end), newTab: false, isExisting: false };
+    }
+
+    /**
+     * 범위 전체를 포함하는 링크 요소 찾기
+     * @param {Element} element - 에디터 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Element|null} <a> 요소
+     */
+    function findLinkElement(element, start, end) {
+        const candidates = [getPositionFromOffset(element, start, false), getPositionFromOffset(element, start, true)];
+        for (const position of candidates) {
+            const node = position.node.nodeType === Node.TEXT_NODE ? position.node.parentNode : position.node;
+            const anchor = node && node.closest ? node.closest('a') : null;
+            if (!anchor || !element.contains(anchor) || anchor === element) continue;
+            const linkStart = getNodeOffset(element, anchor, 0);
+            const linkEnd = linkStart + getTextContent(anchor).length;
+            if (linkStart <= start && end <= linkEnd) return anchor;
+        }
+        return null;
+    }
+
+    /**
+     * 텍스트 오프셋 범위의 화면 좌표 계산
+     * @param {Element} element - 에디터 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Object} 뷰포트 기준 사각형
+     */
+    function getOffsetRangeRect(element, start, end) {
+        if (isTextInput(element)) {
+            return getTextareaSelectionRect(element, start, end);
+        }
+        return getOffsetRange(element, start, end).getBoundingClientRect();
+    }
+
+    /**
+     * 텍스트 오프셋 범위의 첫 줄과 마지막 줄 사각형 (getRangeLineRects 참고)
+     * @param {Element} element - 에디터 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Object} { first, last, rect } 뷰포트 기준 사각형
+     */
+    function getOffsetLineRects(element, start, end) {
+        if (isTextInput(element)) {
+            const rect = getTextareaSelectionRect(element, start, end);
+            return { first: rect, last: rect, rect };
+        }
+        return getRangeLineRects(getOffsetRange(element, start, end));
+    }
+
+    /**
+     * 텍스트 오프셋 범위의 DOM 범위 생성 (선택 영역은 바꾸지 않음)
+     * @param {Element} element - contenteditable 에디터 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Range} DOM 범위
+     */
+    function getOffsetRange(element, start, end) {
+        const startPosition = getPositionFromOffset(element, start, start === end);
+        const endPosition = getPositionFromOffset(element, end, true);
+        const range = document.createRange();
+        range.setStart(startPosition.node, startPosition.offset);
+        range.setEnd(endPosition.node, endPosition.offset);
+        return range;
+    }
+
+    // ---------------------------
+    // 찾기 / 바꾸기 보조 함수
+    // ---------------------------
+
+    // 찾기 결과 강조에 쓰는 CSS Custom Highlight 이름 (::highlight()로 꾸밈)
+    const FIND_HIGHLIGHT = 'floating-editor-find';
+    const FIND_CURRENT_HIGHLIGHT = 'floating-editor-find-current';
+
+    // Highlight API가 없거나 textarea일 때 사각형으로 그리는 결과 수 한도
+    const FIND_OVERLAY_LIMIT = 200;
+
+    /**
+     * CSS Custom Highlight API 지원 여부
+     * @returns {boolean} 지원 여부
+     */
+    function supportsHighlights() {
+        return typeof CSS !== 'undefined' && Boolean(CSS.highlights) && typeof Highlight === 'function';
+    }
+
+    /**
+     * 검색어와 옵션으로 전역 정규식 생성
+     * 단어 단위 검색은 한글 등도 단어로 보도록 \b 대신 유니코드 문자 경계를 사용합니다.
+     * 유니코드 모드에서만 문법 오류인 정규식(예: 문자 클래스 밖의 \-)은 u 플래그 없이 다시 만듭니다.
+     * @param {string} query - 검색어
+     * @param {Object} options - { caseSensitive, wholeWord, regex }
+     * @returns {RegExp|null} 정규식 (검색어가 없으면 null)
+     * @throws {SyntaxError} 정규식 검색어가 올바르지 않은 경우
+     */
+    function createFindPattern(query, options = {}) {
+        if (!query) return null;
+        const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const flags = options.caseSensitive ? 'g' : 'gi';
+        const wordChar = '[\\p{L}\\p{N}_]';
+        try {
+            return new RegExp(options.wholeWord ? `(?<!${wordChar})(?:${source})(?!${wordChar})` : source, `${flags}u`);
+        } catch (error) {
+            if (!options.regex) throw error;
+            // u 플래그 없이는 \p{...}를 쓸 수 없으므로 ASCII 밖의 글자는 모두 단어 글자로 봄
+            const legacyWordChar = '[\\w\\u0080-\\uffff]';
+            const legacySource = options.wholeWord ? `(?<!${legacyWordChar})(?:${source})(?!${legacyWordChar})` : source;
+            return new RegExp(legacySource, flags);
+        }
+    }
+
+    /**
+     * 텍스트에서 정규식과 일치하는 범위 목록 (길이가 0인 일치는 제외)
+     * @param {string} text - 검색할 텍스트
+     * @param {RegExp} pattern - 전역 정규식
+     * @param {number} offset - 텍스트의 시작 오프셋 (결과 범위에 더함)
+     * @returns {Array} 결과 목록 ({ start, end, match })
+     */
+    function findTextMatches(text, pattern, offset = 0) {
+        const matches = [];
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (!match[0].length) {
+                pattern.lastIndex++;
+                continue;
+            }
+            matches.push({ start: offset + match.index, end: offset + match.index + match[0].length, match });
+        }
+        return matches;
+    }
+
+    /**
+     * 정규식 바꾸기 문자열의 $&, $1, $<name>, $$를 일치 결과로 치환
+     * @param {string} replacement - 바꿀 문자열
+     * @param {Array} match - RegExp.exec 결과
+     * @returns {string} 치환된 문자열
+     */
+    function expandReplacement(replacement, match) {
+        return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+            if (key === '$') return '$';
+            if (key === '&') return match[0];
+            if (name !== undefined) return match.groups && match.groups[name] !== undefined ? match.groups[name] : '';
+            const index = Number(key);
+            return index > 0 && index < match.length ? match[index] || '' : token;
+        });
+    }
+
+    // ---------------------------
+    // 임시 저장 저장소 어댑터 ({ get, set, remove }, 모두 Promise를 돌려줌)
+    // ---------------------------
+
+    // 자동 저장 기본 설정 (config.autosave가 true이거나 객체일 때 병합)
+    const AUTOSAVE_DEFAULTS = {
+        key: null, // 저장 키 접두사 문자열 또는 (element) => 키 함수, 없으면 'floating-editor:{페이지 경로}'
+        delay: 1000, // 마지막 변경 후 저장할 때까지 기다리는 시간(ms)
+        storage: 'localStorage', // 'localStorage', 'indexedDB' 또는 { get, set, remove } 어댑터
+        restore: 'confirm', // 초기화할 때 임시 저장본 복원 방법 ('confirm', true, false 또는 (draft, element) => boolean|Promise)
+        since: null // 서버 내용의 저장 시각 (이보다 오래된 임시 저장본은 복원하지 않음)
+    };
+
+    /**
+     * localStorage 어댑터 생성 (임시 저장본을 JSON 문자열로 저장)
+     * @returns {Object} 저장소 어댑터
+     */
+    function createLocalStorageAdapter() {
+        return {
+            get: key => Promise.resolve().then(() => {
+                const value = window.localStorage.getItem(key);
+                return value ? JSON.parse(value) : null;
+            }),
+            set: (key, draft) => Promise.resolve().then(() => window.localStorage.setItem(key, JSON.stringify(draft))),
+            remove: key => Promise.resolve().then(() => window.localStorage.removeItem(key))
+        };
+    }
+
+    /**
+     * IndexedDB 어댑터 생성 (localStorage 용량이 부족한 큰 문서용)
+     * @param {string} [name] - 데이터베이스 이름
+     * @returns {Object} 저장소 어댑터
+     */
+    function createIndexedDBAdapter(name = 'floating-editor') {
+        const STORE = 'drafts';
+        let database = null;
+
+        const open = () => {
+            if (!database) {
+                database = new Promise((resolve, reject) => {
+                    const request = window.indexedDB.open(name, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+                // 열기에 실패하면 다음 요청에서 다시 시도
+                database.catch(() => {
+                    database = null;
+                });
+            }
+            return database;
+        };
+        const run = (mode, operation) => open().then(db => new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+
+        return {
+            get: key => run('readonly', store => store.get(key)).then(draft => draft || null),
+            set: (key, draft) => run('readwrite', store => store.put(draft, key)).then(() => undefined),
+            remove: key => run('readwrite', store => store.delete(key)).then(() => undefined)
+        };
+    }
+
+    // ---------------------------
+    // 서식 엔진
+    // ---------------------------
+
+    // 인라인 마크 정의 (rank가 낮을수록 바깥쪽에 렌더링되어 출력 HTML이 항상 같은 순서를 가짐)
+    // className이 있는 마크는 값을 class(접두사 + attrs[attr])로 나타냄
+    // dataAttributes가 있는 마크는 값을 data-* 속성(attrs 이름 → 속성 이름)으로 나타내며, 첫 속성이 있는 요소만 해당 마크로 읽음
+    // annotation 마크(주석 앵커)는 서식이 아니므로 서식 지우기로 제거되지 않고, id가 다르면 같은 글자에 겹쳐서 적용됨
+    const MARK_TYPES = {
+        comment: { tag: 'span', rank: -1, aliases: [], dataAttributes: { id: 'data-comment-id', resolved: 'data-comment-resolved' }, annotation: true },
+        link: { tag: 'a', rank: 0, aliases: [], attributes: ['href', 'target', 'rel', 'title'] },
+        fontSize: { tag: 'span', rank: 1, aliases: [], className: { prefix: 'font-size-', attr: 'size' } },
+        color: { tag: 'span', rank: 2, aliases: [], className: { prefix: 'text-color-', attr: 'color' } },
+        highlight: { tag: 'mark', rank: 3, aliases: [], className: { prefix: 'highlight-', attr: 'color' } },
+        bold: { tag: 'strong', rank: 4, aliases: ['b'] },
+        italic: { tag: 'em', rank: 5, aliases: ['i'] },
+        underline: { tag: 'u', rank: 6, aliases: ['ins'] },
+        strikethrough: { tag: 's', rank: 7, aliases: ['strike', 'del'] },
+        code: { tag: 'code', rank: 8, aliases: ['tt', 'kbd'], attributes: ['class'] }
+    };
+
+    // 알 수 없는 인라인 요소는 속성을 보존하는 일반 마크로 취급 (가장 안쪽에 렌더링)
+    const GENERIC_MARK_RANK = 100;
+
+    // 블록 요소로 취급하는 태그 목록
+    const BLOCK_TAGS = [
+        'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+        'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+        'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TBODY',
+        'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'
+    ];
+
+    // 내용 없이 하나의 단위로 취급하는 인라인 요소
+    const ATOMIC_INLINE_TAGS = ['BR', 'IMG', 'INPUT', 'WBR', 'svg'];
+
+    // 태그 이름만 바꿔서 블록 타입을 변경할 수 있는 요소
+    const RENAMEABLE_BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+
+    /**
+     * 블록 요소 여부 확인
+     * @param {Node} node - 확인할 노드
+     * @returns {boolean} 블록 요소 여부
+     */
+    function isBlockNode(node) {
+        return node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(node.tagName);
+    }
+
+    /**
+     * 하나의 단위로 취급해야 하는 인라인 노드인지 확인
+     * @param {Element} element - 확인할 요소
+     * @returns {boolean} 원자 노드 여부
+     */
+    function isAtomicInline(element) {
+        return ATOMIC_INLINE_TAGS.includes(element.tagName) ||
+            element.getAttribute('contenteditable') === 'false' || isMentionNode(element);
+    }
+
+    /**
+     * 마크 비교용 키 생성
+     * @param {Object} mark - 마크 ({ type, attrs })
+     * @returns {string} 마크 키
+     */
+    function getMarkKey(mark) {
+        const attrs = mark.attrs || {};
+        const keys = Object.keys(attrs).sort();
+        return mark.type + '|' + keys.map(key => `${key}=${attrs[key]}`).join('&');
+    }
+
+    /**
+     * 마크 렌더링 순서
+     * @param {Object} mark - 마크
+     * @returns {number} 순서 값
+     */
+    function getMarkRank(mark) {
+        return MARK_TYPES[mark.type] ? MARK_TYPES[mark.type].rank : GENERIC_MARK_RANK;
+    }
+
+    /**
+     * 마크 목록을 렌더링 순서대로 정렬
+     * @param {Array} marks - 마크 목록
+     * @returns {Array} 정렬된 마크 목록
+     */
+    function sortMarks(marks) {
+        return marks.slice().sort((a, b) => {
+            const rankDiff = getMarkRank(a) - getMarkRank(b);
+            if (rankDiff !== 0) return rankDiff;
+            const keyA = getMarkKey(a);
+            const keyB = getMarkKey(b);
+            return keyA < keyB ? -1 : (keyA > keyB ? 1 : 0);
+        });
+    }
+
+    /**
+     * 서식이 아닌 주석 앵커 마크인지 확인
+     * @param {Object} mark - 마크
+     * @returns {boolean} annotation 마크 여부
+     */
+    function isAnnotationMark(mark) {
+        return Boolean(MARK_TYPES[mark.type] && MARK_TYPES[mark.type].annotation);
+    }
+
+    /**
+     * 마크 목록에 새 마크 추가 (같은 타입의 기존 마크는 교체, 주석 앵커는 같은 id만 교체)
+     * @param {Array} marks - 기존 마크 목록
+     * @param {Object} mark - 추가할 마크
+     * @returns {Array} 새 마크 목록
+     */
+    function addMark(marks, mark) {
+        const isGeneric = !MARK_TYPES[mark.type];
+        const key = getMarkKey(mark);
+        const filtered = marks.filter(existing => {
+            if (isGeneric) return getMarkKey(existing) !== key;
+            if (isAnnotationMark(mark)) return existing.type !== mark.type || existing.attrs.id !== mark.attrs.id;
+            return existing.type !== mark.type;
+        });
+        filtered.push(mark);
+        return filtered;
+    }
+
+    /**
+     * 요소가 나타내는 마크 목록 읽기
+     * @param {Element} element - 인라인 요소
+     * @returns {Array} 마크 목록 (마크가 아닌 요소면 빈 배열)
+     */
+    function readMarks(element) {
+        const tag = element.tagName.toLowerCase();
+
+        const classMarks = readClassMarks(element, tag);
+        if (classMarks) return classMarks;
+
+        for (const type in MARK_TYPES) {
+            const definition = MARK_TYPES[type];
+            if (definition.className) continue;
+            if (definition.dataAttributes) {
+                const dataMark = readDataMark(element, tag, type);
+                if (dataMark) return [dataMark];
+                continue;
+            }
+            if (definition.tag === tag || definition.aliases.includes(tag)) {
+                const attrs = {};
+                (definition.attributes || []).forEach(name => {
+                    if (element.hasAttribute(name)) {
+                        attrs[name] = element.getAttribute(name);
+                    }
+                });
+                return [{ type, attrs }];
+            }
+        }
+
+        // 브라우저가 만든 <span style="font-weight: bold"> 등은 표준 마크로 변환
+        if (tag === 'span' && element.attributes.length === 1 && element.hasAttribute('style')) {
+            const styleMarks = readStyleMarks(element.style);
+            if (styleMarks) return styleMarks;
+        }
+
+        // 의미 없는 span (속성 없음)은 마크로 취급하지 않음
+        if (tag === 'span' && element.attributes.length === 0) {
+            return [];
+        }
+
+        const attrs = { tag };
+        Array.from(element.attributes).forEach(attr => {
+            attrs[attr.name] = attr.value;
+        });
+        return [{ type: 'inline', attrs }];
+    }
+
+    /**
+     * class로 값을 나타내는 마크 읽기 (<span class="text-color-red font-size-large"> 등)
+     * @param {Element} element - 인라인 요소
+     * @param {string} tag - 소문자 태그 이름
+     * @returns {Array|null} 마크 목록 (class 마크 요소가 아니거나 알 수 없는 class가 있으면 null)
+     */
+    function readClassMarks(element, tag) {
+        const types = Object.keys(MARK_TYPES).filter(type => MARK_TYPES[type].className && MARK_TYPES[type].tag === tag);
+        if (!types.length || Array.from(element.attributes).some(attr => attr.name !== 'class')) return null;
+
+        const marks = [];
+        const names = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+        for (const name of names) {
+            const type = types.find(candidate => {
+                const prefix = MARK_TYPES[candidate].className.prefix;
+                return name.indexOf(prefix) === 0 && name.length > prefix.length;
+            });
+            if (!type) return null;
+            const { prefix, attr } = MARK_TYPES[type].className;
+            marks.push({ type, attrs: { [attr]: name.slice(prefix.length) } });
+        }
+
+        // class가 없는 <mark>는 기본 배경색
+        if (!marks.length && tag === 'mark') return [{ type: 'highlight', attrs: {} }];
+        return marks.length ? marks : null;
+    }
+
+    /**
+     * data-* 속성으로 값을 나타내는 마크 읽기 (<span data-comment-id="c1"> 등)
+     * @param {Element} element - 인라인 요소
+     * @param {string} tag - 소문자 태그 이름
+     * @param {string} type - 마크 타입
+     * @returns {Object|null} 마크 (해당 마크 요소가 아니면 null)
+     */
+    function readDataMark(element, tag, type) {
+        const definition = MARK_TYPES[type];
+        const names = Object.keys(definition.dataAttributes);
+        if (definition.tag !== tag || !element.getAttribute(definition.dataAttributes[names[0]])) return null;
+
+        const attrs = {};
+        names.forEach((name, index) => {
+            const value = element.getAttribute(definition.dataAttributes[name]);
+            if (index > 0 && (value === 'true' || value === 'false')) {
+                attrs[name] = value === 'true';
+            } else if (value !== null) {
+                attrs[name] = value;
+            }
+        });
+        return { type, attrs };
+    }
+
+    /**
+     * 인라인 스타일을 표준 마크로 변환
+     * @param {CSSStyleDeclaration} style - 요소 스타일
+     * @returns {Array|null} 마크 목록 (변환할 수 없는 스타일이 있으면 null)
+     */
+    function readStyleMarks(style) {
+        const marks = [];
+        for (let i = 0; i < style.length; i++) {
+            const property = style[i];
+            const value = style.getPropertyValue(property).trim();
+            if (property === 'font-weight' && (value === 'bold' || parseInt(value, 10) >= 600)) {
+                marks.push({ type: 'bold', attrs: {} });
+            } else if (property === 'font-style' && value === 'italic') {
+                marks.push({ type: 'italic', attrs: {} });
+            } else if (property.indexOf('text-decoration') === 0 && /underline|line-through/.test(value)) {
+                if (value.includes('underline')) marks.push({ type: 'underline', attrs: {} });
+                if (value.includes('line-through')) marks.push({ type: 'strikethrough', attrs: {} });
+            } else if (!value || value === 'normal' || value === 'none' || value === 'initial') {
+                continue;
+            } else {
+                return null;
+            }
+        }
+        return marks;
+    }
+
+    /**
+     * 마크에 해당하는 DOM 요소 생성
+     * @param {Object} mark - 마크
+     * @returns {Element} 생성된 요소
+     */
+    function createMarkElement(mark) {
+        const attrs = mark.attrs || {};
+        if (!MARK_TYPES[mark.type]) {
+            const element = document.createElement(attrs.tag || 'span');
+            Object.keys(attrs).forEach(name => {
+                if (name !== 'tag') element.setAttribute(name, attrs[name]);
+            });
+            return element;
+        }
+
+        const definition = MARK_TYPES[mark.type];
+        const element = document.createElement(definition.tag);
+        if (definition.className) {
+            const value = attrs[definition.className.attr];
+            if (value) element.className = definition.className.prefix + value;
+            return element;
+        }
+        if (definition.dataAttributes) {
+            // false인 값은 속성을 생략 (resolved: false → 속성 없음)
+            Object.keys(definition.dataAttributes).forEach(name => {
+                if (attrs[name] !== undefined && attrs[name] !== null && attrs[name] !== false) {
+                    element.setAttribute(definition.dataAttributes[name], String(attrs[name]));
+                }
+            });
+            return element;
+        }
+        Object.keys(attrs).forEach(name => {
+            if (attrs[name] !== undefined && attrs[name] !== null) {
+                element.setAttribute(name, attrs[name]);
+            }
+        });
+        return element;
+    }
+
+    /**
+     * 인라인 노드 목록을 (텍스트, 마크) 세그먼트 목록으로 평탄화
+     * @param {Array} nodes - 인라인 노드 목록
+     * @param {Array} marks - 상위에서 상속된 마크 목록
+     * @param {Array} segments - 결과 세그먼트 목록
+     * @returns {Array} 세그먼트 목록 ({ text, marks } 또는 { node, marks })
+     */
+    function flattenInline(nodes, marks = [], segments = []) {
+        nodes.forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (node.textContent) {
+                    segments.push({ text: node.textContent, marks });
+                }
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                if (isAtomicInline(node) || isBlockNode(node)) {
+                    segments.push({ node, marks });
+                    return;
+                }
+                const nodeMarks = readMarks(node).reduce(addMark, marks);
+                flattenInline(Array.from(node.childNodes), nodeMarks, segments);
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * 세그먼트의 텍스트 길이 (getNodeOffset 기준과 동일)
+     * @param {Object} segment - 세그먼트
+     * @returns {number} 텍스트 길이
+     */
+    function getSegmentLength(segment) {
+        return segment.node ? getTextContent(segment.node).length : segment.text.length;
+    }
+
+    /**
+     * 두 마크 목록이 같은지 비교
+     * @param {Array} a - 마크 목록
+     * @param {Array} b - 마크 목록
+     * @returns {boolean} 동일 여부
+     */
+    function isSameMarks(a, b) {
+        if (a.length !== b.length) return false;
+        const keysA = a.map(getMarkKey).sort();
+        const keysB = b.map(getMarkKey).sort();
+        return keysA.every((key, i) => key === keysB[i]);
+    }
+
+    /**
+     * 같은 마크를 가진 인접 텍스트 세그먼트 병합
+     * @param {Array} segments - 세그먼트 목록
+     * @returns {Array} 병합된 세그먼트 목록
+     */
+    function mergeSegments(segments) {
+        const merged = [];
+        segments.forEach(segment => {
+            const last = merged[merged.length - 1];
+            if (last && !last.node && !segment.node && isSameMarks(last.marks, segment.marks)) {
+                last.text += segment.text;
+            } else {
+                merged.push({ ...segment });
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * 세그먼트 목록을 표준 마크업으로 렌더링
+     * 인접한 세그먼트가 공유하는 바깥쪽 마크는 하나의 요소로 합쳐집니다.
+     * @param {Array} segments - 세그먼트 목록
+     * @returns {DocumentFragment} 렌더링 결과
+     */
+    function renderSegments(segments) {
+        const fragment = document.createDocumentFragment();
+        const stack = [];
+
+        mergeSegments(segments).forEach(segment => {
+            const marks = sortMarks(segment.marks);
+            let common = 0;
+            while (common < stack.length && common < marks.length &&
+                stack[common].key === getMarkKey(marks[common])) {
+                common++;
+            }
+            stack.length = common;
+
+            let parent = common ? stack[common - 1].element : fragment;
+            for (let i = common; i < marks.length; i++) {
+                const element = createMarkElement(marks[i]);
+                parent.appendChild(element);
+                stack.push({ key: getMarkKey(marks[i]), element });
+                parent = element;
+            }
+            parent.appendChild(segment.node || document.createTextNode(segment.text));
+        });
+
+        return fragment;
+    }
+
+    /**
+     * 루트 아래의 인라인 런(블록 사이의 연속된 인라인 노드 묶음) 수집
+     * @param {Element} root - 에디터 루트 요소
+     * @returns {Array} 런 목록 ({ container, nodes })
+     */
+    function getInlineRuns(root) {
+        const runs = [];
+
+        (function collect(container) {
+            let current = null;
+            Array.from(container.childNodes).forEach(child => {
+                if (isBlockNode(child)) {
+                    current = null;
+                    if (child.getAttribute('contenteditable') !== 'false') {
+                        collect(child);
+                    }
+                    return;
+                }
+                if (child.nodeType !== Node.TEXT_NODE && child.nodeType !== Node.ELEMENT_NODE) {
+                    return;
+                }
+                if (!current) {
+                    current = { container, nodes: [] };
+                    runs.push(current);
+                }
+                current.nodes.push(child);
+            });
+        })(root);
+
+        return runs;
+    }
+
+    /**
+     * 공백만 있는 런인지 확인 (블록 사이의 들여쓰기 등)
+     * @param {Object} run - 인라인 런
+     * @returns {boolean} 공백 런 여부
+     */
+    function isWhitespaceRun(run) {
+        return run.nodes.every(node => node.nodeType === Node.TEXT_NODE && !node.textContent.trim());
+    }
+
+    /**
+     * 런의 루트 기준 텍스트 범위 계산
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Object} run - 인라인 런
+     * @returns {Object} 범위 ({ start, end })
+     */
+    function getRunBounds(root, run) {
+        const index = Array.prototype.indexOf.call(run.container.childNodes, run.nodes[0]);
+        const start = getNodeOffset(root, run.container, index);
+        const length = run.nodes.reduce((sum, node) => sum + getTextContent(node).length, 0);
+        return { start, end: start + length };
+    }
+
+    /**
+     * 선택 범위와 겹치는 인라인 런 목록 (공백 런 제외)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Array} 런 목록 ({ container, nodes, start, end })
+     */
+    function getRunsInRange(root, start, end) {
+        const runs = getInlineRuns(root)
+            .filter(run => !isWhitespaceRun(run))
+            .map(run => ({ ...run, ...getRunBounds(root, run) }))
+            .filter(run => start === end
+                ? run.start <= start && start <= run.end
+                : run.start < end && run.end > start);
+
+        // 블록 경계의 커서는 양쪽 런에 모두 걸리므로 실제 커서가 있는 런만 사용
+        if (start === end && runs.length > 1) {
+            const caretRun = findCaretRun(root, runs, start);
+            if (caretRun) return [caretRun];
+        }
+        return runs;
+    }
+
+    /**
+     * 문서의 커서가 있는 런 찾기
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Array} runs - 후보 런 목록
+     * @param {number} offset - 커서 오프셋
+     * @returns {Object|null} 런 (커서가 에디터 밖이거나 오프셋이 다르면 null)
+     */
+    function findCaretRun(root, runs, offset) {
+        const caret = getCaretPosition(root, offset);
+        if (!caret) return null;
+
+        const container = caret.node;
+        const node = container.nodeType === Node.ELEMENT_NODE && container.childNodes[caret.offset] || container;
+        return runs.find(run => run.container === container ||
+            run.nodes.some(candidate => candidate === node || candidate.contains(node))) || null;
+    }
+
+    /**
+     * 문서의 커서 위치
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} offset - 커서 오프셋
+     * @returns {Object|null} DOM 위치 ({ node, offset }), 커서가 에디터 밖이거나 오프셋이 다르면 null
+     */
+    function getCaretPosition(root, offset) {
+        const selection = window.getSelection();
+        if (!selection || !selection.rangeCount || !selection.isCollapsed) return null;
+        const range = selection.getRangeAt(0);
+        if (!root.contains(range.startContainer) || getNodeOffset(root, range.startContainer, range.startOffset) !== offset) return null;
+        return { node: range.startContainer, offset: range.startOffset };
+    }
+
+    /**
+     * 세그먼트를 선택 범위 경계에서 분할하고 범위 포함 여부 표시
+     * @param {Array} segments - 세그먼트 목록
+     * @param {number} offset - 첫 세그먼트의 루트 기준 오프셋
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Array} 분할된 세그먼트 목록 (inRange 속성 포함)
+     */
+    function splitSegments(segments, offset, start, end) {
+        const result = [];
+        segments.forEach(segment => {
+            const length = getSegmentLength(segment);
+            const segStart = offset;
+            const segEnd = offset + length;
+            offset = segEnd;
+
+            if (segment.node) {
+                result.push({ ...segment, inRange: segStart >= start && segEnd <= end && segStart < end });
+                return;
+            }
+
+            const cuts = [segStart, Math.min(Math.max(start, segStart), segEnd), Math.min(Math.max(end, segStart), segEnd), segEnd];
+            for (let i = 0; i < 3; i++) {
+                if (cuts[i + 1] > cuts[i]) {
+                    result.push({
+                        text: segment.text.slice(cuts[i] - segStart, cuts[i + 1] - segStart),
+                        marks: segment.marks,
+                        inRange: i === 1
+                    });
+                }
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 런의 내용을 세그먼트 렌더링 결과로 교체
+     * @param {Object} run - 인라인 런
+     * @param {Array} segments - 새 세그먼트 목록
+     */
+    function replaceRun(run, segments) {
+        const marker = document.createTextNode('');
+        run.container.insertBefore(marker, run.nodes[0]);
+        run.nodes.forEach(node => {
+            if (node.parentNode) node.parentNode.removeChild(node);
+        });
+        run.container.insertBefore(renderSegments(segments), marker);
+        run.container.removeChild(marker);
+    }
+
+    /**
+     * 선택 범위 안의 텍스트에 마크 변환 적용
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {Function} transform - (marks) => 새 마크 목록
+     */
+    function transformMarks(root, start, end, transform) {
+        if (start >= end) return;
+        getRunsInRange(root, start, end).forEach(run => {
+            const segments = splitSegments(flattenInline(run.nodes), run.start, start, end)
+                .map(segment => segment.inRange ? { ...segment, marks: transform(segment.marks) } : segment);
+            replaceRun(run, segments);
+        });
+    }
+
+    /**
+     * 선택 범위 전체에 마크가 적용되어 있는지 확인
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} type - 마크 타입
+     * @returns {boolean} 범위 전체 적용 여부
+     */
+    function isMarkActive(root, start, end, type) {
+        let hasText = false;
+        const active = getRunsInRange(root, start, end).every(run => {
+            return splitSegments(flattenInline(run.nodes), run.start, start, end).every(segment => {
+                if (!segment.inRange || segment.node) return true;
+                hasText = true;
+                return segment.marks.some(mark => mark.type === type);
+            });
+        });
+        return hasText && active;
+    }
+
+    /**
+     * 선택 범위에 마크 추가
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} type - 마크 타입
+     * @param {Object} attrs - 마크 속성 (링크의 href 등)
+     */
+    function applyMark(root, start, end, type, attrs = {}) {
+        transformMarks(root, start, end, marks => addMark(marks, { type, attrs }));
+    }
+
+    /**
+     * 선택 범위에서 마크 제거
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} [type] - 마크 타입 (생략하면 주석 앵커를 뺀 모든 서식 마크 제거)
+     */
+    function removeMark(root, start, end, type) {
+        transformMarks(root, start, end, marks => marks.filter(mark => type ? mark.type !== type : isAnnotationMark(mark)));
+    }
+
+    /**
+     * 선택 범위의 마크 토글
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} type - 마크 타입
+     */
+    function toggleMark(root, start, end, type) {
+        if (isMarkActive(root, start, end, type)) {
+            removeMark(root, start, end, type);
+        } else {
+            applyMark(root, start, end, type);
+        }
+    }
+
+    /**
+     * 선택 범위 전체에 같은 속성으로 적용된 마크 찾기 (글자색 선택 레이어의 현재 색 등)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} type - 마크 타입
+     * @returns {Object|null} 마크 ({ type, attrs }), 적용되지 않았거나 속성이 섞여 있으면 null
+     */
+    function getCommonMark(root, start, end, type) {
+        let common = null;
+        let mixed = false;
+        getRunsInRange(root, start, end).forEach(run => {
+            splitSegments(flattenInline(run.nodes), run.start, start, end).forEach(segment => {
+                if (!segment.inRange || segment.node || mixed) return;
+                const mark = segment.marks.find(candidate => candidate.type === type) || null;
+                if (common === null && mark) {
+                    common = mark;
+                } else if (!mark || getMarkKey(mark) !== getMarkKey(common)) {
+                    mixed = true;
+                }
+            });
+        });
+        return mixed ? null : common;
+    }
+
+    /**
+     * 선택 범위의 글자 크기를 한 단계씩 변경 (크기가 섞여 있으면 부분마다 따로 변경)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {Array} steps - 작은 것부터 나열한 크기 단계 ('normal'은 마크 없음)
+     * @param {number} delta - 1이면 크게, -1이면 작게
+     */
+    function stepFontSize(root, start, end, steps, delta) {
+        const base = Math.max(steps.indexOf('normal'), 0);
+        transformMarks(root, start, end, marks => {
+            const current = marks.find(mark => mark.type === 'fontSize');
+            const index = current ? steps.indexOf(current.attrs.size) : -1;
+            const next = steps[Math.min(Math.max((index === -1 ? base : index) + delta, 0), steps.length - 1)];
+            const rest = marks.filter(mark => mark.type !== 'fontSize');
+            return !next || next === 'normal' ? rest : addMark(rest, { type: 'fontSize', attrs: { size: next } });
+        });
+    }
+
+    /**
+     * 선택 범위에 걸친 텍스트 블록의 공통 타입
+     * 루트에 바로 있는 텍스트나 목록 항목의 텍스트는 일반 텍스트(p)로 취급합니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {string|null} 블록 태그 (h1, h2, p, pre 등), 여러 타입이 섞여 있으면 null
+     */
+    function getBlockType(root, start, end) {
+        const types = getRunsInRange(root, start, end).map(run => {
+            const container = run.container;
+            if (container !== root && container.closest('pre')) return 'pre';
+            return container !== root && RENAMEABLE_BLOCK_TAGS.includes(container.tagName)
+                ? container.tagName.toLowerCase()
+                : 'p';
+        });
+        return types.length && types.every(type => type === types[0]) ? types[0] : null;
+    }
+
+    /**
+     * 선택 범위에 걸친 텍스트 블록의 타입 변경 (코드 블록은 toggleCodeBlock으로 변경)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} tag - 새 블록 태그 (h1, h2, h3, p 등)
+     */
+    function setBlockType(root, start, end, tag) {
+        const tagName = tag.toUpperCase();
+
+        getRunsInRange(root, start, end).forEach(run => {
+            const container = run.container;
+            if (container !== root && container.closest('pre')) return;
+
+            // 블록 태그만 바꾸면 되는 경우
+            if (container !== root && RENAMEABLE_BLOCK_TAGS.includes(container.tagName)) {
+                if (container.tagName === tagName) return;
+                const block = document.createElement(tag);
+                Array.from(container.attributes).forEach(attr => {
+                    if (attr.name !== 'style') block.setAttribute(attr.name, attr.value);
+                });
+                while (container.firstChild) {
+                    block.appendChild(container.firstChild);
+                }
+                container.parentNode.replaceChild(block, container);
+                return;
+            }
+
+            // 루트에 바로 있는 텍스트나 목록 항목 등은 새 블록으로 감싸기
+            if (tagName === 'P' && container !== root) return;
+            const block = document.createElement(tag);
+            container.insertBefore(block, run.nodes[0]);
+            run.nodes.forEach(node => block.appendChild(node));
+        });
+    }
+
+    /**
+     * 텍스트 범위를 새 텍스트로 교체 (시작 위치의 서식을 이어받음)
+     * 빈 범위는 블록 경계에서 어느 블록인지 알 수 없으므로, 같은 오프셋에 커서가 있으면 커서 위치에 넣습니다.
+     * 여러 블록에 걸친 범위는 끝 블록의 남은 내용을 시작 블록으로 합칩니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} text - 새 텍스트
+     */
+    function replaceText(root, start, end, text) {
+        const caret = start === end ? getCaretPosition(root, start) : null;
+        const endPosition = caret || getPositionFromOffset(root, end, true);
+        const startPosition = caret || (start === end ? endPosition : getPositionFromOffset(root, start, false));
+        const startBlock = getEnclosingBlock(root, startPosition.node);
+        const endBlock = getEnclosingBlock(root, endPosition.node);
+        const range = document.createRange();
+        range.setStart(startPosition.node, startPosition.offset);
+        range.setEnd(endPosition.node, endPosition.offset);
+        range.deleteContents();
+
+        if (startBlock !== endBlock && endBlock.parentNode &&
+            !startBlock.contains(endBlock) && !endBlock.contains(startBlock) &&
+            startBlock.closest('td, th') === endBlock.closest('td, th')) {
+            while (endBlock.firstChild) {
+                startBlock.appendChild(endBlock.firstChild);
+            }
+            // 비어 버린 끝 블록과 목록 등 상위 요소 제거
+            let empty = endBlock;
+            while (empty !== root && !empty.childNodes.length) {
+                const parent = empty.parentNode;
+                parent.removeChild(empty);
+                empty = parent;
+            }
+        }
+
+        if (text) {
+            // 시작 위치의 텍스트 노드 안에 넣어야 그 위치의 서식 요소를 이어받음
+            if (startPosition.node.nodeType === Node.TEXT_NODE && startPosition.node.parentNode) {
+                startPosition.node.insertData(startPosition.offset, text);
+            } else {
+                range.insertNode(document.createTextNode(text));
+            }
+        }
+
+        if (startBlock !== root) {
+            removeEmptyInlines(startBlock);
+            if (!getTextContent(startBlock).trim() && !startBlock.querySelector('img, br, hr')) {
+                startBlock.appendChild(document.createElement('br'));
+            }
+        }
+        root.normalize();
+    }
+
+    /**
+     * 노드를 감싸는 가장 가까운 블록 요소 (없으면 루트)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Node} node - 기준 노드
+     * @returns {Element} 블록 요소 또는 루트
+     */
+    function getEnclosingBlock(root, node) {
+        let block = node;
+        while (block !== root && !isBlockNode(block)) {
+            block = block.parentNode;
+        }
+        return block;
+    }
+
+    /**
+     * 삭제 후 남은 빈 인라인 요소 제거
+     * @param {Element} container - 정리할 블록
+     */
+    function removeEmptyInlines(container) {
+        Array.from(container.querySelectorAll('*')).reverse().forEach(element => {
+            if (!isBlockNode(element) && !isAtomicInline(element) &&
+                !element.textContent && !element.querySelector('img, br, hr, input')) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+
+    /**
+     * 루트 기준 텍스트 오프셋을 DOM 위치로 변환 (getNodeOffset의 역변환)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} offset - 텍스트 오프셋
+     * @param {boolean} preferEnd - 경계에서 앞 노드의 끝을 선택할지 여부
+     * @returns {Object} DOM 위치 ({ node, offset })
+     */
+    function getPositionFromOffset(root, offset, preferEnd = false) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+        let consumed = 0;
+        let last = null;
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const length = node.textContent.length;
+            if (preferEnd ? offset <= consumed + length : offset < consumed + length) {
+                return { node, offset: Math.max(0, offset - consumed) };
+            }
+            consumed += length;
+            last = node;
+        }
+
+        if (last) {
+            return { node: last, offset: last.textContent.length };
+        }
+        return { node: root, offset: root.childNodes.length };
+    }
+
+    /**
+     * 텍스트 오프셋으로 문서 선택 영역 설정
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Range} 설정된 범위
+     */
+    function setSelectionOffsets(root, start, end) {
+        const startPosition = getPositionFromOffset(root, start, start === end);
+        const endPosition = getPositionFromOffset(root, end, true);
+        const range = document.createRange();
+        range.setStart(startPosition.node, startPosition.offset);
+        range.setEnd(endPosition.node, endPosition.offset);
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return range;
+    }
+
+    // ---------------------------
+    // 블록 구조 편집 (목록, 인용, 코드 블록, 구분선)
+    // ---------------------------
+
+    // 목록 종류와 태그의 대응 (체크리스트는 <ul data-type="checklist">, 항목은 data-checked)
+    const LIST_TYPES = {
+        bullet: { tag: 'UL' },
+        ordered: { tag: 'OL' },
+        check: { tag: 'UL', checklist: true }
+    };
+
+    /**
+     * 목록 요소의 종류
+     * @param {Node} node - 확인할 노드
+     * @returns {string|null} 목록 종류 (bullet, ordered, check), 목록이 아니면 null
+     */
+    function getListType(node) {
+        if (!node || node.nodeType !== Node.ELEMENT_NODE) return null;
+        if (node.tagName === 'OL') return 'ordered';
+        if (node.tagName !== 'UL') return null;
+        return node.getAttribute('data-type') === 'checklist' ? 'check' : 'bullet';
+    }
+
+    /**
+     * 목록 종류에 맞는 빈 목록 요소 생성
+     * @param {string} type - 목록 종류
+     * @returns {Element} 목록 요소
+     */
+    function createList(type) {
+        const list = document.createElement(LIST_TYPES[type].tag);
+        if (LIST_TYPES[type].checklist) list.setAttribute('data-type', 'checklist');
+        return list;
+    }
+
+    /**
+     * 목록 항목의 체크 상태 속성을 목록 종류에 맞게 정리
+     * @param {Element} item - li 요소
+     * @param {string} type - 목록 종류
+     */
+    function normalizeListItem(item, type) {
+        if (type === 'check') {
+            if (item.getAttribute('data-checked') !== 'true') item.setAttribute('data-checked', 'false');
+        } else {
+            item.removeAttribute('data-checked');
+        }
+    }
+
+    /**
+     * 블록 요소를 감싸고 있는 가장 가까운 목록 항목
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Element} block - 텍스트 블록
+     * @returns {Element|null} li 요소
+     */
+    function getListItem(root, block) {
+        const item = block === root ? null : block.closest('li');
+        return item && root.contains(item) && item !== root ? item : null;
+    }
+
+    /**
+     * 선택 범위에 걸친 텍스트 블록 목록
+     * 루트나 블록이 섞인 컨테이너에 바로 있는 텍스트는 <p>로 감싸서 반환하고, 코드 블록은 제외합니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Array} 블록 요소 목록 (p, h1~h6, li 등)
+     */
+    function prepareTextBlocks(root, start, end) {
+        const blocks = [];
+        getRunsInRange(root, start, end).forEach(run => {
+            let block = run.container;
+            if (block !== root && block.closest('pre')) return;
+
+            const isTextBlock = block !== root && (RENAMEABLE_BLOCK_TAGS.includes(block.tagName) || block.tagName === 'LI');
+            if (!isTextBlock) {
+                block = document.createElement('p');
+                run.container.insertBefore(block, run.nodes[0]);
+                run.nodes.forEach(node => block.appendChild(node));
+            }
+            if (!blocks.includes(block)) blocks.push(block);
+        });
+        return blocks;
+    }
+
+    /**
+     * 선택 범위의 텍스트가 모두 같은 종류의 목록에 있는지 확인
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} [type] - 목록 종류 (bullet, ordered, check, 생략하면 종류와 관계없이 확인)
+     * @returns {boolean} 목록 여부
+     */
+    function isListActive(root, start, end, type) {
+        const runs = getRunsInRange(root, start, end);
+        return runs.length > 0 && runs.every(run => {
+            const item = getListItem(root, run.container);
+            return Boolean(item) && (!type || getListType(item.parentNode) === type);
+        });
+    }
+
+    /**
+     * 선택 범위에 걸친 목록 항목 목록 (다른 선택 항목 안에 중첩된 항목은 제외)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Array} li 요소 목록
+     */
+    function getListItemsInRange(root, start, end) {
+        const items = [];
+        getRunsInRange(root, start, end).forEach(run => {
+            const item = getListItem(root, run.container);
+            if (item && !items.includes(item)) items.push(item);
+        });
+        return items.filter(item => !items.some(other => other !== item && other.contains(item)));
+    }
+
+    /**
+     * 목록 요소의 종류 변경 (태그가 다르면 새 요소로 교체)
+     * @param {Element} list - ul/ol 요소
+     * @param {string} type - 새 목록 종류
+     * @returns {Element} 변경된 목록 요소
+     */
+    function setListType(list, type) {
+        let target = list;
+        if (list.tagName !== LIST_TYPES[type].tag) {
+            target = createList(type);
+            if (type === 'ordered' && list.hasAttribute('start')) target.setAttribute('start', list.getAttribute('start'));
+            while (list.firstChild) {
+                target.appendChild(list.firstChild);
+            }
+            list.parentNode.replaceChild(target, list);
+        } else if (LIST_TYPES[type].checklist) {
+            target.setAttribute('data-type', 'checklist');
+        } else {
+            target.removeAttribute('data-type');
+        }
+        Array.from(target.children).forEach(item => {
+            if (item.tagName === 'LI') normalizeListItem(item, type);
+        });
+        return target;
+    }
+
+    /**
+     * 공백 텍스트를 건너뛴 이웃 요소
+     * @param {Node} node - 기준 노드
+     * @param {string} direction - 'previousSibling' 또는 'nextSibling'
+     * @returns {Element|null} 이웃 요소 (사이에 내용이 있는 텍스트가 있으면 null)
+     */
+    function getAdjacentElement(node, direction) {
+        let sibling = node[direction];
+        while (sibling && sibling.nodeType === Node.TEXT_NODE && !sibling.textContent.trim()) {
+            sibling = sibling[direction];
+        }
+        return sibling && sibling.nodeType === Node.ELEMENT_NODE ? sibling : null;
+    }
+
+    /**
+     * 바로 뒤에 붙어 있는 같은 종류의 목록을 하나로 합침
+     * @param {Element} list - ul/ol 요소
+     */
+    function mergeAdjacentList(list) {
+        const next = getAdjacentElement(list, 'nextSibling');
+        if (getListType(next) === getListType(list) && next.getAttribute('start') === null) {
+            while (next.firstChild) {
+                list.appendChild(next.firstChild);
+            }
+            next.parentNode.removeChild(next);
+        }
+    }
+
+    /**
+     * 선택 범위의 블록을 목록으로 변환하거나, 이미 같은 종류의 목록이면 문단으로 되돌림
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} type - 목록 종류 (bullet, ordered, check)
+     */
+    function toggleList(root, start, end, type) {
+        if (isListActive(root, start, end, type)) {
+            // 중첩된 항목까지 모두 문단으로 되돌림
+            const items = [];
+            getRunsInRange(root, start, end).forEach(run => {
+                const item = getListItem(root, run.container);
+                if (!items.includes(item)) items.push(item);
+            });
+            items.forEach(item => {
+                while (getListItem(root, item.parentNode)) {
+                    outdentListItem(root, item);
+                }
+                outdentListItem(root, item);
+            });
+            return;
+        }
+
+        const lists = [];
+        prepareTextBlocks(root, start, end).forEach(block => {
+            const item = getListItem(root, block);
+            if (item) {
+                // 이미 다른 종류의 목록이면 목록 전체의 종류만 바꿈
+                const list = item.parentNode;
+                if (lists.includes(list)) return;
+                lists.push(getListType(list) === type ? list : setListType(list, type));
+                return;
+            }
+
+            const newItem = document.createElement('li');
+            normalizeListItem(newItem, type);
+            while (block.firstChild) {
+                newItem.appendChild(block.firstChild);
+            }
+
+            // 앞 블록이 같은 종류의 목록이면 이어서 추가
+            const previous = getAdjacentElement(block, 'previousSibling');
+            if (getListType(previous) === type) {
+                previous.appendChild(newItem);
+                block.parentNode.removeChild(block);
+                if (!lists.includes(previous)) lists.push(previous);
+                return;
+            }
+            const list = createList(type);
+            list.appendChild(newItem);
+            block.parentNode.replaceChild(list, block);
+            lists.push(list);
+        });
+
+        lists.forEach(list => {
+            if (list.parentNode) mergeAdjacentList(list);
+        });
+    }
+
+    /**
+     * 목록 항목을 한 단계 들여쓰기 (앞 항목의 하위 목록으로 이동)
+     * @param {Element} item - li 요소
+     * @returns {boolean} 이동 여부 (앞 항목이 없으면 false)
+     */
+    function indentListItem(item) {
+        const previous = item.previousElementSibling;
+        if (!previous || previous.tagName !== 'LI') return false;
+
+        const type = getListType(item.parentNode);
+        let sublist = previous.lastElementChild;
+        if (getListType(sublist) !== type) {
+            sublist = createList(type);
+            previous.appendChild(sublist);
+        }
+        sublist.appendChild(item);
+        return true;
+    }
+
+    /**
+     * 목록 항목을 한 단계 내어쓰기
+     * 뒤따르는 항목은 이 항목의 하위 목록으로 옮기고, 최상위 항목은 문단으로 바꿔 목록을 나눕니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Element} item - li 요소
+     */
+    function outdentListItem(root, item) {
+        const list = item.parentNode;
+        const type = getListType(list);
+        const parentItem = getListItem(root, list);
+
+        const following = [];
+        for (let node = item.nextSibling; node; node = node.nextSibling) {
+            following.push(node);
+        }
+        if (following.some(node => node.nodeType === Node.ELEMENT_NODE)) {
+            let sublist = item.lastElementChild;
+            if (getListType(sublist) !== type) {
+                sublist = createList(type);
+                item.appendChild(sublist);
+            }
+            following.forEach(node => sublist.appendChild(node));
+        }
+
+        if (parentItem) {
+            parentItem.parentNode.insertBefore(item, parentItem.nextSibling);
+            normalizeListItem(item, getListType(parentItem.parentNode));
+        } else {
+            // 항목 앞쪽의 인라인 내용은 문단으로, 하위 목록 등 블록은 그대로 목록 뒤에 배치
+            const fragment = document.createDocumentFragment();
+            let paragraph = null;
+            while (item.firstChild) {
+                const child = item.firstChild;
+                if (isBlockNode(child)) {
+                    paragraph = null;
+                    fragment.appendChild(child);
+                    continue;
+                }
+                if (!paragraph) {
+                    paragraph = document.createElement('p');
+                    fragment.appendChild(paragraph);
+                }
+                paragraph.appendChild(child);
+            }
+            list.parentNode.insertBefore(fragment, list.nextSibling);
+            list.removeChild(item);
+        }
+
+        if (!list.children.length) list.parentNode.removeChild(list);
+    }
+
+    /**
+     * 선택 범위의 목록 항목 들여쓰기
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     */
+    function indentListItems(root, start, end) {
+        getListItemsInRange(root, start, end).forEach(indentListItem);
+    }
+
+    /**
+     * 선택 범위의 목록 항목 내어쓰기
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     */
+    function outdentListItems(root, start, end) {
+        getListItemsInRange(root, start, end).forEach(item => outdentListItem(root, item));
+    }
+
+    /**
+     * 체크리스트 항목의 체크 상태 토글
+     * @param {Element} item - li 요소
+     * @returns {boolean} 변경 후 체크 상태
+     */
+    function toggleListItemChecked(item) {
+        const checked = item.getAttribute('data-checked') !== 'true';
+        item.setAttribute('data-checked', String(checked));
+        return checked;
+    }
+
+    /**
+     * 선택 범위의 텍스트가 모두 인용 블록 안에 있는지 확인
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {boolean} 인용 여부
+     */
+    function isBlockquoteActive(root, start, end) {
+        const runs = getRunsInRange(root, start, end);
+        return runs.length > 0 && runs.every(run => {
+            const quote = run.container === root ? null : run.container.closest('blockquote');
+            return Boolean(quote) && root.contains(quote);
+        });
+    }
+
+    /**
+     * 선택 범위를 인용 블록으로 감싸거나, 이미 인용 블록이면 풀기
+     * 인용은 루트 바로 아래의 블록 단위로 적용됩니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     */
+    function toggleBlockquote(root, start, end) {
+        if (isBlockquoteActive(root, start, end)) {
+            const quotes = [];
+            getRunsInRange(root, start, end).forEach(run => {
+                const quote = run.container.closest('blockquote');
+                if (!quotes.includes(quote)) quotes.push(quote);
+            });
+            quotes.forEach(quote => {
+                // 인용 안에 바로 있는 텍스트는 문단으로 감싼 뒤 풀기
+                getInlineRuns(quote).filter(run => run.container === quote && !isWhitespaceRun(run)).forEach(run => {
+                    const paragraph = document.createElement('p');
+                    quote.insertBefore(paragraph, run.nodes[0]);
+                    run.nodes.forEach(node => paragraph.appendChild(node));
+                });
+                unwrapNode(quote);
+            });
+            return;
+        }
+
+        // 루트 바로 아래의 블록을 모아 이웃한 블록끼리 하나의 인용으로 감쌈
+        const topBlocks = [];
+        prepareTextBlocks(root, start, end).forEach(block => {
+            let top = block;
+            while (top.parentNode !== root) {
+                top = top.parentNode;
+            }
+            if (!topBlocks.includes(top)) topBlocks.push(top);
+        });
+
+        let quote = null;
+        topBlocks.forEach(block => {
+            if (!quote || getAdjacentElement(quote, 'nextSibling') !== block) {
+                quote = document.createElement('blockquote');
+                root.insertBefore(quote, block);
+            }
+            quote.appendChild(block);
+        });
+    }
+
+    /**
+     * 코드 블록 요소 생성
+     * @param {string} text - 코드
+     * @param {string} [language] - 언어 (language-* 클래스로 저장)
+     * @returns {Element} pre 요소
+     */
+    function createCodeBlock(text, language) {
+        const pre = document.createElement('pre');
+        const code = document.createElement('code');
+        if (language) code.className = `language-${language}`;
+        code.textContent = text;
+        pre.appendChild(code);
+        return pre;
+    }
+
+    /**
+     * 코드 블록의 언어
+     * @param {Element} pre - pre 요소
+     * @returns {string} 언어 (없으면 빈 문자열)
+     */
+    function getCodeBlockLanguage(pre) {
+        const code = pre.querySelector('code');
+        return (code && (code.className.match(/language-([\w-]+)/) || [])[1]) || '';
+    }
+
+    /**
+     * 선택 범위를 감싸고 있는 코드 블록 목록
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Array|null} pre 요소 목록, 코드 블록 밖의 텍스트가 섞여 있으면 null
+     */
+    function getCodeBlocksInRange(root, start, end) {
+        const blocks = [];
+        const runs = getRunsInRange(root, start, end);
+        const inside = runs.length > 0 && runs.every(run => {
+            const pre = run.container === root ? null : run.container.closest('pre');
+            if (!pre || !root.contains(pre)) return false;
+            if (!blocks.includes(pre)) blocks.push(pre);
+            return true;
+        });
+        return inside ? blocks : null;
+    }
+
+    /**
+     * 선택 범위가 모두 코드 블록 안에 있는지 확인
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {boolean} 코드 블록 여부
+     */
+    function isCodeBlockActive(root, start, end) {
+        return Boolean(getCodeBlocksInRange(root, start, end));
+    }
+
+    /**
+     * 선택 범위를 코드 블록으로 변환하거나, 이미 코드 블록이면 줄마다 문단으로 되돌림
+     * 코드 블록 안에서 다른 언어를 지정하면 언어만 바꿉니다.
+     * 줄바꿈 문자가 더해지거나 빠지므로 변경 후 선택 범위를 반환합니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} [language] - 언어
+     * @returns {Object} 변경 후 선택 범위 ({ start, end })
+     */
+    function toggleCodeBlock(root, start, end, language) {
+        const codeBlocks = getCodeBlocksInRange(root, start, end);
+
+        if (codeBlocks && language && codeBlocks.some(pre => getCodeBlockLanguage(pre) !== language)) {
+            codeBlocks.forEach(pre => {
+                const text = getTextContent(pre);
+                pre.parentNode.replaceChild(createCodeBlock(text, language), pre);
+            });
+            return { start, end };
+        }
+
+        if (codeBlocks) {
+            // 앞에서 사라지는 줄바꿈 수만큼 선택 범위를 당김
+            let startShift = 0;
+            let endShift = 0;
+            codeBlocks.forEach(pre => {
+                const offset = getNodeOffset(root, pre, 0);
+                const text = getTextContent(pre).replace(/\n$/, '');
+                text.split('').forEach((char, index) => {
+                    if (char !== '\n') return;
+                    if (offset + index < start) startShift++;
+                    if (offset + index < end) endShift++;
+                });
+
+                const fragment = document.createDocumentFragment();
+                text.split('\n').forEach(line => {
+                    const paragraph = document.createElement('p');
+                    paragraph.appendChild(line ? document.createTextNode(line) : document.createElement('br'));
+                    fragment.appendChild(paragraph);
+                });
+                pre.parentNode.replaceChild(fragment, pre);
+            });
+            return { start: start - startShift, end: end - endShift };
+        }
+
+        // 선택한 텍스트 블록을 줄바꿈으로 이어 하나의 코드 블록으로 합침
+        const runs = getRunsInRange(root, start, end);
+        if (!runs.length) return { start, end };
+        const text = runs.map(run => run.nodes.map(getTextContent).join('')).join('\n');
+        const pre = createCodeBlock(text, language);
+
+        const first = runs[0];
+        const isOwnBlock = first.container !== root && RENAMEABLE_BLOCK_TAGS.includes(first.container.tagName);
+        const reference = isOwnBlock ? first.container : first.nodes[0];
+        reference.parentNode.insertBefore(pre, reference);
+
+        runs.forEach(run => {
+            run.nodes.forEach(node => {
+                if (node.parentNode) node.parentNode.removeChild(node);
+            });
+            // 비게 된 블록과 목록 정리
+            let container = run.container;
+            while (container !== root && !container.firstChild) {
+                const parent = container.parentNode;
+                parent.removeChild(container);
+                container = parent;
+            }
+        });
+
+        // 빈 줄을 바꾼 경우 커서를 둘 수 있도록 그 줄의 <br>을 코드 블록으로 옮김
+        if (!text) {
+            pre.firstChild.appendChild(first.nodes.find(node => node.nodeName === 'BR') || document.createElement('br'));
+        }
+
+        return { start, end: end + runs.filter(run => run.start < end && run !== first).length };
+    }
+
+    /**
+     * 코드 블록 안에서 줄바꿈 입력
+     * 마지막 빈 줄에서 입력하면 코드 블록을 빠져나와 새 문단을 만듭니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Object|null} 변경 후 커서 ({ start, end, block: 새 문단 }), 코드 블록 밖이면 null
+     */
+    function insertCodeBlockLineBreak(root, start, end) {
+        const codeBlocks = getCodeBlocksInRange(root, start, end);
+        if (!codeBlocks || codeBlocks.length !== 1) return null;
+
+        const pre = codeBlocks[0];
+        const offset = getNodeOffset(root, pre, 0);
+        const text = getTextContent(pre);
+        const before = text.slice(0, start - offset);
+        const after = text.slice(end - offset);
+
+        if (start === end && before.endsWith('\n') && !after.replace(/\n$/, '')) {
+            replaceText(root, start - 1, offset + text.length, '');
+            const paragraph = document.createElement('p');
+            paragraph.appendChild(document.createElement('br'));
+            pre.parentNode.insertBefore(paragraph, pre.nextSibling);
+            return { start: start - 1, end: start - 1, block: paragraph };
+        }
+
+        // 끝에 있는 줄바꿈 하나는 브라우저가 그리지 않으므로 마지막 줄에서는 하나를 더 넣음
+        replaceText(root, start, end, after ? '\n' : '\n\n');
+        return { start: start + 1, end: start + 1 };
+    }
+
+    /**
+     * 선택 범위가 끝나는 블록 뒤에 구분선 삽입
+     * 구분선이 마지막 블록이 되면 이어서 입력할 수 있도록 빈 문단을 추가합니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Element} 삽입한 hr 요소
+     */
+    function insertHorizontalRule(root, start, end) {
+        const run = getRunsInRange(root, end, end)[0];
+        let block = run ? (run.container === root ? run.nodes[run.nodes.length - 1] : run.container) : null;
+        while (block && block.parentNode !== root) {
+            block = block.parentNode;
+        }
+
+        const rule = document.createElement('hr');
+        root.insertBefore(rule, block ? block.nextSibling : null);
+        if (!rule.nextElementSibling) {
+            const paragraph = document.createElement('p');
+            paragraph.appendChild(document.createElement('br'));
+            root.appendChild(paragraph);
+        }
+        return rule;
+    }
+
+    // ---------------------------
+    // 표 편집 (행/열 추가·삭제, 셀 병합·분할, 머리글 행)
+    // ---------------------------
+
+    /**
+     * 셀의 colspan/rowspan 값 (없거나 잘못된 값은 1)
+     * @param {Element} cell - td 또는 th 요소
+     * @param {string} name - 'colspan' 또는 'rowspan'
+     * @returns {number} 병합된 칸 수
+     */
+    function getCellSpan(cell, name) {
+        return Math.max(1, parseInt(cell.getAttribute(name), 10) || 1);
+    }
+
+    /**
+     * 셀의 colspan/rowspan 설정 (1이면 속성 제거)
+     * @param {Element} cell - td 또는 th 요소
+     * @param {string} name - 'colspan' 또는 'rowspan'
+     * @param {number} value - 병합할 칸 수
+     */
+    function setCellSpan(cell, name, value) {
+        if (value > 1) {
+            cell.setAttribute(name, String(value));
+        } else {
+            cell.removeAttribute(name);
+        }
+    }
+
+    /**
+     * 빈 셀 생성 (커서를 둘 수 있도록 <br> 포함)
+     * @param {string} tag - 'td' 또는 'th'
+     * @returns {Element} 셀 요소
+     */
+    function createTableCell(tag) {
+        const cell = document.createElement(tag.toLowerCase());
+        cell.appendChild(document.createElement('br'));
+        return cell;
+    }
+
+    /**
+     * 빈 표 생성
+     * @param {number} rows - 행 수 (머리글 행 포함)
+     * @param {number} cols - 열 수
+     * @param {boolean} headerRow - 첫 행을 머리글 행(<thead><th>)으로 만들지 여부
+     * @returns {Element} table 요소
+     */
+    function createTable(rows, cols, headerRow) {
+        const table = document.createElement('table');
+        const body = document.createElement('tbody');
+        for (let r = 0; r < rows; r++) {
+            const isHeader = headerRow && r === 0;
+            const row = document.createElement('tr');
+            for (let c = 0; c < cols; c++) {
+                row.appendChild(createTableCell(isHeader ? 'th' : 'td'));
+            }
+            if (isHeader) {
+                table.appendChild(document.createElement('thead')).appendChild(row);
+            } else {
+                body.appendChild(row);
+            }
+        }
+        if (body.firstChild) table.appendChild(body);
+        return table;
+    }
+
+    /**
+     * 표의 칸 배치 계산 (병합된 셀은 차지하는 모든 칸에 같은 셀이 들어감)
+     * @param {Element} table - table 요소
+     * @returns {Object} { rows: tr 목록, grid: [행][열] → 셀, width: 열 수 }
+     */
+    function getTableGrid(table) {
+        const rows = Array.from(table.rows);
+        const grid = rows.map(() => []);
+        rows.forEach((row, r) => {
+            let c = 0;
+            Array.from(row.cells).forEach(cell => {
+                while (grid[r][c]) c++;
+                const rowspan = getCellSpan(cell, 'rowspan');
+                const colspan = getCellSpan(cell, 'colspan');
+                for (let i = 0; i < rowspan && r + i < rows.length; i++) {
+                    for (let j = 0; j < colspan; j++) {
+                        grid[r + i][c + j] = cell;
+                    }
+                }
+                c += colspan;
+            });
+        });
+        const width = grid.reduce((max, cells) => Math.max(max, cells.length), 0);
+        return { rows, grid, width };
+    }
+
+    /**
+     * 셀이 시작되는 칸의 위치
+     * @param {Array} grid - getTableGrid()의 칸 배치
+     * @param {Element} cell - 셀 요소
+     * @returns {Object|null} { row, col }
+     */
+    function getCellPosition(grid, cell) {
+        for (let r = 0; r < grid.length; r++) {
+            const c = grid[r].indexOf(cell);
+            if (c !== -1) return { row: r, col: c };
+        }
+        return null;
+    }
+
+    /**
+     * 셀 목록을 모두 덮는 직사각형 칸 범위
+     * 범위에 일부만 걸친 병합 셀이 있으면 그 셀 전체가 들어가도록 범위를 넓힙니다.
+     * @param {Array} grid - getTableGrid()의 칸 배치
+     * @param {Array} cells - 셀 목록
+     * @returns {Object} { top, left, bottom, right }
+     */
+    function getCellsBox(grid, cells) {
+        const box = { top: Infinity, left: Infinity, bottom: -1, right: -1 };
+        const include = cell => {
+            const position = getCellPosition(grid, cell);
+            if (!position) return false;
+            const bottom = position.row + getCellSpan(cell, 'rowspan') - 1;
+            const right = position.col + getCellSpan(cell, 'colspan') - 1;
+            const changed = position.row < box.top || position.col < box.left || bottom > box.bottom || right > box.right;
+            box.top = Math.min(box.top, position.row);
+            box.left = Math.min(box.left, position.col);
+            box.bottom = Math.max(box.bottom, Math.min(bottom, grid.length - 1));
+            box.right = Math.max(box.right, right);
+            return changed;
+        };
+        cells.forEach(include);
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let r = box.top; r <= box.bottom; r++) {
+                for (let c = box.left; c <= box.right; c++) {
+                    if (grid[r][c] && include(grid[r][c])) changed = true;
+                }
+            }
+        }
+        return box;
+    }
+
+    /**
+     * 노드가 들어 있는 셀 (루트 밖의 셀은 무시)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Node} node - 노드
+     * @returns {Element|null} td 또는 th 요소
+     */
+    function getClosestCell(root, node) {
+        const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode);
+        const cell = element && element.closest ? element.closest('td, th') : null;
+        return cell && cell !== root && root.contains(cell) ? cell : null;
+    }
+
+    /**
+     * 선택 영역이 있는 표와 셀
+     * @param {Element} root - 에디터 루트 요소
+     * @returns {Object|null} { table, cell: 선택이 시작된 셀, cells: 선택 영역에 걸친 셀 목록 }
+     */
+    function getTableSelection(root) {
+        const selection = window.getSelection();
+        if (!selection || !selection.rangeCount) return null;
+        const range = selection.getRangeAt(0);
+        const cell = getClosestCell(root, range.startContainer);
+        if (!cell) return null;
+
+        const table = cell.closest('table');
+        const cells = Array.from(table.querySelectorAll('td, th'))
+            .filter(other => other.closest('table') === table && range.intersectsNode(other));
+        return { table, cell, cells: cells.length ? cells : [cell] };
+    }
+
+    /**
+     * 셀의 태그 변경 (td ↔ th, 속성과 내용은 유지)
+     * @param {Element} cell - 셀 요소
+     * @param {string} tag - 새 태그
+     * @returns {Element} 바뀐 셀 (태그가 같으면 원래 셀)
+     */
+    function renameCell(cell, tag) {
+        if (cell.tagName === tag.toUpperCase()) return cell;
+        const renamed = document.createElement(tag);
+        Array.from(cell.attributes).forEach(attr => renamed.setAttribute(attr.name, attr.value));
+        while (cell.firstChild) renamed.appendChild(cell.firstChild);
+        cell.parentNode.replaceChild(renamed, cell);
+        return renamed;
+    }
+
+    /**
+     * 행의 원래 셀 중 지정한 열 이후에 시작하는 첫 셀 (새 셀을 넣을 기준)
+     * @param {Array} grid - 행을 바꾸기 전의 칸 배치
+     * @param {Element} row - tr 요소
+     * @param {number} col - 열 위치
+     * @returns {Element|null} 기준 셀 (없으면 행 끝)
+     */
+    function getCellAfterColumn(grid, row, col) {
+        return Array.from(row.cells).find(cell => {
+            const position = getCellPosition(grid, cell);
+            return position && position.col > col;
+        }) || null;
+    }
+
+    /**
+     * 행 추가
+     * 새 행 자리를 가로지르는 병합 셀은 새 칸 대신 rowspan을 늘립니다.
+     * @param {Element} table - table 요소
+     * @param {number} index - 새 행이 들어갈 위치
+     * @param {boolean} after - 위치의 앞 행(true) 또는 뒤 행(false)과 같은 구역(thead/tbody)에 넣을지 여부
+     * @returns {Element} 새 행
+     */
+    function insertTableRow(table, index, after) {
+        const { rows, grid, width } = getTableGrid(table);
+        const sibling = after ? rows[index - 1] : rows[index];
+        const tag = sibling.parentNode.tagName === 'THEAD' ? 'th' : 'td';
+        const row = document.createElement('tr');
+
+        for (let c = 0; c < width; c++) {
+            const above = grid[index - 1] && grid[index - 1][c];
+            if (above && grid[index] && grid[index][c] === above) {
+                // 병합 셀의 첫 열에서 한 번만 늘림
+                if (grid[index - 1][c - 1] !== above) setCellSpan(above, 'rowspan', getCellSpan(above, 'rowspan') + 1);
+                continue;
+            }
+            row.appendChild(createTableCell(tag));
+        }
+
+        sibling.parentNode.insertBefore(row, after ? sibling.nextSibling : sibling);
+        return row;
+    }
+
+    /**
+     * 행 삭제
+     * 삭제하는 행에서 시작해 아래로 병합된 셀은 다음 행으로 옮기고, 위에서 걸쳐 내려온 셀은 rowspan을 줄입니다.
+     * @param {Element} table - table 요소
+     * @param {number} index - 삭제할 행 위치
+     */
+    function deleteTableRow(table, index) {
+        const { rows, grid } = getTableGrid(table);
+        const row = rows[index];
+        const seen = [];
+        grid[index].forEach(cell => {
+            if (!cell || seen.includes(cell)) return;
+            seen.push(cell);
+            const span = getCellSpan(cell, 'rowspan');
+            if (span === 1) return;
+            const position = getCellPosition(grid, cell);
+            const next = rows[index + 1];
+            if (position.row === index && next) {
+                next.insertBefore(cell, getCellAfterColumn(grid, next, position.col));
+            }
+            setCellSpan(cell, 'rowspan', span - 1);
+        });
+        row.parentNode.removeChild(row);
+    }
+
+    /**
+     * 열 추가
+     * 새 열 자리를 가로지르는 병합 셀은 새 칸 대신 colspan을 늘립니다.
+     * @param {Element} table - table 요소
+     * @param {number} index - 새 열이 들어갈 위치
+     * @param {boolean} after - 위치의 앞 열(true) 또는 뒤 열(false)의 셀 종류(td/th)를 따를지 여부
+     */
+    function insertTableColumn(table, index, after) {
+        const { rows, grid } = getTableGrid(table);
+        rows.forEach((row, r) => {
+            const before = grid[r][index - 1];
+            const current = grid[r][index];
+            if (before && current === before) {
+                // 병합 셀이 시작되는 행에서 한 번만 늘림
+                if (getCellPosition(grid, before).row === r) setCellSpan(before, 'colspan', getCellSpan(before, 'colspan') + 1);
+                return;
+            }
+            const sibling = (after ? before : current) || before || current;
+            const tag = sibling ? sibling.tagName : (row.parentNode.tagName === 'THEAD' ? 'th' : 'td');
+            row.insertBefore(createTableCell(tag), getCellAfterColumn(grid, row, index - 1));
+        });
+    }
+
+    /**
+     * 열 삭제 (병합 셀은 colspan을 줄임)
+     * @param {Element} table - table 요소
+     * @param {number} index - 삭제할 열 위치
+     */
+    function deleteTableColumn(table, index) {
+        const { grid } = getTableGrid(table);
+        const seen = [];
+        grid.forEach(cells => {
+            const cell = cells[index];
+            if (!cell || seen.includes(cell)) return;
+            seen.push(cell);
+            const span = getCellSpan(cell, 'colspan');
+            if (span > 1) {
+                setCellSpan(cell, 'colspan', span - 1);
+            } else {
+                cell.parentNode.removeChild(cell);
+            }
+        });
+        normalizeTable(table);
+    }
+
+    /**
+     * 셀 범위를 하나의 셀로 병합 (내용은 왼쪽 위 셀에 이어 붙임)
+     * @param {Element} table - table 요소
+     * @param {Array} cells - 병합할 셀 목록 (모두 덮는 직사각형 범위를 병합)
+     * @returns {Element|null} 병합된 셀 (병합할 셀이 하나뿐이거나 머리글과 본문에 걸치면 null)
+     */
+    function mergeTableCells(table, cells) {
+        const { rows, grid } = getTableGrid(table);
+        const box = getCellsBox(grid, cells);
+        if (box.top === box.bottom && box.left === box.right) return null;
+        if (rows[box.top].parentNode !== rows[box.bottom].parentNode) return null;
+
+        const target = grid[box.top][box.left];
+        const merged = [];
+        for (let r = box.top; r <= box.bottom; r++) {
+            for (let c = box.left; c <= box.right; c++) {
+                const cell = grid[r][c];
+                if (cell && cell !== target && !merged.includes(cell)) merged.push(cell);
+            }
+        }
+
+        const hasContent = cell => Boolean(getTextContent(cell).trim() || cell.querySelector('img, hr, table'));
+        if (!hasContent(target)) {
+            while (target.firstChild) target.removeChild(target.firstChild);
+        }
+        merged.forEach(cell => {
+            if (hasContent(cell)) {
+                // 인라인 내용끼리는 줄바꿈으로 구분
+                const last = target.lastChild;
+                if (last && !isBlockNode(last) && cell.firstChild && !isBlockNode(cell.firstChild)) {
+                    target.appendChild(document.createElement('br'));
+                }
+                while (cell.firstChild) target.appendChild(cell.firstChild);
+            }
+            cell.parentNode.removeChild(cell);
+        });
+        if (!target.firstChild) target.appendChild(document.createElement('br'));
+
+        setCellSpan(target, 'colspan', box.right - box.left + 1);
+        setCellSpan(target, 'rowspan', box.bottom - box.top + 1);
+        normalizeTable(table);
+        return target;
+    }
+
+    /**
+     * 병합된 셀을 원래 칸으로 분할 (내용은 왼쪽 위 셀에 남김)
+     * @param {Element} table - table 요소
+     * @param {Element} cell - 분할할 셀
+     * @returns {boolean} 분할했는지 여부
+     */
+    function splitTableCell(table, cell) {
+        const rowspan = getCellSpan(cell, 'rowspan');
+        const colspan = getCellSpan(cell, 'colspan');
+        if (rowspan === 1 && colspan === 1) return false;
+
+        const { rows, grid } = getTableGrid(table);
+        const position = getCellPosition(grid, cell);
+        for (let r = position.row; r < position.row + rowspan && r < rows.length; r++) {
+            const reference = getCellAfterColumn(grid, rows[r], position.col);
+            const count = r === position.row ? colspan - 1 : colspan;
+            for (let i = 0; i < count; i++) {
+                rows[r].insertBefore(createTableCell(cell.tagName), reference);
+            }
+        }
+        cell.removeAttribute('rowspan');
+        cell.removeAttribute('colspan');
+        return true;
+    }
+
+    /**
+     * 첫 행을 머리글 행(<thead>, <th>)으로 바꾸거나 본문 행으로 되돌림
+     * @param {Element} table - table 요소
+     * @param {Element} cell - 선택한 셀 (태그가 바뀌면 새 셀을 반환)
+     * @returns {Element} 선택한 셀
+     */
+    function toggleTableHeaderRow(table, cell) {
+        let result = cell;
+        const rename = (row, tag) => {
+            Array.from(row.cells).forEach(item => {
+                const renamed = renameCell(item, tag);
+                if (item === cell) result = renamed;
+            });
+        };
+
+        const head = table.tHead;
+        if (head) {
+            let body = table.tBodies[0];
+            if (!body) {
+                body = document.createElement('tbody');
+                head.parentNode.insertBefore(body, head.nextSibling);
+            }
+            Array.from(head.rows).reverse().forEach(row => {
+                rename(row, 'td');
+                body.insertBefore(row, body.firstChild);
+            });
+            head.parentNode.removeChild(head);
+            return result;
+        }
+
+        // 아래 행으로 병합된 셀은 머리글 행에 걸치지 않도록 먼저 분할
+        Array.from(table.rows[0].cells).forEach(item => {
+            if (getCellSpan(item, 'rowspan') > 1) splitTableCell(table, item);
+        });
+        const row = table.rows[0];
+        const newHead = document.createElement('thead');
+        row.parentNode.parentNode.insertBefore(newHead, row.parentNode);
+        newHead.appendChild(row);
+        rename(row, 'th');
+        normalizeTable(table);
+        return result;
+    }
+
+    /**
+     * 표 구조 정리
+     * 표 바로 아래의 행은 tbody로 감싸고, 셀이 없는 행과 빈 구역, 값이 1인 colspan/rowspan은 제거합니다.
+     * 표 안에 잘못 들어간 내용은 표 앞 문단으로 옮깁니다.
+     * @param {Element} table - table 요소
+     */
+    function normalizeTable(table) {
+        Array.from(table.childNodes).forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && /^(THEAD|TBODY|TFOOT)$/.test(node.tagName)) return;
+            if (node.nodeName === 'TR') {
+                const previous = node.previousSibling;
+                const body = previous && previous.nodeName === 'TBODY' ? previous : table.insertBefore(document.createElement('tbody'), node);
+                body.appendChild(node);
+                return;
+            }
+            if (isBlockNode(node)) {
+                table.parentNode.insertBefore(node, table);
+            } else if (node.nodeType === Node.ELEMENT_NODE || node.textContent.trim()) {
+                const paragraph = document.createElement('p');
+                paragraph.appendChild(node);
+                table.parentNode.insertBefore(paragraph, table);
+            } else {
+                table.removeChild(node);
+            }
+        });
+
+        // 셀이 없는 행은 그 행에 걸친 병합 셀의 rowspan을 줄이고 제거
+        let empty = Array.from(table.rows).findIndex(row => !row.cells.length);
+        while (empty !== -1) {
+            const { grid } = getTableGrid(table);
+            const seen = [];
+            grid[empty].forEach(cell => {
+                if (!cell || seen.includes(cell)) return;
+                seen.push(cell);
+                setCellSpan(cell, 'rowspan', getCellSpan(cell, 'rowspan') - 1);
+            });
+            const row = table.rows[empty];
+            row.parentNode.removeChild(row);
+            empty = Array.from(table.rows).findIndex(row => !row.cells.length);
+        }
+
+        Array.from(table.querySelectorAll('td, th')).forEach(cell => {
+            if (cell.closest('table') !== table) return;
+            setCellSpan(cell, 'colspan', getCellSpan(cell, 'colspan'));
+            setCellSpan(cell, 'rowspan', getCellSpan(cell, 'rowspan'));
+        });
+        Array.from(table.children).forEach(section => {
+            if (!section.children.length) table.removeChild(section);
+        });
+    }
+
+    /**
+     * 선택 범위가 끝나는 블록 뒤에 표 삽입
+     * 빈 문단에 넣으면 그 문단을 표로 바꾸고, 표가 마지막 블록이 되면 이어서 입력할 수 있도록 빈 문단을 추가합니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Range} range - 삽입 위치
+     * @param {Element} table - 삽입할 table 요소
+     */
+    function insertTable(root, range, table) {
+        let block = range.endContainer;
+        while (block && block !== root && block.parentNode !== root) {
+            block = block.parentNode;
+        }
+        if (!block || block === root) {
+            block = root.childNodes[range.endOffset - 1] || null;
+        }
+
+        const isEmptyParagraph = block && RENAMEABLE_BLOCK_TAGS.includes(block.tagName) &&
+            !getTextContent(block).trim() && !block.querySelector('img');
+        if (isEmptyParagraph) {
+            root.replaceChild(table, block);
+        } else {
+            root.insertBefore(table, block ? block.nextSibling : root.firstChild);
+        }
+        if (!table.nextElementSibling) {
+            const paragraph = document.createElement('p');
+            paragraph.appendChild(document.createElement('br'));
+            root.appendChild(paragraph);
+        }
+    }
+
+    /**
+     * 블록 안에 커서 배치
+     * @param {Element} block - 블록 요소 (셀, 문단 등)
+     * @param {boolean} atEnd - 끝에 둘지 여부 (false면 맨 앞)
+     */
+    function placeCaretInBlock(block, atEnd) {
+        const range = document.createRange();
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, null, false);
+        let text = null;
+        while (walker.nextNode()) {
+            text = walker.currentNode;
+            if (!atEnd) break;
+        }
+        if (text) {
+            range.setStart(text, atEnd ? text.length : 0);
+        } else {
+            const br = block.querySelector('br');
+            if (br) {
+                range.setStartBefore(br);
+            } else {
+                range.setStart(block, atEnd ? block.childNodes.length : 0);
+            }
+        }
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    /**
+     * Markdown 표의 한 행을 셀 텍스트 목록으로 분리 (\|는 셀 구분자가 아님)
+     * @param {string} line - 표 행
+     * @returns {Array} 셀 텍스트 목록
+     */
+    function splitMarkdownTableRow(line) {
+        const cells = [];
+        let current = '';
+        const text = line.trim().replace(/^\|/, '');
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                current += text[i] + text[i + 1];
+                i++;
+            } else if (text[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += text[i];
+            }
+        }
+        if (current.trim()) cells.push(current.trim());
+        return cells;
+    }
+
+    // ---------------------------
+    // 입력 규칙 (입력한 Markdown 문법을 서식으로 변환)
+    // ---------------------------
+
+    // 블록 규칙에서 지운 접두사 자리에 잠시 넣어 두는 문자 (블록이 비어도 커서 위치를 찾을 수 있도록)
+    const INPUT_RULE_MARKER = '\u200B';
+
+    /**
+     * 기본 입력 규칙 (config.inputRules에서 이름으로 사용)
+     * block: 블록 맨 앞에서 커서까지의 텍스트가 일치하면 (root, start, end, match)로 블록을 바꾸고 접두사를 지움 (false를 반환하면 적용 안 함)
+     * mark: 커서 앞의 텍스트가 일치하면 마지막 캡처 그룹의 텍스트만 남기고 마크 적용
+     * replace: 일치한 텍스트를 문자열 또는 (match) => 문자열로 교체
+     * 브라우저는 입력한 공백을 &nbsp;로 넣기도 하므로 공백은 \s로 비교합니다.
+     */
+    const INPUT_RULES = {
+        heading: {
+            match: /^(#{1,6})\s$/,
+            block: (root, start, end, match) => {
+                const tag = `h${match[1].length}`;
+                if (getBlockType(root, start, end) === tag) return false;
+                setBlockType(root, start, end, tag);
+            }
+        },
+        bulletList: { match: /^[-*+]\s$/, block: (root, start, end) => applyListInputRule(root, start, end, 'bullet') },
+        orderedList: { match: /^1[.)]\s$/, block: (root, start, end) => applyListInputRule(root, start, end, 'ordered') },
+        checklist: {
+            match: /^\[([ xX]?)\]\s$/,
+            block: (root, start, end, match) => {
+                if (applyListInputRule(root, start, end, 'check') === false) return false;
+                if (match[1].trim()) {
+                    getListItemsInRange(root, start, end).forEach(toggleListItemChecked);
+                }
+            }
+        },
+        blockquote: {
+            match: /^>\s$/,
+            block: (root, start, end) => {
+                if (isBlockquoteActive(root, start, end)) return false;
+                toggleBlockquote(root, start, end);
+            }
+        },
+        codeBlock: {
+            match: /^```([\w-]*)\s$/,
+            block: (root, start, end, match) => {
+                if (isCodeBlockActive(root, start, end)) return false;
+                toggleCodeBlock(root, start, end, match[1] || undefined);
+            }
+        },
+        bold: { match: /(?<![\w*])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, mark: 'bold' },
+        italic: { match: /(?<![\w*_])([_*])([^*_\s](?:[^*_]*[^*_\s])?)\1$/, mark: 'italic' },
+        code: { match: /(?<!`)`([^`]+)`$/, mark: 'code' },
+        strikethrough: { match: /(?<![\w~])~~([^~\s](?:[^~]*[^~\s])?)~~$/, mark: 'strikethrough' }
+    };
+
+    /**
+     * 목록 입력 규칙 적용 (이미 같은 종류의 목록이면 적용 안 함)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @param {string} type - 목록 종류 (bullet, ordered, check)
+     * @returns {boolean|undefined} 적용하지 않으면 false
+     */
+    function applyListInputRule(root, start, end, type) {
+        if (isListActive(root, start, end, type)) return false;
+        toggleList(root, start, end, type);
+    }
+
+    /**
+     * 커서가 있는 블록에서 블록 맨 앞부터 커서까지의 텍스트
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} offset - 커서 오프셋
+     * @returns {Object|null} { start: 블록 시작 오프셋, text }, 커서가 텍스트 블록 밖이면 null
+     */
+    function getTextBeforeCaret(root, offset) {
+        const run = getRunsInRange(root, offset, offset)[0];
+        if (!run) return null;
+        const text = run.nodes.map(getTextContent).join('').slice(0, offset - run.start);
+        return { start: run.start, text };
+    }
+
+    /**
+     * 문서의 커서가 인라인 코드나 코드 블록 안에 있는지 확인
+     * @param {Element} root - 에디터 루트 요소
+     * @returns {boolean} 코드 안 여부
+     */
+    function isCaretInCode(root) {
+        const selection = window.getSelection();
+        const anchor = selection && selection.anchorNode;
+        const element = anchor && (anchor.nodeType === Node.TEXT_NODE ? anchor.parentNode : anchor);
+        const code = element && element.closest('code, pre');
+        return Boolean(code) && root.contains(code);
+    }
+
+    /**
+     * 입력 규칙 적용 후 커서 배치
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Object} rule - 입력 규칙
+     * @param {number} start - 일치한 텍스트의 시작 오프셋
+     * @param {number} end - 일치한 텍스트의 끝 오프셋 (커서 위치)
+     * @param {Array} match - 정규식 일치 결과
+     * @returns {boolean} 적용 여부
+     */
+    function applyInputRule(root, rule, start, end, match) {
+        if (rule.block) {
+            if (rule.block(root, start, end, match) === false) return false;
+            replaceText(root, start, end, INPUT_RULE_MARKER);
+            placeCaretAtMarker(root);
+            return true;
+        }
+
+        if (rule.mark) {
+            const text = match[match.length - 1];
+            replaceText(root, start, end, text);
+            applyMark(root, start, start + text.length, rule.mark, rule.attrs);
+            placeCaretAfterMark(root, start + text.length);
+            return true;
+        }
+
+        const text = typeof rule.replace === 'function' ? rule.replace(match) : rule.replace;
+        if (typeof text !== 'string') return false;
+        replaceText(root, start, end, text);
+        setSelectionOffsets(root, start + text.length, start + text.length);
+        return true;
+    }
+
+    /**
+     * 접두사 자리에 넣어 둔 문자를 지우고 그 자리에 커서 배치
+     * 블록이 비게 되면 커서를 둘 수 있도록 <br>을 넣습니다.
+     * @param {Element} root - 에디터 루트 요소
+     */
+    function placeCaretAtMarker(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const index = node.textContent.indexOf(INPUT_RULE_MARKER);
+            if (index === -1) continue;
+
+            const range = document.createRange();
+            if (node.textContent.length > 1) {
+                node.deleteData(index, 1);
+                range.setStart(node, index);
+            } else {
+                const parent = node.parentNode;
+                const position = Array.prototype.indexOf.call(parent.childNodes, node);
+                if (parent.childNodes.length === 1) {
+                    parent.replaceChild(document.createElement('br'), node);
+                } else {
+                    parent.removeChild(node);
+                }
+                range.setStart(parent, position);
+            }
+            range.collapse(true);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            return;
+        }
+    }
+
+    /**
+     * 마크를 적용한 텍스트 바로 뒤, 마크 요소 바깥에 커서 배치 (이어서 입력하는 텍스트에는 마크가 없도록)
+     * @param {Element} root - 에디터 루트 요소
+     * @param {number} offset - 마크를 적용한 텍스트의 끝 오프셋
+     */
+    function placeCaretAfterMark(root, offset) {
+        const position = getPositionFromOffset(root, offset, true);
+        let node = position.node;
+        if (node === root || position.offset < node.textContent.length) {
+            setSelectionOffsets(root, offset, offset);
+            return;
+        }
+        while (!node.nextSibling && node.parentNode !== root && !isBlockNode(node.parentNode)) {
+            node = node.parentNode;
+        }
+
+        const range = document.createRange();
+        range.setStartAfter(node);
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    // ---------------------------
+    // 실행 취소 / 다시 실행
+    // ---------------------------
+
+    const HISTORY_LIMIT = 100; // 에디터별 최대 히스토리 단계 수
+    const TYPING_MERGE_DELAY = 1000; // 이 시간(ms) 안에 이어진 입력은 한 단계로 병합
+
+    /**
+     * 에디터 내부의 현재 선택 영역을 텍스트 오프셋으로 가져오기
+     * @param {Element} element - 에디터 요소
+     * @returns {Object|null} 선택 오프셋 ({ start, end }), 선택 영역이 에디터 밖이면 null
+     */
+    function getSelectionOffsets(element) {
+        if (isTextInput(element)) {
+            return { start: element.selectionStart, end: element.selectionEnd };
+        }
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return null;
+        const range = selection.getRangeAt(0);
+        if (!element.contains(range.startContainer) || !element.contains(range.endContainer)) return null;
+        return {
+            start: getNodeOffset(element, range.startContainer, range.startOffset),
+            end: getNodeOffset(element, range.endContainer, range.endOffset)
+        };
+    }
+
+    /**
+     * 에디터의 현재 내용 (contenteditable은 HTML, textarea는 값)
+     * @param {Element} element - 에디터 요소
+     * @returns {string} 내용
+     */
+    function readContent(element) {
+        return isTextInput(element) ? element.value : element.innerHTML;
+    }
+
+    /**
+     * 에디터 상태 스냅샷 생성
+     * @param {Element} element - 에디터 요소
+     * @returns {Object} 스냅샷 ({ content, selection })
+     */
+    function takeSnapshot(element) {
+        return {
+            content: readContent(element),
+            selection: getSelectionOffsets(element)
+        };
+    }
+
+    /**
+     * input 이벤트 종류를 병합 단위로 분류
+     * @param {string} inputType - InputEvent.inputType
+     * @returns {string|null} 병합 단위 (병합하지 않으면 null)
+     */
+    function getTypingKind(inputType) {
+        if (inputType === 'insertText' || inputType === 'insertCompositionText') return 'insert';
+        if (inputType && inputType.indexOf('delete') === 0) return inputType;
+        return null;
+    }
+
+    // ---------------------------
+    // HTML 정리 (sanitizer)
+    // ---------------------------
+
+    // 내용까지 통째로 제거하는 태그
+    const DROP_CONTENT_TAGS = [
+        'SCRIPT', 'STYLE', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'NOSCRIPT', 'TEMPLATE',
+        'TITLE', 'META', 'LINK', 'HEAD', 'BASE', 'SVG', 'MATH', 'CANVAS', 'AUDIO', 'VIDEO',
+        'SELECT', 'TEXTAREA', 'BUTTON', 'INPUT', 'APPLET', 'XML'
+    ];
+
+    // URL 값을 가지는 속성
+    const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'xlink:href'];
+
+    /**
+     * 기본 규칙과 사용자 규칙을 병합한 sanitizer 설정
+     * allowedTags와 allowedSchemes는 사용자 목록으로 바꾸고, allowedAttributes와 allowedClasses는
+     * 주석 앵커나 멘션처럼 에디터가 쓰는 속성이 빠지지 않도록 태그별로 기본 목록에 더합니다.
+     * @param {Object} [config] - 인스턴스 설정 (생략하면 기본 설정)
+     * @returns {Object} { allowedTags, allowedAttributes, allowedClasses, allowedSchemes }
+     */
+    function getSanitizerRules(config = DEFAULT_CONFIG) {
+        const defaults = DEFAULT_CONFIG.sanitizer;
+        const rules = { ...defaults, ...(config.sanitizer || {}) };
+        ['allowedAttributes', 'allowedClasses'].forEach(name => {
+            const merged = { ...defaults[name] };
+            Object.keys(rules[name] || {}).forEach(tag => {
+                merged[tag] = Array.from(new Set([...(defaults[name][tag] || []), ...(rules[name][tag] || [])]));
+            });
+            rules[name] = merged;
+        });
+        return rules;
+    }
+
+    /**
+     * HTML 문자열을 허용 목록에 맞게 정리
+     * @param {string} html - 정리할 HTML
+     * @param {Object} options - { source: 'paste' | 'drop' | 'init' | 'export' | 'api', config: 인스턴스 설정 }
+     * @returns {string} 정리된 HTML
+     */
+    function sanitizeHTML(html, options = {}) {
+        // template은 스크립트를 실행하거나 이미지를 불러오지 않는 비활성 문서로 파싱함
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const container = document.createElement('div');
+        container.appendChild(template.content);
+
+        const config = options.config || DEFAULT_CONFIG;
+        sanitizeNode(container, getSanitizerRules(config));
+        normalizeMentionNodes(container, options.source !== 'export');
+
+        if (typeof config.sanitize === 'function') {
+            const result = config.sanitize(container, { source: options.source || 'api' });
+            if (typeof result === 'string') return result;
+        }
+        return container.innerHTML;
+    }
+
+    /**
+     * 요소의 자식 노드를 허용 목록에 맞게 정리
+     * @param {Element} parent - 정리할 요소
+     * @param {Object} rules - sanitizer 설정
+     */
+    function sanitizeNode(parent, rules) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                // 주석(Word의 조건부 주석 포함)과 처리 명령 제거
+                parent.removeChild(node);
+                return;
+            }
+
+            const tagName = node.tagName.toUpperCase();
+            if (DROP_CONTENT_TAGS.includes(tagName) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+                parent.removeChild(node);
+                return;
+            }
+
+            // 허용 목록을 통과하지 못한 인라인 스타일의 서식은 표준 마크로 보존
+            const replacement = convertStyleMarks(node);
+            sanitizeNode(replacement, rules);
+
+            const tag = replacement.tagName.toLowerCase();
+            if (!rules.allowedTags.includes(tag)) {
+                unwrapNode(replacement);
+                return;
+            }
+            sanitizeAttributes(replacement, tag, rules);
+
+            // href가 제거된 링크와 속성 없는 span은 의미가 없으므로 내용만 남김
+            if ((tag === 'a' && !replacement.hasAttribute('href')) ||
+                (tag === 'span' && !replacement.attributes.length)) {
+                unwrapNode(replacement);
+            }
+            // src가 제거된 이미지는 표시할 수 없으므로 제거
+            if (tag === 'img' && !replacement.getAttribute('src')) {
+                replacement.parentNode.removeChild(replacement);
+            }
+            if (tag === 'table') {
+                normalizeTable(replacement);
+            }
+        });
+    }
+
+    /**
+     * 요소의 속성을 허용 목록에 맞게 정리
+     * @param {Element} element - 정리할 요소
+     * @param {string} tag - 소문자 태그 이름
+     * @param {Object} rules - sanitizer 설정
+     */
+    function sanitizeAttributes(element, tag, rules) {
+        const allowed = (rules.allowedAttributes['*'] || []).concat(rules.allowedAttributes[tag] || []);
+
+        Array.from(element.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            if (!allowed.includes(name) || name.indexOf('on') === 0) {
+                element.removeAttribute(attr.name);
+                return;
+            }
+            if (URL_ATTRIBUTES.includes(name) && !isAllowedUrl(attr.value, rules.allowedSchemes)) {
+                element.removeAttribute(attr.name);
+            }
+            // 크기와 병합 속성은 숫자만 허용
+            if (['width', 'height', 'colspan', 'rowspan'].includes(name) && !/^\d+$/.test(attr.value.trim())) {
+                element.removeAttribute(attr.name);
+            }
+        });
+
+        // class는 허용된 값만 남김
+        const patterns = (rules.allowedClasses || {})[tag];
+        if (patterns && element.hasAttribute('class')) {
+            const classes = element.getAttribute('class').split(/\s+/).filter(name => name && patterns.some(pattern => {
+                return pattern.endsWith('*') ? name.indexOf(pattern.slice(0, -1)) === 0 : name === pattern;
+            }));
+            if (classes.length) {
+                element.setAttribute('class', classes.join(' '));
+            } else {
+                element.removeAttribute('class');
+            }
+        }
+
+        // 새 창으로 여는 링크는 opener 접근 차단
+        if (element.getAttribute('target') === '_blank') {
+            const rel = (element.getAttribute('rel') || '').split(/\s+/).filter(Boolean);
+            if (!rel.includes('noopener')) rel.push('noopener');
+            element.setAttribute('rel', rel.join(' '));
+        }
+    }
+
+    /**
+     * URL이 허용된 스킴인지 확인
+     * @param {string} value - URL
+     * @param {Array} schemes - 허용 스킴 목록
+     * @returns {boolean} 허용 여부
+     */
+    function isAllowedUrl(value, schemes) {
+        // 브라우저가 무시하는 제어 문자와 공백을 제거한 뒤 스킴 검사 (java\tscript: 등 우회 방지)
+        const url = (value || '').replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+        const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || schemes.includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * 인라인 스타일로 표현된 서식을 표준 마크 요소로 변환
+     * Google Docs의 <b style="font-weight:normal"> 래퍼처럼 서식을 취소하는 스타일도 처리합니다.
+     * @param {Element} element - 대상 요소
+     * @returns {Element} 자식 노드를 담고 있는 요소 (원래 요소 또는 그 안쪽 래퍼)
+     */
+    function convertStyleMarks(element) {
+        const style = element.style;
+        if (!style || !style.length) return element;
+
+        const weight = style.fontWeight;
+        if (/^(b|strong)$/i.test(element.tagName) && (weight === 'normal' || parseInt(weight, 10) < 600)) {
+            // 굵게 표시하지 않는 <b>는 의미 없는 래퍼
+            const span = document.createElement('span');
+            while (element.firstChild) span.appendChild(element.firstChild);
+            element.parentNode.replaceChild(span, element);
+            return span;
+        }
+
+        const tags = [];
+        if (weight === 'bold' || parseInt(weight, 10) >= 600) tags.push('strong');
+        if (style.fontStyle === 'italic') tags.push('em');
+        const decoration = style.textDecoration || style.textDecorationLine || '';
+        if (decoration.includes('underline')) tags.push('u');
+        if (decoration.includes('line-through')) tags.push('s');
+
+        let target = element;
+        tags.forEach(tag => {
+            if (target.tagName.toLowerCase() === tag) return;
+            const wrapper = document.createElement(tag);
+            while (target.firstChild) wrapper.appendChild(target.firstChild);
+            target.appendChild(wrapper);
+            target = wrapper;
+        });
+        return element;
+    }
+
+    /**
+     * 요소를 제거하고 자식 노드는 그 자리에 남김
+     * @param {Element} element - 제거할 요소
+     */
+    function unwrapNode(element) {
+        const parent = element.parentNode;
+        while (element.firstChild) {
+            parent.insertBefore(element.firstChild, element);
+        }
+        parent.removeChild(element);
+    }
+
+    /**
+     * HTML에서 주석 앵커를 제거 (붙여넣은 내용이 문서의 다른 스레드에 연결되지 않도록)
+     * @param {string} html - 정리된 HTML
+     * @returns {string} 앵커를 뺀 HTML
+     */
+    function removeCommentAnchors(html) {
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        container.querySelectorAll('span[data-comment-id]').forEach(unwrapNode);
+        return container.innerHTML;
+    }
+
+    /**
+     * 정리된 HTML을 선택 영역 위치에 삽입
+     * 블록 요소가 포함된 경우 현재 블록을 커서 위치에서 나누어 그 사이에 넣습니다.
+     * @param {Element} root - 에디터 루트 요소
+     * @param {Range} range - 삽입 위치
+     * @param {string} html - 삽입할 HTML (정리된 상태)
+     */
+    function insertHTML(root, range, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const fragment = template.content;
+        const nodes = Array.from(fragment.childNodes);
+        if (!nodes.length) return;
+
+        range.deleteContents();
+
+        let block = range.startContainer.nodeType === Node.ELEMENT_NODE
+            ? range.startContainer
+            : range.startContainer.parentNode;
+        while (block && block !== root && !isBlockNode(block)) {
+            block = block.parentNode;
+        }
+
+        if (block && block !== root && nodes.some(isBlockNode)) {
+            // 커서 뒤쪽 내용을 새 블록으로 분리
+            const tail = document.createRange();
+            tail.setStart(range.startContainer, range.startOffset);
+            tail.setEnd(block, block.childNodes.length);
+            const after = block.cloneNode(false);
+            after.appendChild(tail.extractContents());
+            block.parentNode.insertBefore(after, block.nextSibling);
+            block.parentNode.insertBefore(fragment, after);
+
+            [block, after].forEach(candidate => {
+                if (!getTextContent(candidate).trim() && !candidate.querySelector('img, br, hr')) {
+                    candidate.parentNode.removeChild(candidate);
+                }
+            });
+        } else {
+            range.insertNode(fragment);
+        }
+
+        // 삽입한 내용 뒤로 커서 이동
+        const last = nodes[nodes.length - 1];
+        if (last.parentNode) {
+            const caret = document.createRange();
+            caret.setStartAfter(last);
+            caret.collapse(true);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(caret);
+        }
+    }
+
+    // 에디터 안에서 시작된 드래그 (내부 이동은 브라우저에 맡김)
+    let isInternalDrag = false;
+
+    function handleDragStart() {
+        isInternalDrag = true;
+    }
+
+    function handleDragEnd() {
+        isInternalDrag = false;
+    }
+
+    /**
+     * 화면 좌표에 해당하는 문서 위치
+     * @param {number} x - clientX
+     * @param {number} y - clientY
+     * @returns {Range|null} 접힌 범위
+     */
+    function getRangeFromPoint(x, y) {
+        if (document.caretRangeFromPoint) {
+            return document.caretRangeFromPoint(x, y);
+        }
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            if (!position) return null;
+            const range = document.createRange();
+            range.setStart(position.offsetNode, position.offset);
+            range.collapse(true);
+            return range;
+        }
+        return null;
+    }
+
+    // 크기 조절 핸들로 줄일 수 있는 이미지의 최소 너비 (px)
+    const IMAGE_MIN_WIDTH = 24;
+
+    /**
+     * 클립보드/드래그 데이터의 이미지 파일 목록
+     * @param {DataTransfer} data - 클립보드 또는 드래그 데이터
+     * @returns {Array} 이미지 파일 목록
+     */
+    function getImageFiles(data) {
+        return Array.from(data.files || []).filter(file => /^image\//.test(file.type));
+    }
+
+    /**
+     * 업로드 중에 보여줄 미리보기 URL (만들 수 없으면 빈 문자열)
+     * @param {File} file - 이미지 파일
+     * @returns {string} blob: URL
+     */
+    function createPreviewUrl(file) {
+        try {
+            return window.URL && URL.createObjectURL ? URL.createObjectURL(file) : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * 미리보기 URL 해제
+     * @param {string} url - createPreviewUrl()이 만든 URL
+     */
+    function revokePreviewUrl(url) {
+        if (url && window.URL && URL.revokeObjectURL) URL.revokeObjectURL(url);
+    }
+
+    /**
+     * img 요소 HTML 생성
+     * @param {Object} attrs - 속성 ({ src, alt, ... }, 빈 값은 생략하되 alt는 항상 포함)
+     * @returns {string} HTML
+     */
+    function createImageHTML(attrs) {
+        const html = Object.keys(attrs)
+            .filter(name => attrs[name] || name === 'alt')
+            .map(name => ` ${name}="${escapeHTML(String(attrs[name] || ''))}"`)
+            .join('');
+        return `<img${html}>`;
+    }
+
+    /**
+     * 멘션/태그 노드 여부 (data-type과 data-id를 가진 span)
+     * @param {Node} node - 확인할 노드
+     * @returns {boolean} 멘션 노드 여부
+     */
+    function isMentionNode(node) {
+        return node.nodeType === Node.ELEMENT_NODE && node.tagName === 'SPAN' &&
+            node.hasAttribute('data-type') && node.hasAttribute('data-id');
+    }
+
+    /**
+     * 멘션/태그 노드 생성 (에디터 안에서 편집할 수 없는 하나의 단위)
+     * @param {Object} mention - { type, id, text }
+     * @returns {Element} span 요소
+     */
+    function createMentionElement(mention) {
+        const span = document.createElement('span');
+        span.setAttribute('data-type', String(mention.type));
+        span.setAttribute('data-id', String(mention.id));
+        span.setAttribute('contenteditable', 'false');
+        span.textContent = String(mention.text);
+        return span;
+    }
+
+    /**
+     * 멘션 노드 정리: 내용은 글자만 남기고, 에디터에 넣을 내용이면 편집할 수 없게 표시
+     * (contenteditable은 허용 목록에 없으므로 내보낸 HTML에는 남지 않음)
+     * @param {Element} container - 정리할 컨테이너
+     * @param {boolean} forEditor - 에디터에 넣을 내용인지 여부
+     */
+    function normalizeMentionNodes(container, forEditor) {
+        Array.from(container.querySelectorAll('span[data-type][data-id]')).forEach(node => {
+            node.textContent = node.textContent;
+            if (forEditor) node.setAttribute('contenteditable', 'false');
+        });
+    }
+
+    // ---------------------------
+    // 콘텐츠 직렬화 (HTML / Markdown / JSON 변환)
+    // ---------------------------
+
+    /**
+     * HTML을 분리된 컨테이너로 파싱하고 정규화
+     * @param {string} html - 정리된 HTML
+     * @returns {Element} div 컨테이너
+     */
+    function parseHTML(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const container = document.createElement('div');
+        container.appendChild(template.content);
+        normalizeContent(container);
+        return container;
+    }
+
+    /**
+     * 내용 정규화
+     * 인라인 마크를 표준 태그/순서로 다시 렌더링하고, 블록 사이의 들여쓰기 공백을 제거하며,
+     * 루트에 바로 있는 텍스트는 <p>로 감쌉니다.
+     * @param {Element} root - 정규화할 요소
+     */
+    function normalizeContent(root) {
+        // 표 구조를 정리하고 빈 셀의 자리 표시 <br> 제거
+        root.querySelectorAll('table').forEach(normalizeTable);
+        root.querySelectorAll('td, th').forEach(cell => {
+            if (cell.childNodes.length === 1 && cell.firstChild.nodeName === 'BR') cell.removeChild(cell.firstChild);
+        });
+
+        getInlineRuns(root).forEach(run => {
+            const isPreformatted = Boolean(run.container.closest && run.container.closest('pre'));
+            if (isWhitespaceRun(run)) {
+                if (!isPreformatted) {
+                    run.nodes.forEach(node => node.parentNode.removeChild(node));
+                }
+                return;
+            }
+
+            let segments = flattenInline(run.nodes);
+            if (!isPreformatted) {
+                segments = collapseWhitespace(segments);
+            }
+
+            if (run.container === root) {
+                const paragraph = document.createElement('p');
+                root.insertBefore(paragraph, run.nodes[0]);
+                run.nodes.forEach(node => {
+                    if (node.parentNode) node.parentNode.removeChild(node);
+                });
+                paragraph.appendChild(renderSegments(segments));
+            } else {
+                replaceRun(run, segments);
+            }
+        });
+    }
+
+    /**
+     * HTML 공백 규칙에 맞게 세그먼트의 연속 공백을 하나로 줄이고 런 양 끝의 공백 제거
+     * @param {Array} segments - 세그먼트 목록
+     * @returns {Array} 정리된 세그먼트 목록
+     */
+    function collapseWhitespace(segments) {
+        let previousEndsWithSpace = true;
+        const collapsed = segments.map(segment => {
+            if (segment.node) {
+                previousEndsWithSpace = segment.node.tagName === 'BR';
+                return segment;
+            }
+            let text = segment.text.replace(/[ \t\n\r\f]+/g, ' ');
+            if (previousEndsWithSpace) text = text.replace(/^ /, '');
+            if (text) previousEndsWithSpace = text[text.length - 1] === ' ';
+            return { ...segment, text };
+        });
+
+        // 런 끝의 공백 제거
+        for (let i = collapsed.length - 1; i >= 0; i--) {
+            const segment = collapsed[i];
+            if (segment.node) break;
+            segment.text = segment.text.replace(/ $/, '');
+            if (segment.text) break;
+        }
+        return collapsed.filter(segment => segment.node || segment.text);
+    }
+
+    // JSON 노드 타입과 블록 태그의 대응
+    const JSON_BLOCK_TYPES = {
+        P: 'paragraph',
+        DIV: 'paragraph',
+        H1: 'heading', H2: 'heading', H3: 'heading', H4: 'heading', H5: 'heading', H6: 'heading',
+        UL: 'bulletList',
+        OL: 'orderedList',
+        LI: 'listItem',
+        BLOCKQUOTE: 'blockquote',
+        PRE: 'codeBlock',
+        HR: 'horizontalRule',
+        TABLE: 'table'
+    };
+
+    /**
+     * 컨테이너의 자식 노드를 JSON 블록 목록으로 변환
+     * 블록 사이에 있는 인라인 내용은 paragraph로 감쌉니다.
+     * @param {Element} container - 블록 컨테이너
+     * @returns {Array} JSON 블록 노드 목록
+     */
+    function blocksToJSON(container) {
+        const blocks = [];
+        let inline = [];
+        const flushInline = () => {
+            const content = inlineToJSON(inline);
+            if (content.length) blocks.push({ type: 'paragraph', content });
+            inline = [];
+        };
+
+        Array.from(container.childNodes).forEach(node => {
+            if (!isBlockNode(node)) {
+                inline.push(node);
+                return;
+            }
+            flushInline();
+            const block = blockToJSON(node);
+            if (Array.isArray(block)) {
+                blocks.push(...block);
+            } else if (block) {
+                blocks.push(block);
+            }
+        });
+        flushInline();
+        return blocks;
+    }
+
+    /**
+     * 블록 요소를 JSON 노드로 변환
+     * @param {Element} element - 블록 요소
+     * @returns {Object|Array|null} JSON 노드 (블록을 담은 div는 자식 블록 목록)
+     */
+    function blockToJSON(element) {
+        const type = JSON_BLOCK_TYPES[element.tagName];
+        const hasBlockChildren = Array.from(element.childNodes).some(isBlockNode);
+
+        switch (type) {
+            case 'heading':
+                return { type, attrs: { level: parseInt(element.tagName.slice(1), 10) }, content: inlineToJSON(element.childNodes) };
+            case 'paragraph':
+                if (hasBlockChildren) return blocksToJSON(element);
+                return { type, content: inlineToJSON(element.childNodes) };
+            case 'bulletList':
+            case 'orderedList': {
+                // 체크리스트는 taskList / taskItem(attrs.checked)으로 변환
+                const isTaskList = getListType(element) === 'check';
+                const node = {
+                    type: isTaskList ? 'taskList' : type,
+                    content: Array.from(element.children).filter(child => child.tagName === 'LI').map(item => {
+                        const json = blockToJSON(item);
+                        if (!isTaskList) return json;
+                        return { type: 'taskItem', attrs: { checked: item.getAttribute('data-checked') === 'true' }, content: json.content };
+                    })
+                };
+                if (type === 'orderedList' && element.hasAttribute('start')) {
+                    node.attrs = { start: parseInt(element.getAttribute('start'), 10) || 1 };
+                }
+                return node;
+            }
+            case 'listItem':
+            case 'blockquote':
+                return { type, content: blocksToJSON(element) };
+            case 'codeBlock': {
+                const code = element.querySelector('code');
+                const language = code && (code.className.match(/language-([\w-]+)/) || [])[1];
+                const node = { type, content: [{ type: 'text', text: element.textContent }] };
+                if (language) node.attrs = { language };
+                return node;
+            }
+            case 'horizontalRule':
+                return { type };
+            case 'table':
+                // 셀은 tableHeader(th) / tableCell(td), 병합은 attrs.colspan / attrs.rowspan
+                return {
+                    type,
+                    content: Array.from(element.rows).map(row => ({
+                        type: 'tableRow',
+                        content: Array.from(row.cells).map(cell => {
+                            const node = { type: cell.tagName === 'TH' ? 'tableHeader' : 'tableCell', content: blocksToJSON(cell) };
+                            const attrs = {};
+                            ['colspan', 'rowspan'].forEach(name => {
+                                if (getCellSpan(cell, name) > 1) attrs[name] = getCellSpan(cell, name);
+                            });
+                            if (Object.keys(attrs).length) node.attrs = attrs;
+                            return node;
+                        })
+                    }))
+                };
+            default:
+                return hasBlockChildren ? blocksToJSON(element) : { type: 'paragraph', content: inlineToJSON(element.childNodes) };
+        }
+    }
+
+    /**
+     * 인라인 노드 목록을 JSON 텍스트 노드 목록으로 변환
+     * @param {NodeList|Array} nodes - 인라인 노드 목록
+     * @returns {Array} JSON 인라인 노드 목록
+     */
+    function inlineToJSON(nodes) {
+        return mergeSegments(flattenInline(Array.from(nodes))).map(segment => {
+            const marks = sortMarks(segment.marks).map(mark => {
+                const json = { type: mark.type };
+                if (Object.keys(mark.attrs || {}).length) json.attrs = { ...mark.attrs };
+                return json;
+            });
+            const node = segment.node ? atomicToJSON(segment.node) : { type: 'text', text: segment.text };
+            if (marks.length) node.marks = marks;
+            return node;
+        }).filter(node => node.type !== 'text' || node.text);
+    }
+
+    /**
+     * 원자 인라인 노드(줄바꿈, 이미지 등)를 JSON 노드로 변환
+     * @param {Node} node - 원자 인라인 노드
+     * @returns {Object} JSON 인라인 노드
+     */
+    function atomicToJSON(node) {
+        if (node.tagName === 'BR') return { type: 'hardBreak' };
+        if (node.tagName === 'IMG') {
+            const attrs = { src: node.getAttribute('src') || '', alt: node.getAttribute('alt') || '' };
+            if (node.getAttribute('title')) attrs.title = node.getAttribute('title');
+            ['width', 'height'].forEach(name => {
+                const value = parseInt(node.getAttribute(name), 10);
+                if (value > 0) attrs[name] = value;
             });
-            layer.appendChild(item);
+            return { type: 'image', attrs };
+        }
+        if (isMentionNode(node)) {
+            return { type: 'mention', attrs: { type: node.getAttribute('data-type'), id: node.getAttribute('data-id'), text: getTextContent(node) } };
+        }
+        return { type: 'text', text: getTextContent(node) };
+    }
+
+    /**
+     * JSON 블록 목록을 DOM으로 변환
+     * @param {Array} blocks - JSON 블록 노드 목록
+     * @returns {DocumentFragment} 변환 결과
+     */
+    function jsonToFragment(blocks) {
+        const fragment = document.createDocumentFragment();
+        blocks.forEach(block => {
+            const element = jsonBlockToElement(block);
+            if (element) fragment.appendChild(element);
+        });
+        return fragment;
+    }
+
+    /**
+     * JSON 블록 노드를 DOM 요소로 변환
+     * @param {Object} block - JSON 블록 노드
+     * @returns {Element|null} 블록 요소
+     */
+    function jsonBlockToElement(block) {
+        const attrs = block.attrs || {};
+        let element;
+
+        switch (block.type) {
+            case 'heading':
+                element = document.createElement(`h${Math.min(6, Math.max(1, attrs.level || 1))}`);
+                element.appendChild(jsonInlineToFragment(block.content || []));
+                return element;
+            case 'paragraph':
+                element = document.createElement('p');
+                element.appendChild(jsonInlineToFragment(block.content || []));
+                return element;
+            case 'bulletList':
+            case 'orderedList':
+            case 'taskList':
+                element = document.createElement(block.type === 'orderedList' ? 'ol' : 'ul');
+                if (block.type === 'orderedList' && attrs.start && attrs.start !== 1) {
+                    element.setAttribute('start', attrs.start);
+                }
+                if (block.type === 'taskList') {
+                    element.setAttribute('data-type', 'checklist');
+                }
+                (block.content || []).forEach(item => {
+                    element.appendChild(jsonBlockToElement({ ...item, type: block.type === 'taskList' ? 'taskItem' : 'listItem' }));
+                });
+                return element;
+            case 'listItem':
+            case 'taskItem':
+                element = document.createElement('li');
+                if (block.type === 'taskItem') {
+                    element.setAttribute('data-checked', String(Boolean(attrs.checked)));
+                }
+                appendJSONItemContent(element, block.content || []);
+                return element;
+            case 'table': {
+                // 앞쪽의 머리글 셀만 있는 행은 <thead>에 넣음
+                element = document.createElement('table');
+                let section = null;
+                (block.content || []).forEach(row => {
+                    const cells = row.content || [];
+                    const isHeader = cells.length > 0 && cells.every(cell => cell.type === 'tableHeader') &&
+                        (!section || section.tagName === 'THEAD');
+                    const tag = isHeader ? 'THEAD' : 'TBODY';
+                    if (!section || section.tagName !== tag) {
+                        section = element.appendChild(document.createElement(tag.toLowerCase()));
+                    }
+                    const tr = section.appendChild(document.createElement('tr'));
+                    cells.forEach(cell => tr.appendChild(jsonBlockToElement(cell.type === 'tableHeader' ? cell : { ...cell, type: 'tableCell' })));
+                });
+                return element;
+            }
+            case 'tableCell':
+            case 'tableHeader':
+                element = document.createElement(block.type === 'tableHeader' ? 'th' : 'td');
+                ['colspan', 'rowspan'].forEach(name => {
+                    if (attrs[name] > 1) element.setAttribute(name, String(attrs[name]));
+                });
+                appendJSONItemContent(element, block.content || []);
+                return element;
+            case 'blockquote':
+                element = document.createElement('blockquote');
+                element.appendChild(jsonToFragment(block.content || []));
+                return element;
+            case 'codeBlock': {
+                element = document.createElement('pre');
+                const code = document.createElement('code');
+                if (attrs.language) code.className = `language-${attrs.language}`;
+                code.textContent = (block.content || []).map(node => node.text || '').join('');
+                element.appendChild(code);
+                return element;
+            }
+            case 'horizontalRule':
+                return document.createElement('hr');
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 목록 항목과 표 셀에 JSON 블록 목록 추가
+     * 첫 문단은 <p> 없이 바로 넣습니다 (getJSON의 출력과 같은 마크업).
+     * @param {Element} element - li, td, th 요소
+     * @param {Array} content - JSON 블록 노드 목록
+     */
+    function appendJSONItemContent(element, content) {
+        const [first, ...rest] = content;
+        if (first && first.type === 'paragraph') {
+            element.appendChild(jsonInlineToFragment(first.content || []));
+            element.appendChild(jsonToFragment(rest));
+        } else {
+            element.appendChild(jsonToFragment(content));
+        }
+    }
+
+    /**
+     * JSON 인라인 노드 목록을 DOM으로 변환 (서식 엔진의 렌더링 사용)
+     * @param {Array} content - JSON 인라인 노드 목록
+     * @returns {DocumentFragment} 변환 결과
+     */
+    function jsonInlineToFragment(content) {
+        const segments = content.map(node => {
+            const marks = (node.marks || []).map(mark => ({ type: mark.type, attrs: { ...(mark.attrs || {}) } }));
+            if (node.type === 'hardBreak') {
+                return { node: document.createElement('br'), marks };
+            }
+            if (node.type === 'image') {
+                const attrs = node.attrs || {};
+                if (!attrs.src) return { text: '', marks };
+                const image = document.createElement('img');
+                ['src', 'alt', 'title', 'width', 'height'].forEach(name => {
+                    if (attrs[name] !== undefined && attrs[name] !== null && (attrs[name] !== '' || name === 'alt')) {
+                        image.setAttribute(name, String(attrs[name]));
+                    }
+                });
+                return { node: image, marks };
+            }
+            if (node.type === 'mention') {
+                const attrs = node.attrs || {};
+                if (!attrs.type || attrs.id === undefined || attrs.id === null) return { text: attrs.text || '', marks };
+                return { node: createMentionElement({ ...attrs, text: attrs.text || '' }), marks };
+            }
+            return { text: node.text || '', marks };
+        }).filter(segment => segment.node || segment.text);
+        return renderSegments(segments);
+    }
+
+    // Markdown 인라인 마크 문법 (htmlToMarkdown 출력용)
+    const MARKDOWN_OUTPUT_MARKS = {
+        bold: ['**', '**'],
+        italic: ['_', '_'],
+        underline: ['<u>', '</u>'],
+        strikethrough: ['~~', '~~']
+    };
+
+    /**
+     * 정규화된 컨테이너를 Markdown으로 변환
+     * @param {Element} container - 블록 컨테이너
+     * @returns {string} Markdown
+     */
+    function htmlToMarkdown(container) {
+        return blocksToMarkdown(container).join('\n\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    }
+
+    /**
+     * 컨테이너의 자식 블록을 Markdown 블록 문자열 목록으로 변환
+     * @param {Element} container - 블록 컨테이너
+     * @returns {Array} Markdown 블록 목록
+     */
+    function blocksToMarkdown(container) {
+        const blocks = [];
+        let inline = [];
+        const flushInline = () => {
+            const text = inlineToMarkdown(inline).trim();
+            if (text) blocks.push(text);
+            inline = [];
+        };
+
+        Array.from(container.childNodes).forEach(node => {
+            if (!isBlockNode(node)) {
+                inline.push(node);
+                return;
+            }
+            flushInline();
+            const markdown = blockToMarkdown(node);
+            if (markdown) blocks.push(markdown);
+        });
+        flushInline();
+        return blocks;
+    }
+
+    /**
+     * 블록 요소를 Markdown으로 변환
+     * @param {Element} element - 블록 요소
+     * @returns {string} Markdown
+     */
+    function blockToMarkdown(element) {
+        const tag = element.tagName;
+
+        if (/^H[1-6]$/.test(tag)) {
+            return '#'.repeat(parseInt(tag.slice(1), 10)) + ' ' + inlineToMarkdown(element.childNodes).trim();
+        }
+        if (tag === 'UL' || tag === 'OL') {
+            const isChecklist = getListType(element) === 'check';
+            let number = parseInt(element.getAttribute('start'), 10) || 1;
+            return Array.from(element.children).filter(child => child.tagName === 'LI').map(item => {
+                let marker = tag === 'OL' ? `${number++}. ` : '- ';
+                if (isChecklist) {
+                    marker += item.getAttribute('data-checked') === 'true' ? '[x] ' : '[ ] ';
+                }
+                const body = blocksToMarkdown(item).join('\n');
+                return marker + indentLines(body, ' '.repeat(marker.length)).slice(marker.length);
+            }).join('\n');
+        }
+        if (tag === 'BLOCKQUOTE') {
+            return blocksToMarkdown(element).join('\n\n').split('\n')
+                .map(line => line ? `> ${line}` : '>').join('\n');
+        }
+        if (tag === 'PRE') {
+            const code = element.querySelector('code');
+            const language = code && (code.className.match(/language-([\w-]+)/) || [])[1];
+            const text = element.textContent.replace(/\n$/, '');
+            const fence = /```/.test(text) ? '~~~' : '```';
+            return `${fence}${language || ''}\n${text}\n${fence}`;
+        }
+        if (tag === 'HR') {
+            return '---';
+        }
+        if (tag === 'TABLE') {
+            return tableToMarkdown(element);
+        }
+        return blocksToMarkdown(element).join('\n\n');
+    }
+
+    /**
+     * 표를 GFM 표 문법으로 변환
+     * Markdown 표는 병합을 표현할 수 없으므로 병합된 셀의 내용은 왼쪽 위 칸에만 쓰고, 첫 행은 항상 머리글 행이 됩니다.
+     * @param {Element} table - table 요소
+     * @returns {string} Markdown
+     */
+    function tableToMarkdown(table) {
+        const { grid, width } = getTableGrid(table);
+        if (!grid.length || !width) return '';
+        const lines = grid.map((cells, r) => {
+            const texts = [];
+            for (let c = 0; c < width; c++) {
+                const cell = cells[c];
+                const position = cell && getCellPosition(grid, cell);
+                texts.push(position && position.row === r && position.col === c ? cellToMarkdown(cell) : '');
+            }
+            return `| ${texts.join(' | ')} |`;
+        });
+        lines.splice(1, 0, `|${' --- |'.repeat(width)}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * 표 셀의 내용을 한 줄 Markdown으로 변환 (줄바꿈은 공백, |는 \|)
+     * @param {Element} cell - td 또는 th 요소
+     * @returns {string} Markdown
+     */
+    function cellToMarkdown(cell) {
+        return blocksToMarkdown(cell).join(' ')
+            .replace(/\\\n/g, ' ')
+            .replace(/\n+/g, ' ')
+            .replace(/\|/g, '\\|')
+            .trim();
+    }
+
+    /**
+     * 각 줄 앞에 들여쓰기 추가
+     * @param {string} text - 텍스트
+     * @param {string} indent - 들여쓰기 문자열
+     * @returns {string} 들여쓴 텍스트
+     */
+    function indentLines(text, indent) {
+        return text.split('\n').map(line => line ? indent + line : line).join('\n');
+    }
+
+    /**
+     * 인라인 노드 목록을 Markdown으로 변환
+     * 마커가 공백과 맞닿지 않도록, 공백은 앞뒤 세그먼트가 공유하는 마크에만 포함시킵니다.
+     * 주석 앵커는 Markdown 문법이 없으므로 인라인 HTML(<span data-comment-id>)로 출력하며, 앞뒤 공백도 앵커에 남깁니다.
+     * @param {NodeList|Array} nodes - 인라인 노드 목록
+     * @returns {string} Markdown
+     */
+    function inlineToMarkdown(nodes) {
+        const segments = [];
+        mergeSegments(flattenInline(Array.from(nodes))).forEach((segment, index, all) => {
+            if (segment.node) {
+                segments.push(segment);
+                return;
+            }
+            const intersect = (a, b) => a.filter(mark => isAnnotationMark(mark) ||
+                Boolean(b && b.marks.some(other => getMarkKey(other) === getMarkKey(mark))));
+            const leading = segment.text.match(/^\s*/)[0];
+            const trailing = segment.text.length > leading.length ? segment.text.match(/\s*$/)[0] : '';
+            const core = segment.text.slice(leading.length, segment.text.length - trailing.length);
+            const isCode = segment.marks.some(mark => mark.type === 'code');
+
+            if (isCode || (!leading && !trailing)) {
+                segments.push(segment);
+                return;
+            }
+            if (leading) segments.push({ text: leading, marks: intersect(segment.marks, all[index - 1]) });
+            if (core) segments.push({ text: core, marks: segment.marks });
+            if (trailing) segments.push({ text: trailing, marks: intersect(segment.marks, all[index + 1]) });
+        });
+
+        // 블록 끝의 줄바꿈(빈 문단의 <br> 포함)은 Markdown의 '\'로 쓰면 글자로 읽히므로 생략
+        let last = segments.length;
+        while (last > 0 && (segments[last - 1].node ? segments[last - 1].node.tagName === 'BR' : !segments[last - 1].text.trim())) {
+            last--;
+        }
+        if (segments.slice(last).some(segment => segment.node)) segments.length = last;
+
+        let output = '';
+        const stack = [];
+        const closeTo = depth => {
+            while (stack.length > depth) {
+                output += stack.pop().close;
+            }
+        };
+
+        segments.forEach(segment => {
+            const marks = sortMarks(segment.marks.filter(mark => mark.type !== 'code' && mark.type !== 'inline'));
+            let common = 0;
+            while (common < stack.length && common < marks.length && stack[common].key === getMarkKey(marks[common])) {
+                common++;
+            }
+            closeTo(common);
+            for (let i = common; i < marks.length; i++) {
+                const mark = marks[i];
+                let open = '';
+                let close = '';
+                if (mark.type === 'link') {
+                    open = '[';
+                    close = `](${(mark.attrs.href || '').replace(/[()\s]/g, encodeURIComponent)})`;
+                } else if (MARKDOWN_OUTPUT_MARKS[mark.type]) {
+                    [open, close] = MARKDOWN_OUTPUT_MARKS[mark.type];
+                } else if (isAnnotationMark(mark)) {
+                    const tag = createMarkElement(mark).outerHTML;
+                    const split = tag.lastIndexOf('</');
+                    [open, close] = [tag.slice(0, split), tag.slice(split)];
+                }
+                output += open;
+                stack.push({ key: getMarkKey(mark), close });
+            }
+
+            if (segment.node) {
+                output += atomicToMarkdown(segment.node);
+            } else if (segment.marks.some(mark => mark.type === 'code')) {
+                const fence = segment.text.includes('`') ? '``' : '`';
+                const padding = fence.length > 1 ? ' ' : '';
+                output += fence + padding + segment.text + padding + fence;
+            } else {
+                output += escapeMarkdown(segment.text);
+            }
         });
+        closeTo(0);
+        return output;
+    }
+
+    /**
+     * Markdown 특수 문자 이스케이프
+     * @param {string} text - 텍스트
+     * @returns {string} 이스케이프된 텍스트
+     */
+    function escapeMarkdown(text) {
+        return text
+            .replace(/([\\`*_[\]~<>])/g, '\\$1')
+            .replace(/^(\s*)([#>+-])(?=\s)/, '$1\\$2')
+            // 번호 목록 표시는 '\1.'이 아니라 '1\.'로 써야 다시 읽을 때 글자로 남음
+            .replace(/^(\s*)(\d+)([.)])(?=\s)/, '$1$2\\$3');
+    }
+
+    /**
+     * HTML 특수 문자 이스케이프
+     * @param {string} text - 텍스트
+     * @returns {string} 이스케이프된 텍스트
+     */
+    function escapeHTML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Markdown 블록 문법 패턴
+    const MARKDOWN_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w-]*)/;
+    const MARKDOWN_HR_PATTERN = /^ {0,3}([-*_])( *\1){2,} *$/;
+    const MARKDOWN_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+    const MARKDOWN_LIST_PATTERN = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const MARKDOWN_TASK_PATTERN = /^\[([ xX])\](?:\s+|$)/;
+    const MARKDOWN_TABLE_DELIMITER_PATTERN = /^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    /**
+     * Markdown을 HTML로 변환 (제목, 목록, 인용, 코드 블록, 구분선, 인라인 서식, 링크)
+     * @param {string} markdown - Markdown 텍스트
+     * @returns {string} HTML (정리되지 않은 상태이므로 sanitizeHTML을 거쳐야 함)
+     */
+    function markdownToHTML(markdown) {
+        return parseMarkdownBlocks(markdown.replace(/\r\n?/g, '\n').split('\n'));
+    }
+
+    /**
+     * Markdown 줄 목록을 HTML 블록으로 변환
+     * @param {Array} lines - 줄 목록
+     * @returns {string} HTML
+     */
+    function parseMarkdownBlocks(lines) {
+        let html = '';
+        let i = 0;
+
+        const isBlockStart = line => MARKDOWN_FENCE_PATTERN.test(line) || MARKDOWN_HR_PATTERN.test(line) ||
+            MARKDOWN_HEADING_PATTERN.test(line) || /^ {0,3}>/.test(line) || MARKDOWN_LIST_PATTERN.test(line);
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // 코드 블록
+            const fence = line.match(MARKDOWN_FENCE_PATTERN);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const language = fence[2] ? ` class="language-${escapeHTML(fence[2])}"` : '';
+                html += `<pre><code${language}>${escapeHTML(code.join('\n'))}</code></pre>`;
+                continue;
+            }
+
+            // 구분선
+            if (MARKDOWN_HR_PATTERN.test(line)) {
+                html += '<hr>';
+                i++;
+                continue;
+            }
+
+            // 제목
+            const heading = line.match(MARKDOWN_HEADING_PATTERN);
+            if (heading) {
+                const level = heading[1].length;
+                html += `<h${level}>${parseMarkdownInline(heading[2] || '')}</h${level}>`;
+                i++;
+                continue;
+            }
+
+            // 인용
+            if (/^ {0,3}>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                    quote.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    i++;
+                }
+                html += `<blockquote>${parseMarkdownBlocks(quote)}</blockquote>`;
+                continue;
+            }
+
+            // 목록
+            const list = line.match(MARKDOWN_LIST_PATTERN);
+            if (list) {
+                const result = parseMarkdownList(lines, i);
+                html += result.html;
+                i = result.next;
+                continue;
+            }
 
-        document.body.appendChild(layer);
-        return layer;
+            // 표 (머리글 행 다음 줄이 | --- | 구분 행)
+            const delimiter = lines[i + 1];
+            if (line.includes('|') && delimiter && delimiter.includes('|') && MARKDOWN_TABLE_DELIMITER_PATTERN.test(delimiter) &&
+                splitMarkdownTableRow(line).length === splitMarkdownTableRow(delimiter).length) {
+                const header = splitMarkdownTableRow(line);
+                const toCells = (cells, tag) => header.map((_, index) => `<${tag}>${parseMarkdownInline(cells[index] || '')}</${tag}>`).join('');
+                let body = '';
+                i += 2;
+                while (i < lines.length && lines[i].trim() && lines[i].includes('|') && !isBlockStart(lines[i])) {
+                    body += `<tr>${toCells(splitMarkdownTableRow(lines[i]), 'td')}</tr>`;
+                    i++;
+                }
+                html += `<table><thead><tr>${toCells(header, 'th')}</tr></thead>${body ? `<tbody>${body}</tbody>` : ''}</table>`;
+                continue;
+            }
+
+            // 문단
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+                paragraph.push(lines[i].trim() === lines[i] ? lines[i] : lines[i].replace(/^\s+/, ''));
+                i++;
+            }
+            html += `<p>${parseMarkdownInline(paragraph.join('\n'))}</p>`;
+        }
+
+        return html;
     }
 
-    // Heading 버튼 클릭 시 호출되는 토글 함수
-    function toggleHeadingLayer(event) {
-        event.stopPropagation();  // 클릭 이벤트 버블링 방지
-        saveSelection();
+    /**
+     * Markdown 목록 파싱 (들여쓰기로 중첩)
+     * @param {Array} lines - 줄 목록
+     * @param {number} start - 목록이 시작되는 줄
+     * @returns {Object} { html, next }
+     */
+    function parseMarkdownList(lines, start) {
+        const first = lines[start].match(MARKDOWN_LIST_PATTERN);
+        const baseIndent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let i = start;
 
-        if (!headingLayer) {
-            headingLayer = createHeadingLayer();
+        while (i < lines.length) {
+            const match = lines[i].match(MARKDOWN_LIST_PATTERN);
+            if (match && match[1].length === baseIndent && /\d/.test(match[2]) === ordered) {
+                // 새 항목: 마커 뒤 내용의 들여쓰기를 기준으로 이어지는 줄을 모음
+                const contentIndent = match[1].length + match[2].length + 1;
+                const itemLines = [match[3]];
+                i++;
+                while (i < lines.length) {
+                    const next = lines[i];
+                    const indent = next.match(/^ */)[0].length;
+                    if (!next.trim()) {
+                        // 빈 줄 뒤에 들여쓴 내용이 이어지면 같은 항목
+                        const following = lines[i + 1];
+                        if (following !== undefined && following.trim() && following.match(/^ */)[0].length > baseIndent) {
+                            itemLines.push('');
+                            i++;
+                            continue;
+                        }
+                        break;
+                    }
+                    if (indent > baseIndent) {
+                        itemLines.push(next.slice(Math.min(indent, contentIndent)));
+                        i++;
+                        continue;
+                    }
+                    if (MARKDOWN_LIST_PATTERN.test(next) || MARKDOWN_HEADING_PATTERN.test(next) || /^ {0,3}>/.test(next)) {
+                        break;
+                    }
+                    // 들여쓰지 않은 이어지는 줄 (lazy continuation)
+                    itemLines.push(next.trim());
+                    i++;
+                }
+                items.push(itemLines);
+                continue;
+            }
+            break;
         }
-        // 레이어 보이기/숨기기
-        if (headingLayer.style.display === 'none' || headingLayer.style.display === '') {
-            // 버튼 위치에 따라 레이어 위치 조정
-            const rect = event.target.getBoundingClientRect();
-            headingLayer.style.top = `${rect.bottom + window.scrollY}px`;
-            headingLayer.style.left = `${rect.left + window.scrollX}px`;
-            headingLayer.style.display = 'block';
-        } else {
-            headingLayer.style.display = 'none';
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = parseInt(first[2], 10);
+        // 첫 항목이 [ ] 또는 [x]로 시작하면 체크리스트
+        const isChecklist = !ordered && MARKDOWN_TASK_PATTERN.test(items[0][0]);
+        let attributes = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        if (isChecklist) attributes += ' data-type="checklist"';
+
+        const body = items.map(itemLines => {
+            let itemAttributes = '';
+            if (isChecklist) {
+                const task = itemLines[0].match(MARKDOWN_TASK_PATTERN);
+                itemAttributes = ` data-checked="${Boolean(task) && task[1] !== ' '}"`;
+                if (task) itemLines = [itemLines[0].slice(task[0].length), ...itemLines.slice(1)];
+            }
+            let content = parseMarkdownBlocks(itemLines);
+            // 단순 항목은 <p> 없이 출력 (tight list)
+            content = content.replace(/^<p>([\s\S]*?)<\/p>/, (all, inner) => inner);
+            return `<li${itemAttributes}>${content}</li>`;
+        }).join('');
+
+        return { html: `<${tag}${attributes}>${body}</${tag}>`, next: i };
+    }
+
+    /**
+     * 원자 인라인 노드(줄바꿈, 이미지 등)를 Markdown으로 변환
+     * @param {Node} node - 원자 인라인 노드
+     * @returns {string} Markdown
+     */
+    function atomicToMarkdown(node) {
+        if (node.tagName === 'BR') return '\\\n';
+        if (node.tagName === 'IMG') {
+            const alt = (node.getAttribute('alt') || '').replace(/([\\[\]])/g, '\\$1');
+            const src = (node.getAttribute('src') || '').replace(/[()\s]/g, encodeURIComponent);
+            // 제목의 큰따옴표는 Markdown 문법과 겹치므로 작은따옴표로 바꿈
+            const title = node.getAttribute('title') ? ` "${node.getAttribute('title').replace(/"/g, "'")}"` : '';
+            return `![${alt}](${src}${title})`;
         }
+        // 멘션은 Markdown 문법이 없으므로 밑줄(<u>)처럼 인라인 HTML로 씀
+        if (isMentionNode(node)) {
+            const type = escapeHTML(node.getAttribute('data-type'));
+            const id = escapeHTML(node.getAttribute('data-id'));
+            return `<span data-type="${type}" data-id="${id}">${escapeHTML(getTextContent(node))}</span>`;
+        }
+        return escapeMarkdown(getTextContent(node));
     }
-    
+
+    /**
+     * Markdown 인라인 문법을 HTML로 변환
+     * @param {string} text - Markdown 텍스트
+     * @returns {string} HTML
+     */
+    function parseMarkdownInline(text) {
+        let html = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            const rest = text.slice(i);
+
+            // 이스케이프와 줄바꿈
+            if (char === '\\' && i + 1 < text.length) {
+                const next = text[i + 1];
+                if (next === '\n') {
+                    html += '<br>';
+                } else {
+                    html += escapeHTML(/[!-/:-@[-`{-~]/.test(next) ? next : char + next);
+                }
+                i += 2;
+                continue;
+            }
+            if (char === '\n') {
+                if (/ {2,}$/.test(html)) {
+                    html = html.replace(/ +$/, '') + '<br>';
+                } else {
+                    html += ' ';
+                }
+                i++;
+                continue;
+            }
+
+            // 코드
+            if (char === '`') {
+                const fence = rest.match(/^`+/)[0];
+                const close = text.indexOf(fence, i + fence.length);
+                if (close !== -1) {
+                    let code = text.slice(i + fence.length, close);
+                    if (/^ .* $/.test(code)) code = code.slice(1, -1);
+                    html += `<code>${escapeHTML(code)}</code>`;
+                    i = close + fence.length;
+                    continue;
+                }
+            }
+
+            // 이미지
+            if (char === '!' && text[i + 1] === '[') {
+                const image = rest.match(/^!\[((?:\\.|[^\]\\])*)\]\(\s*<?([^)\s>]*)>?(?:\s+"([^"]*)")?\s*\)/);
+                if (image) {
+                    html += createImageHTML({ src: image[2], alt: image[1].replace(/\\(.)/g, '$1'), title: image[3] });
+                    i += image[0].length;
+                    continue;
+                }
+            }
+
+            // 링크
+            if (char === '[') {
+                const link = rest.match(/^\[((?:\\.|[^\]\\])*)\]\(\s*<?([^)\s>]*)>?(?:\s+"([^"]*)")?\s*\)/);
+                if (link) {
+                    const title = link[3] ? ` title="${escapeHTML(link[3])}"` : '';
+                    html += `<a href="${escapeHTML(link[2])}"${title}>${parseMarkdownInline(link[1])}</a>`;
+                    i += link[0].length;
+                    continue;
+                }
+            }
+
+            // 멘션/태그 (<span data-type data-id>, 이스케이프된 HTML이므로 그대로 사용)
+            if (rest.startsWith('<span data-type="')) {
+                const mention = rest.match(/^<span data-type="[^"<>]*" data-id="[^"<>]*">[^<>]*<\/span>/);
+                if (mention) {
+                    html += mention[0];
+                    i += mention[0].length;
+                    continue;
+                }
+            }
+
+            // 주석 앵커 (<span data-comment-id>, 내용은 Markdown으로 다시 해석)
+            if (rest.startsWith('<span data-comment-id="')) {
+                const anchor = rest.match(/^<span data-comment-id="[^"<>]*"(?: data-comment-resolved="[^"<>]*")?>/);
+                const close = anchor ? findMarkdownSpanCloser(text, i + anchor[0].length) : -1;
+                if (close !== -1) {
+                    html += `${anchor[0]}${parseMarkdownInline(text.slice(i + anchor[0].length, close))}</span>`;
+                    i = close + '</span>'.length;
+                    continue;
+                }
+            }
+
+            // 밑줄 (<u>)
+            if (rest.startsWith('<u>')) {
+                const close = text.indexOf('</u>', i + 3);
+                if (close !== -1) {
+                    html += `<u>${parseMarkdownInline(text.slice(i + 3, close))}</u>`;
+                    i = close + 4;
+                    continue;
+                }
+            }
+
+            // 굵게, 취소선, 기울임
+            const delimiter = ['**', '__', '~~', '*', '_'].find(candidate => rest.startsWith(candidate));
+            if (delimiter) {
+                const close = findMarkdownCloser(text, i, delimiter);
+                if (close !== -1) {
+                    const tag = delimiter === '~~' ? 's' : (delimiter.length === 2 ? 'strong' : 'em');
+                    html += `<${tag}>${parseMarkdownInline(text.slice(i + delimiter.length, close))}</${tag}>`;
+                    i = close + delimiter.length;
+                    continue;
+                }
+            }
+
+            html += escapeHTML(char);
+            i++;
+        }
+
+        return html;
+    }
+
+    /**
+     * 인라인 강조 구분자의 닫는 위치 찾기
+     * 여는 구분자 뒤와 닫는 구분자 앞에는 공백이 올 수 없고, '_'는 단어 안(snake_case)에서 쓰이지 않습니다.
+     * @param {string} text - 텍스트
+     * @param {number} start - 여는 구분자 위치
+     * @param {string} delimiter - 구분자
+     * @returns {number} 닫는 구분자 위치 (없으면 -1)
+     */
+    function findMarkdownCloser(text, start, delimiter) {
+        const isWordChar = char => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+        const contentStart = start + delimiter.length;
+        if (!text[contentStart] || /\s/.test(text[contentStart])) return -1;
+        if (delimiter[0] === '_' && isWordChar(text[start - 1])) return -1;
+
+        let index = contentStart;
+        while ((index = text.indexOf(delimiter, index + 1)) !== -1) {
+            // 같은 문자가 이어지는 경우(**안의 *) 건너뜀
+            if (delimiter.length === 1 && (text[index + 1] === delimiter || text[index - 1] === delimiter)) {
+                index++;
+                continue;
+            }
+            if (/\s/.test(text[index - 1])) continue;
+            if (delimiter[0] === '_' && isWordChar(text[index + delimiter.length])) continue;
+            // 코드 스팬 안의 구분자는 무시
+            const between = text.slice(contentStart, index);
+            if ((between.match(/`/g) || []).length % 2 === 1) continue;
+            return index;
+        }
+        return -1;
+    }
+
+    /**
+     * 인라인 HTML <span>의 짝이 맞는 닫는 태그 위치 찾기 (겹친 주석 앵커와 멘션 포함)
+     * 이스케이프된 문자와 코드 스팬 안의 태그는 건너뜁니다.
+     * @param {string} text - 텍스트
+     * @param {number} start - 여는 태그 바로 뒤 위치
+     * @returns {number} 닫는 태그 위치 (없으면 -1)
+     */
+    function findMarkdownSpanCloser(text, start) {
+        let depth = 0;
+        let index = start;
+        while (index < text.length) {
+            const rest = text.slice(index);
+            if (text[index] === '\\') {
+                index += 2;
+            } else if (text[index] === '`') {
+                const fence = rest.match(/^`+/)[0];
+                const close = text.indexOf(fence, index + fence.length);
+                index = close === -1 ? index + fence.length : close + fence.length;
+            } else if (rest.startsWith('</span>')) {
+                if (depth === 0) return index;
+                depth--;
+                index += '</span>'.length;
+            } else {
+                if (rest.startsWith('<span ')) depth++;
+                index++;
+            }
+        }
+        return -1;
+    }
+
     // ---------------------------
-    // 서식 적용 함수 (execCommand 사용)
+    // 플러그인 레이어 보조 함수
     // ---------------------------
-    
-    function applyBold() {
-        const currentTop = parseInt(toolbarElement.style.top);
-        const currentLeft = parseInt(toolbarElement.style.left);
-        document.execCommand("bold", false, null);
-        toolbarElement.style.top = `${currentTop}px`;
-        toolbarElement.style.left = `${currentLeft}px`;
+
+    /**
+     * 레이어를 기준 요소(툴바 버튼 등) 아래에 표시
+     * 아래쪽에 공간이 없으면(화면 아래에 붙은 툴바 등) 위쪽에 표시합니다.
+     * @param {Element} layer - 레이어 요소
+     * @param {Element} anchor - 기준 요소
+     */
+    function showLayer(layer, anchor) {
+        const rect = anchor.getBoundingClientRect();
+        layer.style.display = 'block';
+        const { top, left } = getFloatingPosition(rect, layer.offsetWidth, layer.offsetHeight, {
+            placement: 'bottom',
+            align: 'start',
+            gap: 0,
+            layer
+        });
+        layer.style.top = `${top}px`;
+        layer.style.left = `${left}px`;
     }
-    
-    function applyItalic() {
-        const currentTop = parseInt(toolbarElement.style.top);
-        const currentLeft = parseInt(toolbarElement.style.left);
-        document.execCommand("italic", false, null);
-        toolbarElement.style.top = `${currentTop}px`;
-        toolbarElement.style.left = `${currentLeft}px`;
+
+    /**
+     * 레이어 숨김
+     * @param {Element} layer - 레이어 요소
+     */
+    function hideLayer(layer) {
+        layer.style.display = 'none';
     }
-    
-    function applyUnderline() {
-        const currentTop = parseInt(toolbarElement.style.top);
-        const currentLeft = parseInt(toolbarElement.style.left);
-        document.execCommand("underline", false, null);
-        toolbarElement.style.top = `${currentTop}px`;
-        toolbarElement.style.left = `${currentLeft}px`;
+
+    // ---------------------------
+    // 서식 적용 함수 (서식 엔진 사용)
+    // ---------------------------
+
+    /**
+     * 텍스트 오프셋으로 에디터의 선택 영역 복원 (textarea와 contenteditable 공통)
+     * @param {Element} element - 에디터 요소
+     * @param {number} start - 시작 오프셋
+     * @param {number} end - 끝 오프셋
+     * @returns {Range|null} contenteditable인 경우 설정된 범위
+     */
+    function restoreSelectionOffsets(element, start, end) {
+        if (isTextInput(element)) {
+            element.setSelectionRange(start, end);
+            return null;
+        }
+        return setSelectionOffsets(element, start, end);
     }
-    
-    function applyStrikethrough() {
-        const currentTop = parseInt(toolbarElement.style.top);
-        const currentLeft = parseInt(toolbarElement.style.left);
-        document.execCommand("strikeThrough", false, null);
-        toolbarElement.style.top = `${currentTop}px`;
-        toolbarElement.style.left = `${currentLeft}px`;
+
+    /**
+     * 선택 영역의 서식 적용 여부 (textarea는 Markdown 문법 기준)
+     * @param {Object} selection - 선택 정보 (currentSelection)
+     * @param {string} type - 마크 타입
+     * @returns {boolean} 적용 여부
+     */
+    function isFormatActive(selection, type) {
+        return selection.isTextarea
+            ? isMarkdownMarkActive(selection.element, selection.start, selection.end, type)
+            : isMarkActive(selection.element, selection.start, selection.end, type);
+    }
+
+    /**
+     * 선택 영역의 블록 타입 (textarea는 Markdown heading 기준)
+     * @param {Object} selection - 선택 정보 (currentSelection)
+     * @returns {string|null} 블록 태그
+     */
+    function getSelectionBlockType(selection) {
+        return selection.isTextarea
+            ? getMarkdownBlockType(selection.element, selection.start, selection.end)
+            : getBlockType(selection.element, selection.start, selection.end);
+    }
+
+    /**
+     * 선택 영역이 목록 안에 있는지 확인 (textarea는 Markdown 목록 기준)
+     * @param {Object} selection - 선택 정보 (currentSelection)
+     * @param {string} [type] - 목록 종류 (생략하면 종류와 관계없이 확인)
+     * @returns {boolean} 목록 여부
+     */
+    function isListSelection(selection, type) {
+        return selection.isTextarea
+            ? isMarkdownListActive(selection.element, selection.start, selection.end, type)
+            : isListActive(selection.element, selection.start, selection.end, type);
+    }
+
+    /**
+     * 선택 영역이 인용 안에 있는지 확인 (textarea는 Markdown 인용 기준)
+     * @param {Object} selection - 선택 정보 (currentSelection)
+     * @returns {boolean} 인용 여부
+     */
+    function isBlockquoteSelection(selection) {
+        return selection.isTextarea
+            ? isMarkdownBlockquoteActive(selection.element, selection.start, selection.end)
+            : isBlockquoteActive(selection.element, selection.start, selection.end);
+    }
+
+    /**
+     * 선택 영역이 코드 블록 안에 있는지 확인 (textarea는 코드 펜스 기준)
+     * @param {Object} selection - 선택 정보 (currentSelection)
+     * @returns {boolean} 코드 블록 여부
+     */
+    function isCodeBlockSelection(selection) {
+        return selection.isTextarea
+            ? Boolean(findMarkdownCodeFence(selection.element.value, selection.start, selection.end))
+            : isCodeBlockActive(selection.element, selection.start, selection.end);
     }
     
-    // code 태그는 execCommand 지원 없음 → 기존 custom 토글 사용
-    function applyCode() {
-        const currentTop = parseInt(toolbarElement.style.top);
-        const currentLeft = parseInt(toolbarElement.style.left);
-        const selection = window.getSelection();
-        if (!selection.rangeCount) return;
-        const range = selection.getRangeAt(0);
-        if (range.collapsed) return;
-        let container = range.commonAncestorContainer;
-        if (container.nodeType === Node.TEXT_NODE) container = container.parentNode;
-        const existingCode = container.closest('code');
-        if (existingCode && existingCode.contains(range.commonAncestorContainer)) {
-            const parent = existingCode.parentNode;
-            while (existingCode.firstChild) {
-                parent.insertBefore(existingCode.firstChild, existingCode);
-            }
-            parent.removeChild(existingCode);
-        } else {
-            const newElement = document.createElement('code');
-            // 여기서 editor-code 클래스를 추가
-            newElement.className = 'editor-code';
-            try {
-                range.surroundContents(newElement);
-            } catch (e) {
-                console.error("Code wrapping failed:", e);
+    // ---------------------------
+    // textarea용 Markdown 서식
+    // ---------------------------
+
+    // textarea는 HTML을 담을 수 없으므로 마크를 Markdown 문법으로 표현
+    const MARKDOWN_MARKS = {
+        bold: { prefix: '**', suffix: '**' },
+        italic: { prefix: '_', suffix: '_' },
+        underline: { prefix: '<u>', suffix: '</u>' },
+        strikethrough: { prefix: '~~', suffix: '~~' },
+        code: { prefix: '`', suffix: '`' }
+    };
+
+    // [text](url) 형태의 Markdown 링크
+    const MARKDOWN_LINK_PATTERN = /\[([^\]]*)\]\(([^)\s]*)(?:\s+"[^"]*")?\)/g;
+
+    /**
+     * textarea의 일부 텍스트 교체 (스크롤 위치 유지)
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 시작 인덱스
+     * @param {number} end - 끝 인덱스
+     * @param {string} text - 새 텍스트
+     */
+    function replaceTextRange(element, start, end, text) {
+        const scrollTop = element.scrollTop;
+        element.setRangeText(text, start, end, 'preserve');
+        element.scrollTop = scrollTop;
+    }
+
+    /**
+     * 선택 영역의 Markdown 마크 위치 찾기
+     * 마커가 선택 영역 안쪽 끝에 있거나(**text** 선택) 바깥에 있는(text만 선택) 경우를 모두 인식하며,
+     * 바깥쪽은 **_text_**처럼 다른 마커로 한 번 더 감싸진 경우도 찾습니다.
+     * @param {string} value - textarea 값
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {Object} syntax - { prefix, suffix }
+     * @returns {Object|null} 마커를 포함한 범위 ({ outerStart, outerEnd, innerStart, innerEnd })
+     */
+    function findMarkdownMark(value, start, end, syntax) {
+        const { prefix, suffix } = syntax;
+        const selected = value.slice(start, end);
+        if (selected.length >= prefix.length + suffix.length &&
+            selected.startsWith(prefix) && selected.endsWith(suffix)) {
+            return { outerStart: start, outerEnd: end, innerStart: start + prefix.length, innerEnd: end - suffix.length };
+        }
+
+        const isWrappedBy = (markStart, markEnd, candidate) =>
+            value.slice(markStart - candidate.prefix.length, markStart) === candidate.prefix &&
+            value.slice(markEnd, markEnd + candidate.suffix.length) === candidate.suffix;
+
+        let innerStart = start;
+        let innerEnd = end;
+        for (let depth = 0; depth <= Object.keys(MARKDOWN_MARKS).length; depth++) {
+            if (isWrappedBy(innerStart, innerEnd, syntax)) {
+                return {
+                    outerStart: innerStart - prefix.length,
+                    outerEnd: innerEnd + suffix.length,
+                    innerStart,
+                    innerEnd
+                };
             }
+            const other = Object.keys(MARKDOWN_MARKS)
+                .map(type => MARKDOWN_MARKS[type])
+                .find(candidate => candidate !== syntax && isWrappedBy(innerStart, innerEnd, candidate));
+            if (!other) break;
+            innerStart -= other.prefix.length;
+            innerEnd += other.suffix.length;
         }
-        toolbarElement.style.top = `${currentTop}px`;
-        toolbarElement.style.left = `${currentLeft}px`;
+        return null;
     }
-    
-    function applyLink() {
-        const currentTop = parseInt(toolbarElement.style.top);
-        const currentLeft = parseInt(toolbarElement.style.left);
-        const selection = window.getSelection();
-        if (selection.anchorNode) {
-            let parent = selection.anchorNode.parentNode;
-            if (parent && parent.tagName && parent.tagName.toLowerCase() === 'a') {
-                document.execCommand("unlink", false, null);
-                toolbarElement.style.top = `${currentTop}px`;
-                toolbarElement.style.left = `${currentLeft}px`;
-                return;
+
+    /**
+     * 선택 영역을 안쪽에 포함하는 같은 줄의 Markdown 마커 쌍 찾기 (**hello world**에서 world만 선택한 경우)
+     * 이스케이프된 마커는 건너뛰며, 여러 줄에 걸친 선택 영역은 찾지 않습니다.
+     * @param {string} value - textarea 값
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {Object} syntax - { prefix, suffix }
+     * @returns {Object|null} 마커를 포함한 범위 ({ outerStart, outerEnd, innerStart, innerEnd })
+     */
+    function findEnclosingMarkdownMark(value, start, end, syntax) {
+        const { prefix, suffix } = syntax;
+        if (value.slice(start, end).includes('\n')) return null;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = value.indexOf('\n', end) === -1 ? value.length : value.indexOf('\n', end);
+
+        let open = -1;
+        let index = lineStart;
+        while (index < lineEnd) {
+            if (value[index] === '\\') {
+                index += 2;
+            } else if (open !== -1 && value.startsWith(suffix, index)) {
+                const innerStart = open + prefix.length;
+                if (innerStart <= start && end <= index) {
+                    return { outerStart: open, outerEnd: index + suffix.length, innerStart, innerEnd: index };
+                }
+                open = -1;
+                index += suffix.length;
+            } else if (open === -1 && value.startsWith(prefix, index)) {
+                open = index;
+                index += prefix.length;
+            } else {
+                index++;
             }
         }
-        const url = prompt('링크 URL을 입력하세요:', 'https://');
-        if (url) {
-            document.execCommand("createLink", false, url);
+        return null;
+    }
+
+    /**
+     * 텍스트를 Markdown 마커로 감쌈 ('** text**'가 되지 않도록 앞뒤 공백은 마커 바깥에 두고, 공백뿐이면 그대로 둠)
+     * @param {string} text - 텍스트
+     * @param {Object} syntax - { prefix, suffix }
+     * @returns {string} 감싼 텍스트
+     */
+    function wrapMarkdownMark(text, syntax) {
+        const core = text.trim();
+        if (!core) return text;
+        const leading = text.slice(0, text.length - text.trimStart().length);
+        const trailing = text.slice(text.trimEnd().length);
+        return leading + syntax.prefix + core + syntax.suffix + trailing;
+    }
+
+    /**
+     * textarea 선택 영역의 Markdown 마크 적용 여부
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {string} type - 마크 타입
+     * @returns {boolean} 적용 여부
+     */
+    function isMarkdownMarkActive(element, start, end, type) {
+        if (type === 'link') {
+            return Boolean(findMarkdownLink(element.value, start, end));
         }
-        toolbarElement.style.top = `${currentTop}px`;
-        toolbarElement.style.left = `${currentLeft}px`;
+        const syntax = MARKDOWN_MARKS[type];
+        return Boolean(syntax && (findMarkdownMark(element.value, start, end, syntax) ||
+            findEnclosingMarkdownMark(element.value, start, end, syntax)));
     }
-    
-    function clearFormatting() {
-        const currentTop = parseInt(toolbarElement.style.top);
-        const currentLeft = parseInt(toolbarElement.style.left);
-        // inline 서식 및 링크 제거
-        document.execCommand("removeFormat", false, null);
-        document.execCommand("unlink", false, null);
-        // 블록 레벨 서식을 paragraph로 변환 (heading 태그 제거)
-        // 일부 브라우저에서는 "P" (대문자)를 전달해야 합니다.
-        document.execCommand("formatBlock", false, "P");
-        toolbarElement.style.top = `${currentTop}px`;
-        toolbarElement.style.left = `${currentLeft}px`;
+
+    /**
+     * textarea 선택 영역의 Markdown 마크 토글
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {string} type - 마크 타입
+     * @returns {Object} 변경 후 선택 범위 ({ start, end })
+     */
+    function toggleMarkdownMark(element, start, end, type) {
+        const syntax = MARKDOWN_MARKS[type];
+        const value = element.value;
+        const found = findMarkdownMark(value, start, end, syntax);
+
+        if (found) {
+            const prefixLength = found.innerStart - found.outerStart;
+            replaceTextRange(element, found.outerStart, found.outerEnd, value.slice(found.innerStart, found.innerEnd));
+            return {
+                start: Math.max(found.outerStart, start - prefixLength),
+                end: Math.min(found.innerEnd, end) - prefixLength
+            };
+        }
+
+        // 마커 안의 일부만 선택했으면 선택 부분만 마커 밖으로 빼고 앞뒤는 다시 감쌈 (**hello world** → hello **world**)
+        const enclosing = findEnclosingMarkdownMark(value, start, end, syntax);
+        if (enclosing) {
+            const before = wrapMarkdownMark(value.slice(enclosing.innerStart, start), syntax);
+            const after = wrapMarkdownMark(value.slice(end, enclosing.innerEnd), syntax);
+            replaceTextRange(element, enclosing.outerStart, enclosing.outerEnd, before + value.slice(start, end) + after);
+            const selectionStart = enclosing.outerStart + before.length;
+            return { start: selectionStart, end: selectionStart + end - start };
+        }
+
+        // '** text**'처럼 잘못된 문법이 되지 않도록 앞뒤 공백은 마커 바깥에 둠
+        const selected = value.slice(start, end);
+        const leading = selected.length - selected.trimStart().length;
+        const trailing = selected.length - selected.trimEnd().length;
+        const innerStart = start + leading;
+        const innerEnd = Math.max(innerStart, end - trailing);
+        const inner = value.slice(innerStart, innerEnd);
+
+        replaceTextRange(element, innerStart, innerEnd, syntax.prefix + inner + syntax.suffix);
+        return { start: innerStart + syntax.prefix.length, end: innerStart + syntax.prefix.length + inner.length };
+    }
+
+    /**
+     * 선택 영역을 포함하는 Markdown 링크 찾기
+     * @param {string} value - textarea 값
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {Object|null} 링크 정보 ({ start, end, text, url, textStart })
+     */
+    function findMarkdownLink(value, start, end) {
+        MARKDOWN_LINK_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = MARKDOWN_LINK_PATTERN.exec(value)) !== null) {
+            const linkStart = match.index;
+            const linkEnd = match.index + match[0].length;
+            if (linkStart <= start && end <= linkEnd) {
+                return { start: linkStart, end: linkEnd, text: match[1], url: match[2], textStart: linkStart + 1 };
+            }
+            if (linkStart > end) break;
+        }
+        return null;
+    }
+
+    /**
+     * textarea 선택 영역을 Markdown 링크로 변환
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {string} url - 링크 URL
+     * @returns {Object} 변경 후 선택 범위 (링크 텍스트)
+     */
+    function applyMarkdownLink(element, start, end, url) {
+        const text = element.value.slice(start, end);
+        replaceTextRange(element, start, end, `[${text}](${url})`);
+        return { start: start + 1, end: start + 1 + text.length };
+    }
+
+    /**
+     * textarea 선택 영역의 Markdown 링크를 텍스트로 변환
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {Object} 변경 후 선택 범위 (링크 텍스트)
+     */
+    function removeMarkdownLink(element, start, end) {
+        const link = findMarkdownLink(element.value, start, end);
+        if (!link) return { start, end };
+        replaceTextRange(element, link.start, link.end, link.text);
+        return { start: link.start, end: link.start + link.text.length };
+    }
+
+    /**
+     * 선택 영역이 걸친 줄의 범위
+     * @param {string} value - textarea 값
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {Object} 줄 범위 ({ start, end })
+     */
+    function getLineBounds(value, start, end) {
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = value.indexOf('\n', end > start && value[end - 1] === '\n' ? end - 1 : end);
+        if (lineEnd === -1) lineEnd = value.length;
+        return { start: lineStart, end: lineEnd };
+    }
+
+    /**
+     * textarea 선택 영역이 걸친 줄마다 변환 적용 (빈 줄은 그대로 둠)
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {Function} transform - (line) => 새 줄
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function transformMarkdownLines(element, start, end, transform) {
+        const bounds = getLineBounds(element.value, start, end);
+        const lines = element.value.slice(bounds.start, bounds.end).split('\n');
+
+        let delta = 0;
+        let startDelta = null;
+        const converted = lines.map(line => {
+            if (!line.trim()) return line;
+            const next = transform(line);
+            if (startDelta === null) startDelta = next.length - line.length;
+            delta += next.length - line.length;
+            return next;
+        }).join('\n');
+
+        replaceTextRange(element, bounds.start, bounds.end, converted);
+        return { start: Math.max(bounds.start, start + (startDelta || 0)), end: end + delta };
+    }
+
+    /**
+     * textarea 선택 영역의 Markdown heading 타입
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {string|null} 블록 태그 (h1~h6 또는 p), 섞여 있으면 null
+     */
+    function getMarkdownBlockType(element, start, end) {
+        const bounds = getLineBounds(element.value, start, end);
+        const types = element.value.slice(bounds.start, bounds.end).split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                const match = line.match(/^(#{1,6})\s/);
+                return match ? `h${match[1].length}` : 'p';
+            });
+        return types.length && types.every(type => type === types[0]) ? types[0] : null;
+    }
+
+    /**
+     * textarea 선택 영역이 걸친 줄에 Markdown heading 문법 적용
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {string} tag - 블록 태그 (h1~h6, p)
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function setMarkdownBlockType(element, start, end, tag) {
+        const level = isHeadingType(tag) ? parseInt(tag.slice(1), 10) : 0;
+        const prefix = level ? '#'.repeat(level) + ' ' : '';
+        return transformMarkdownLines(element, start, end, line => prefix + line.replace(/^#{1,6}\s+/, ''));
+    }
+
+    /**
+     * textarea 선택 영역의 Markdown 서식 제거
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function clearMarkdownFormatting(element, start, end) {
+        let range = { start, end };
+
+        // 선택 영역을 감싸고 있는 마커 제거
+        if (findMarkdownLink(element.value, range.start, range.end)) {
+            range = removeMarkdownLink(element, range.start, range.end);
+        }
+        Object.keys(MARKDOWN_MARKS).forEach(type => {
+            if (findMarkdownMark(element.value, range.start, range.end, MARKDOWN_MARKS[type])) {
+                range = toggleMarkdownMark(element, range.start, range.end, type);
+            }
+        });
+
+        // 선택 영역 안쪽의 마커 제거
+        const selected = element.value.slice(range.start, range.end);
+        const cleared = selected
+            .replace(MARKDOWN_LINK_PATTERN, '$1')
+            .replace(/\*\*|~~|<\/?u>|`/g, '')
+            .replace(/(^|[^\w])_([^_\n]+)_(?=[^\w]|$)/g, '$1$2');
+        replaceTextRange(element, range.start, range.end, cleared);
+        range = { start: range.start, end: range.start + cleared.length };
+
+        return setMarkdownBlockType(element, range.start, range.end, 'p');
+    }
+
+    /**
+     * Markdown 줄의 목록 종류
+     * @param {string} line - 줄
+     * @returns {string|null} 목록 종류 (bullet, ordered, check), 목록 항목이 아니면 null
+     */
+    function getMarkdownListType(line) {
+        const match = line.match(MARKDOWN_LIST_PATTERN);
+        if (!match) return null;
+        if (/\d/.test(match[2])) return 'ordered';
+        return MARKDOWN_TASK_PATTERN.test(match[3]) ? 'check' : 'bullet';
+    }
+
+    /**
+     * textarea 선택 영역의 줄이 모두 목록 항목인지 확인
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {string} [type] - 목록 종류 (생략하면 종류와 관계없이 확인)
+     * @returns {boolean} 목록 여부
+     */
+    function isMarkdownListActive(element, start, end, type) {
+        const bounds = getLineBounds(element.value, start, end);
+        const lines = element.value.slice(bounds.start, bounds.end).split('\n').filter(line => line.trim());
+        return lines.length > 0 && lines.every(line => {
+            const lineType = getMarkdownListType(line);
+            return Boolean(lineType) && (!type || lineType === type);
+        });
+    }
+
+    /**
+     * textarea 선택 영역의 줄에 Markdown 목록 문법 토글 (- , 1. , - [ ] )
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {string} type - 목록 종류 (bullet, ordered, check)
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function toggleMarkdownList(element, start, end, type) {
+        const active = isMarkdownListActive(element, start, end, type);
+        let number = 0;
+
+        return transformMarkdownLines(element, start, end, line => {
+            const match = line.match(MARKDOWN_LIST_PATTERN);
+            const indent = match ? match[1] : line.match(/^ */)[0];
+            let text = match ? match[3] : line.slice(indent.length);
+            if (match && !/\d/.test(match[2])) text = text.replace(MARKDOWN_TASK_PATTERN, '');
+
+            if (active) return indent + text;
+            number++;
+            const marker = type === 'ordered' ? `${number}. ` : type === 'check' ? '- [ ] ' : '- ';
+            return indent + marker + text;
+        });
+    }
+
+    /**
+     * textarea 선택 영역의 목록 항목 들여쓰기/내어쓰기 (마커 너비만큼)
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {boolean} outdent - 내어쓰기 여부
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function indentMarkdownList(element, start, end, outdent) {
+        return transformMarkdownLines(element, start, end, line => {
+            const match = line.match(MARKDOWN_LIST_PATTERN);
+            if (!match) return line;
+            const width = match[2].length + 1;
+            return outdent
+                ? line.slice(Math.min(match[1].length, width))
+                : ' '.repeat(width) + line;
+        });
+    }
+
+    /**
+     * textarea 선택 영역의 체크리스트 항목 체크 상태 토글
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function toggleMarkdownChecked(element, start, end) {
+        return transformMarkdownLines(element, start, end, line => {
+            return line.replace(/^( *[-*+]\s+\[)([ xX])\]/, (all, prefix, mark) => `${prefix}${mark === ' ' ? 'x' : ' '}]`);
+        });
+    }
+
+    /**
+     * textarea 선택 영역의 줄이 모두 인용(>)인지 확인
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {boolean} 인용 여부
+     */
+    function isMarkdownBlockquoteActive(element, start, end) {
+        const bounds = getLineBounds(element.value, start, end);
+        const lines = element.value.slice(bounds.start, bounds.end).split('\n').filter(line => line.trim());
+        return lines.length > 0 && lines.every(line => /^ {0,3}>/.test(line));
+    }
+
+    /**
+     * textarea 선택 영역의 줄에 Markdown 인용 문법 토글
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function toggleMarkdownBlockquote(element, start, end) {
+        const active = isMarkdownBlockquoteActive(element, start, end);
+        return transformMarkdownLines(element, start, end, line => {
+            return active ? line.replace(/^ {0,3}> ?/, '') : `> ${line}`;
+        });
+    }
+
+    /**
+     * 선택 영역을 감싸고 있는 Markdown 코드 펜스 찾기
+     * @param {string} value - textarea 값
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {Object|null} { start, end: 여는 펜스 줄, closeStart, closeEnd: 닫는 펜스 줄, marker, language }
+     */
+    function findMarkdownCodeFence(value, start, end) {
+        let offset = 0;
+        let open = null;
+
+        for (const line of value.split('\n')) {
+            const lineEnd = offset + line.length;
+            if (open) {
+                if (line.trim().startsWith(open.marker)) {
+                    if (start > open.end && end < offset) {
+                        return { ...open, closeStart: offset, closeEnd: lineEnd };
+                    }
+                    open = null;
+                }
+            } else {
+                const match = line.match(MARKDOWN_FENCE_PATTERN);
+                if (match) open = { start: offset, end: lineEnd, marker: match[1], language: match[2] };
+            }
+            offset = lineEnd + 1;
+        }
+        return null;
+    }
+
+    /**
+     * textarea 선택 영역의 줄을 코드 펜스로 감싸거나, 이미 펜스 안이면 펜스 제거
+     * 펜스 안에서 다른 언어를 지정하면 여는 펜스의 언어만 바꿉니다.
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {string} [language] - 언어
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function toggleMarkdownCodeBlock(element, start, end, language) {
+        const fence = findMarkdownCodeFence(element.value, start, end);
+
+        if (fence && language && fence.language !== language) {
+            const opening = fence.marker + language;
+            const delta = opening.length - (fence.end - fence.start);
+            replaceTextRange(element, fence.start, fence.end, opening);
+            return { start: start + delta, end: end + delta };
+        }
+
+        if (fence) {
+            // 뒤쪽의 닫는 펜스부터 제거해야 여는 펜스의 오프셋이 그대로 유지됨
+            const removed = fence.end + 1 - fence.start;
+            replaceTextRange(element, fence.closeStart - 1, fence.closeEnd, '');
+            replaceTextRange(element, fence.start, fence.end + 1, '');
+            return { start: start - removed, end: end - removed };
+        }
+
+        const bounds = getLineBounds(element.value, start, end);
+        const opening = '```' + (language || '') + '\n';
+        replaceTextRange(element, bounds.end, bounds.end, '\n```');
+        replaceTextRange(element, bounds.start, bounds.start, opening);
+        return { start: start + opening.length, end: end + opening.length };
+    }
+
+    /**
+     * textarea 선택 영역이 끝나는 줄 뒤에 Markdown 구분선 삽입
+     * 앞 줄이 setext 제목(문단 + ---)으로 해석되지 않도록 빈 줄을 둡니다.
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @returns {Object} 변경 후 선택 범위
+     */
+    function insertMarkdownHorizontalRule(element, start, end) {
+        const bounds = getLineBounds(element.value, end, end);
+        replaceTextRange(element, bounds.end, bounds.end, '\n\n---\n');
+        return { start, end };
+    }
+
+    /**
+     * textarea 선택 영역이 끝나는 줄 뒤에 빈 Markdown 표 삽입 (첫 행은 머리글 행)
+     * @param {Element} element - textarea 또는 input 요소
+     * @param {number} start - 선택 시작
+     * @param {number} end - 선택 끝
+     * @param {number} rows - 행 수 (머리글 행 포함)
+     * @param {number} cols - 열 수
+     * @returns {Object} 변경 후 선택 범위 (첫 셀)
+     */
+    function insertMarkdownTable(element, start, end, rows, cols) {
+        const bounds = getLineBounds(element.value, end, end);
+        const row = `|${'   |'.repeat(cols)}`;
+        const lines = [row, `|${' --- |'.repeat(cols)}`];
+        for (let i = 1; i < rows; i++) lines.push(row);
+        replaceTextRange(element, bounds.end, bounds.end, `\n\n${lines.join('\n')}\n`);
+        const caret = bounds.end + 4;
+        return { start: caret, end: caret };
     }
     
-    // 공개 API (외부에서 init, hide 함수만 사용)
+    // 공개 API
     return {
         init,
-        hide: hideToolbar
+        hide: () => instances.forEach(instance => instance.hide()),
+        locales: LOCALES,
+        sanitize: (html, options = {}) => sanitizeHTML(html, { source: 'api', ...options })
     };
 })();
\ No newline at end of file